@@ -16,6 +16,9 @@
 
 OUTPUT=awscript.js
 
+# Script sources, concatenated in this order. Also read by src/test/harness.js.
+SOURCES="src/config.js src/main.js src/ad.js src/eta_draft.js src/utils.js src/sync_spreadsheet_helpers.js src/eta_validation.js src/dry_run.js src/history.js src/comparison.js src/auto_pause.js src/checkpoint.js src/eta_import.js src/coverage.js src/run_summary.js src/export_filter.js src/sharding.js src/dynamic_text.js src/rewrite_rules.js"
+
 if ! hash uglifyjs 2>/dev/null; then
   echo "Missing uglifyjs"
   if hash npm 2>/dev/null; then
@@ -32,6 +35,6 @@ if ! hash uglifyjs 2>/dev/null; then
 fi
 
 echo "Building..."
-cat src/config.js src/main.js src/ad.js src/utils.js src/sync_spreadsheet_helpers.js | uglifyjs -b --comments > $OUTPUT
+cat $SOURCES | uglifyjs -b --comments > $OUTPUT
 
 echo "Build complete: $OUTPUT"
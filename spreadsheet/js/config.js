@@ -18,6 +18,10 @@ var CONFIG = {
     main: {
       name: 'main',
 
+      // Sheets named with this prefix are shards of the main sheet, added by
+      // the AdWords script when sharding is enabled.
+      shardNamePrefix: 'main - ',
+
       // The first row where the content starts.
       firstContentRow: 4,
 
@@ -80,20 +84,51 @@ var CONFIG = {
       // Fields to link. If the following fields are equivalent
       // in two or more ads, then we treat them as matching group.
       columnsToLink: {
+        // Columns listed in the settings sheet are linked as well (see
+        // `CONFIG.sheets.settings.linkedColumnsRange`).
         names: [],
+        // The scope of each column, see `LinkScope`. Columns without a scope
+        // are linked across the whole sheet.
+        scopes: {},
         // Key for storing MatchingColumnsBucketStorage.
         storageKey: 'matching_columns'
       },
 
       // Columns to highlight if they do not match.
       mismatchColumns: {
-        // Column names to compare and highlight if they differ.
-        names: [
-          'displayUrl',
-          'finalUrl'
-        ],
-        // Color to set for columns that don't match.
-        color: '#FF0000'
+        // Columns checked by any rule. Dynamically filled by initConfig.
+        names: [],
+        // Rules checked in order, each with a `type` (see
+        // `MismatchRuleType`), the `columns` it compares, the `color` to
+        // highlight mismatching cells with, and a `note` added to them. A
+        // cell failing several rules takes the color of the first.
+        rules: [
+          {
+            type: 'sameDomain',
+            columns: ['displayUrl', 'finalUrl'],
+            color: '#FF0000',
+            note: 'The final URL domain differs from the display URL.'
+          },
+          {
+            type: 'sameDomain',
+            columns: ['finalUrl', 'mobileFinalUrl'],
+            color: '#FF9900',
+            note: 'The mobile final URL domain differs from the final URL.'
+          },
+          {
+            type: 'pathInUrl',
+            columns: ['finalUrl', 'path1', 'path2'],
+            color: '#FFFF00',
+            note: 'The path is not part of the final URL path.'
+          },
+          {
+            type: 'lpurl',
+            columns: ['trackingTemplate'],
+            color: '#00FFFF',
+            note: 'The tracking template does not insert the final URL ' +
+                  'with {lpurl}.'
+          }
+        ]
       },
 
       // Column to check and determine if row is not empty.
@@ -102,6 +137,12 @@ var CONFIG = {
       // The row index, in spreadsheet, where header is located.
       headerRow: 3,
 
+      // Seconds onOpen may spend updating the linked cells and row snapshots
+      // of the main sheet and its shards, starting with the active sheet.
+      // Simple triggers must end within 30 seconds, sheets left are updated
+      // on later opens.
+      openTimeLimitSeconds: 20,
+
       // Read-Only columns.
       readOnlyColumns: ['customerId',
                         'customerName',
@@ -132,7 +173,74 @@ var CONFIG = {
       name: 'settings',
 
       // Flag used to toggle matching cells sync.
-      enableMatchingColumnsLinkingCell: 'Enable Matching Columns Linking'
+      enableMatchingColumnsLinkingCell: 'Enable Matching Columns Linking',
+
+      // Named range listing the columns to link, one per row: the column
+      // name, such as finalUrl or path1, and its scope, one of `LinkScope`
+      // (sheet if empty).
+      linkedColumnsRange: 'Linked Columns',
+
+      // Cache key of the values of the linked columns listing, read on every
+      // edit otherwise (see `getLinkedColumnsValues`).
+      linkedColumnsCacheKey: 'linked_columns',
+
+      // Rows of the linked columns listing that couldn't be parsed.
+      // Dynamically filled by initConfig.
+      linkedColumnsErrors: []
+    },
+    // History sheet logs changes to rows of the main sheet: user edits, and
+    // changes made by the AdWords script.
+    history: {
+      name: 'history',
+
+      // Whether to log edits made by users to the main sheet.
+      logUserEdits: true
+    },
+
+    // Rewrite rules sheet lists find/replace and template rules, applied to
+    // rows without an ETA from the 'Rewrite' menu, and by the AdWords script
+    // when enabled.
+    rewriteRules: {
+      name: 'rewrite rules'
+    },
+
+    // Hidden sheet storing linked cells (see `MatchingColumnsBucket`), which
+    // unlike the cache doesn't expire.
+    linkedCells: {
+      name: 'linked cells',
+
+      // The maximum length of a stored value, values are split in chunks
+      // within the 50000 characters a cell may hold.
+      chunkSize: 45000
+    },
+
+    // Hidden sheet storing row snapshots (see `RowSnapshot`), read when
+    // several cells are edited at once.
+    rowSnapshots: {
+      name: 'row snapshots',
+
+      // See `CONFIG.sheets.linkedCells.chunkSize`.
+      chunkSize: 45000,
+
+      // Storage shared by the snapshots of every sheet within an execution.
+      // Dynamically filled by getRowSnapshotStorage.
+      storage: null
+    }
+  },
+
+  // Layouts of the sidebar preview (see `showSidebar`). Each line of an ad
+  // is truncated to the number of characters it fits, approximating how the
+  // ad renders on the device.
+  preview: {
+    desktop: {
+      headline: 60,
+      displayUrl: 45,
+      description: 90
+    },
+    mobile: {
+      headline: 50,
+      displayUrl: 32,
+      description: 75
     }
   }
 };
@@ -150,4 +258,25 @@ function initConfig() {
   var mainConfig = CONFIG.sheets.main;
 
   mainConfig.sheet = getSheetByName(mainConfig.name);
+
+  mainConfig.mismatchColumns.names =
+      getMismatchColumnNames(mainConfig.mismatchColumns.rules);
+
+  // Link columns listed in the settings sheet, if any, along with the
+  // configured ones. Listed columns take the listed scope.
+  var settingsConfig = CONFIG.sheets.settings;
+  var linkedColumnsValues = getLinkedColumnsValues(settingsConfig);
+
+  if (!isEmpty(linkedColumnsValues)) {
+    var columnsToLink = mainConfig.columnsToLink;
+    var linkedColumns = parseLinkedColumns(linkedColumnsValues,
+                                           mainConfig.columns);
+    linkedColumns.names.forEach(function(columnName) {
+      if (columnsToLink.names.indexOf(columnName) === -1) {
+        columnsToLink.names.push(columnName);
+      }
+      columnsToLink.scopes[columnName] = linkedColumns.scopes[columnName];
+    });
+    settingsConfig.linkedColumnsErrors = linkedColumns.errors;
+  }
 }
@@ -18,6 +18,32 @@ var AdStatus = createIdentityMap([
   'disabled'
 ]);
 
+// Scopes within which the cells of a linked column are linked: the whole
+// sheet, rows of the same campaign, or rows of the same ad group.
+var LinkScope = createIdentityMap([
+  'sheet',
+  'campaign',
+  'adGroup'
+]);
+
+// Checks of mismatch rules (see `CONFIG.sheets.main.mismatchColumns`):
+// - sameDomain: URLs of the rule's columns share the same domain.
+// - pathInUrl: paths are segments of the URL path of the rule's first column.
+// - lpurl: tracking templates insert the final URL, e.g. with {lpurl}.
+var MismatchRuleType = createIdentityMap([
+  'sameDomain',
+  'pathInUrl',
+  'lpurl'
+]);
+
+// Prefix of the values stored by `SheetStorage`, so that values such as
+// '=...' or '42' are not turned into formulas, numbers or dates.
+var SHEET_STORAGE_VALUE_PREFIX = '~';
+
+// Prefix of the lines mismatch rules add to cell notes, telling them apart
+// from notes written by users (see `highlightMismatchFields`).
+var MISMATCH_NOTE_PREFIX = 'Mismatch: ';
+
 var ColumnNames = createIdentityMap([
   'customerId',
   'customerName',
@@ -58,3 +84,19 @@ var ColumnNames = createIdentityMap([
 
   'readyToUpload',
   'errorMessage']);
+
+// Header of the history sheet, shared with the AdWords script (see
+// `HISTORY_SHEET_HEADER` in src/history.js).
+var HISTORY_HEADER = ['Run Id', 'Time', 'Account', 'Row', 'Ad type', 'Ad Id',
+                      'AdGroup Id', 'Field', 'Old value', 'New value',
+                      'Changed by'];
+
+// The maximum number of characters allowed in each ETA field, shared with
+// the AdWords script (see `CONFIG.etaFieldLimits` in src/config.js).
+var ETA_FIELD_LIMITS = {
+  headline1: 30,
+  headline2: 30,
+  description: 80,
+  path1: 15,
+  path2: 15
+};
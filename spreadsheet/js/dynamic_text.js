@@ -0,0 +1,238 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Keyword insertion tags, one per capitalization of the inserted keyword.
+ * @type {Array<string>}
+ */
+var KEYWORD_INSERTION_TAGS = ['keyword', 'Keyword', 'KeyWord', 'KEYWord',
+                              'KeyWORD'];
+
+
+/**
+ * Parses text written with AdWords dynamic text syntax:
+ * - keyword insertion, e.g. {KeyWord:Running Shoes},
+ * - ad customizers, e.g. {=Products.Name:Shoes},
+ * - IF functions, e.g. {=IF(device=mobile,Call Now):Visit Us}.
+ *
+ * NOTE: This implementation does not mimic at 100% AdWords implementation,
+ * it catches the most common syntax errors.
+ *
+ * @param {string} text
+ *
+ * @return {{segments: Array<Object>,
+ *           errors: Array<string>}} The text split in segments, each with a
+ *     `type` ('text', 'keyword', 'customizer' or 'if'), the `raw` text, the
+ *     `defaultText` shown when the dynamic text can't be inserted and, for IF
+ *     functions, the `conditionalText` shown when the condition is met.
+ *     Segments with syntax errors are kept as text.
+ */
+function parseDynamicText(text) {
+  text = String(text);
+  var result = {segments: [], errors: []};
+
+  function _pushText(raw) {
+    if (raw.length > 0) {
+      result.segments.push({type: 'text', raw: raw, defaultText: raw,
+                            conditionalText: raw});
+    }
+  }
+
+  var position = 0;
+  while (position < text.length) {
+    var start = text.indexOf('{', position);
+    var strayEnd = text.indexOf('}', position);
+
+    if (strayEnd !== -1 && (start === -1 || strayEnd < start)) {
+      result.errors.push('has a "}" without a matching "{".');
+      _pushText(text.substring(position, strayEnd + 1));
+      position = strayEnd + 1;
+      continue;
+    }
+
+    if (start === -1) {
+      _pushText(text.substring(position));
+      break;
+    }
+
+    _pushText(text.substring(position, start));
+
+    var end = text.indexOf('}', start);
+    if (end === -1) {
+      result.errors.push('has a "{" without a matching "}".');
+      _pushText(text.substring(start));
+      break;
+    }
+
+    var raw = text.substring(start, end + 1);
+    var body = text.substring(start + 1, end);
+    var segment = null;
+    if (body.indexOf('{') !== -1) {
+      result.errors.push('has a "{" inside "' + raw + '".');
+    } else {
+      segment = parseDynamicTextTag(body, raw, result.errors);
+    }
+
+    if (segment) {
+      result.segments.push(segment);
+    } else {
+      _pushText(raw);
+    }
+    position = end + 1;
+  }
+
+  return result;
+}
+
+
+/**
+ * Parses the content of a pair of braces, see `parseDynamicText`.
+ *
+ * @param {string} body The text between braces.
+ * @param {string} raw The text, braces included.
+ * @param {Array<string>} errors Syntax errors are added to this list.
+ *
+ * @return {?Object} The segment, or null on syntax errors.
+ */
+function parseDynamicTextTag(body, raw, errors) {
+  // IF functions: {=IF(condition,text)} or {=IF(condition,text):default}.
+  if (/^=\s*IF\s*\(/i.test(body)) {
+    var open = body.indexOf('(');
+    var depth = 0;
+    var comma = -1;
+    var close = -1;
+    for (var i = open; i < body.length && close === -1; i++) {
+      if (body[i] === '(') {
+        depth++;
+      } else if (body[i] === ')') {
+        depth--;
+        if (depth === 0) {
+          close = i;
+        }
+      } else if (body[i] === ',' && depth === 1 && comma === -1) {
+        comma = i;
+      }
+    }
+
+    var rest = close === -1 ? '' : body.substring(close + 1);
+    if (close === -1 || comma === -1 ||
+        (rest.length > 0 && rest[0] !== ':')) {
+      errors.push('has an invalid IF function "' + raw + '", use ' +
+                  '{=IF(condition,text):default text}.');
+      return null;
+    }
+
+    var condition = body.substring(open + 1, comma).trim();
+    if (!/^device\s*=\s*mobile$/i.test(condition) &&
+        !/^audience\s+IN\s*\(.+\)$/i.test(condition)) {
+      errors.push('has an invalid IF function condition "' + condition +
+                  '", use device=mobile or audience IN(audience names).');
+      return null;
+    }
+
+    var conditionalText = body.substring(comma + 1, close).trim();
+    if (isEmptyString(conditionalText)) {
+      errors.push('has an IF function without text in "' + raw + '".');
+      return null;
+    }
+
+    var ifDefaultText = rest.substring(1);
+    return {type: 'if', raw: raw, defaultText: ifDefaultText,
+            conditionalText: conditionalText};
+  }
+
+  var separator = body.indexOf(':');
+  var name = separator === -1 ? body : body.substring(0, separator);
+  var defaultText = separator === -1 ? '' : body.substring(separator + 1);
+
+  // Ad customizers: {=Feed.Attribute} or {=Feed.Attribute:default}.
+  if (name[0] === '=') {
+    if (!/^=[^.]+\.[^.]+$/.test(name)) {
+      errors.push('has an invalid ad customizer "' + raw + '", use ' +
+                  '{=Feed.Attribute:default text}.');
+      return null;
+    }
+
+    return {type: 'customizer', raw: raw, defaultText: defaultText,
+            conditionalText: defaultText};
+  }
+
+  // Keyword insertion: {KeyWord:default}.
+  if (name.toLowerCase() === 'keyword') {
+    if (KEYWORD_INSERTION_TAGS.indexOf(name) === -1) {
+      errors.push('has an unknown keyword insertion tag "' + name +
+                  '", use one of ' + KEYWORD_INSERTION_TAGS.join(', ') + '.');
+      return null;
+    }
+
+    if (isEmptyString(defaultText)) {
+      errors.push('has keyword insertion without default text in "' + raw +
+                  '", use {' + name + ':default text}.');
+      return null;
+    }
+
+    return {type: 'keyword', raw: raw, defaultText: defaultText,
+            conditionalText: defaultText};
+  }
+
+  errors.push('has unknown dynamic text "' + raw + '".');
+  return null;
+}
+
+
+/**
+ * Renders text written with dynamic text syntax, replacing dynamic text with
+ * its default text, see `parseDynamicText`.
+ *
+ * @param {string} text
+ * @param {boolean=} isConditional Whether to render the text of IF functions
+ *                                 instead of their default text.
+ *
+ * @return {string}
+ */
+function renderDynamicText(text, isConditional) {
+  return parseDynamicText(text).segments.map(function(segment) {
+    return isConditional ? segment.conditionalText : segment.defaultText;
+  }).join('');
+}
+
+
+/**
+ * Retrieves the length of text written with dynamic text syntax, as counted
+ * against field limits: the length of its default text, or of the text of
+ * its IF functions when longer.
+ *
+ * @param {string} text
+ *
+ * @return {number}
+ */
+function getEffectiveLength(text) {
+  return Math.max(renderDynamicText(text).length,
+                  renderDynamicText(text, true).length);
+}
+
+
+/**
+ * Custom function counting characters of an ETA field the way AdWords does,
+ * see `getEffectiveLength`. Use it in the character count columns, e.g.
+ * =30-EFFECTIVE_LENGTH(R[0]C[-1]).
+ *
+ * @param {string} text The field's value.
+ *
+ * @return {number} The number of characters counted against the limit.
+ * @customfunction
+ */
+function EFFECTIVE_LENGTH(text) {
+  return getEffectiveLength(isEmpty(text) ? '' : text);
+}
@@ -20,13 +20,21 @@ function onOpen() {
   // Initialize dynamic config variables.
   initConfig();
 
-  linkMatchingColumns(CONFIG.sheets.main);
-
   SpreadsheetApp.getUi()
       .createMenu('Preview')
       .addItem('Show ETA Preview', 'showSidebar')
       .addToUi();
 
+  SpreadsheetApp.getUi()
+      .createMenu('Variants')
+      .addItem('Add ETA Variant', 'addETAVariant')
+      .addToUi();
+
+  SpreadsheetApp.getUi()
+      .createMenu('Rewrite')
+      .addItem('Apply Rewrite Rules', 'applyRewriteRulesFromMenu')
+      .addToUi();
+
   // Ensure all cell format is set to `text`.
   // This will ensure that the old value passed to the event object for triggers
   // will not be formatted.
@@ -35,6 +43,8 @@ function onOpen() {
   var allRange = mainSheet.getRange(1, 1, mainSheet.getLastRow(),
                                     mainSheet.getLastColumn());
   allRange.setNumberFormat('0');
+
+  updateContentSheets(CONFIG.sheets.main);
 }
 
 
@@ -47,12 +57,13 @@ function onOpen() {
  *
  * @param {Object} mainConfig Contains sheet related properties. Expected
  *                            attributes to be found in mainConfig are the
- *                            following, `sheet`, `storageKey`,
- *                            `linkedCellsCacheKey`, `columnsToLink`,
+ *                            following, `sheet`, `columnsToLink`,
  *                            `columns`, and `mismatchColumns`.
+ * @param {Sheet=} sheet The main sheet or one of its shards, whose cells are
+ *                       linked. Defaults to the main sheet.
  */
-function linkMatchingColumns(mainConfig)  {
-  var sheet = mainConfig.sheet;
+function linkMatchingColumns(mainConfig, sheet)  {
+  sheet = sheet || mainConfig.sheet;
 
   // Get all non-empty rows.
   var nonEmptyRows = getContentRows(sheet,
@@ -61,13 +72,13 @@ function linkMatchingColumns(mainConfig)  {
                                     mainConfig.columns);
 
   // Storage used to store the linking data structure (MatchingColumnsBucket).
-  var storage = CacheService.getPublicCache();
+  var storage = getLinkedCellsStorage();
 
   // The data structure used to keep track of linked cells.
-  var matchingColumnsBuckets = new MatchingColumnsBucket(storage,
-                                                         mainConfig.storageKey);
+  var matchingColumnsBuckets = new MatchingColumnsBucket(
+      storage, getLinkedCellsStorageKey(mainConfig, sheet));
 
-  // Clear cache for both.
+  // Clear storage for both.
   matchingColumnsBuckets.clear();
 
   // Traverse each row.
@@ -87,13 +98,15 @@ function linkMatchingColumns(mainConfig)  {
           !isEmpty(rowIndex)) {
         // Add 1 to keep offsets consistent with spreadsheet.
         var columnIndex = mainConfig.columns[columnName].index + 1;
-        matchingColumnsBuckets.addValue(columnIndex, value, rowIndex);
+        var scope = mainConfig.columnsToLink.scopes[columnName];
+        matchingColumnsBuckets.addValue(
+            columnIndex, getLinkedCellKey(nonEmptyRow, scope, value),
+            rowIndex);
       }
     });
 
     // Highlight any mismatching fields.
-    highlightMismatchFields(nonEmptyRow, mainConfig.mismatchColumns.names,
-                            mainConfig.mismatchColumns.color);
+    highlightMismatchFields(nonEmptyRow, mainConfig.mismatchColumns.rules);
   });
 
   // Save matchingColumnsBuckets future retrieval.
@@ -102,22 +115,238 @@ function linkMatchingColumns(mainConfig)  {
 
 
 /**
- * Refresh Cache if no data is present.
+ * Updates linked cells with the rows changed since the spreadsheet was last
+ * open, such as rows exported or synced by the AdWords script, instead of
+ * linking every row again. Mismatching fields are highlighted in changed
+ * rows. Rows are linked from scratch when no linked cells are stored.
+ *
+ * @param {Object} mainConfig See `linkMatchingColumns`.
+ * @param {Sheet=} sheet See `linkMatchingColumns`.
+ */
+function updateMatchingColumns(mainConfig, sheet) {
+  sheet = sheet || mainConfig.sheet;
+
+  var storage = getLinkedCellsStorage();
+  var storageKey = getLinkedCellsStorageKey(mainConfig, sheet);
+  if (isEmptyString(storage.get(storageKey))) {
+    linkMatchingColumns(mainConfig, sheet);
+    return;
+  }
+
+  var matchingColumnsBuckets = new MatchingColumnsBucket(storage, storageKey);
+
+  var snapshot = new RowSnapshot(getRowSnapshotStorage(), sheet,
+                                 mainConfig.firstContentRow);
+  var nonEmptyRows = getContentRows(sheet,
+                                    mainConfig.firstContentRow,
+                                    mainConfig.nonEmptyColumnCheck,
+                                    mainConfig.columns);
+  var columnIndices = mainConfig.columnsToLink.names.map(function(columnName) {
+    // Add 1 to keep offsets consistent with spreadsheet.
+    return mainConfig.columns[columnName].index + 1;
+  });
+
+  var rowIndices = {};
+  nonEmptyRows.forEach(function(nonEmptyRow) {
+    var rowIndex = nonEmptyRow.getRowIndex();
+    rowIndices[rowIndex] = true;
+
+    // Move cells whose value changed to their new bucket.
+    var isChanged = false;
+    mainConfig.columnsToLink.names.forEach(function(columnName, i) {
+      var columnIndex = columnIndices[i];
+      var value = nonEmptyRow.getValueAt(columnIndex);
+      var key = isEmptyString(value) ? '' : getLinkedCellKey(
+          nonEmptyRow, mainConfig.columnsToLink.scopes[columnName], value);
+      var bucketKey = matchingColumnsBuckets.getBucketKey(columnIndex,
+                                                          rowIndex);
+      if (String(isEmpty(bucketKey) ? '' : bucketKey) === key) {
+        return;
+      }
+
+      matchingColumnsBuckets.removeValue(columnIndex, rowIndex);
+      if (!isEmptyString(key)) {
+        matchingColumnsBuckets.addValue(columnIndex, key, rowIndex);
+      }
+      isChanged = true;
+    });
+
+    // Rows changed since their snapshot may mismatch.
+    var oldValues = snapshot.get(rowIndex);
+    if (isChanged || isEmpty(oldValues) ||
+        JSON.stringify(oldValues) !==
+        JSON.stringify(nonEmptyRow.getValues())) {
+      highlightMismatchFields(nonEmptyRow,
+                              mainConfig.mismatchColumns.rules);
+    }
+  });
+
+  // Forget rows no longer holding content.
+  columnIndices.forEach(function(columnIndex) {
+    matchingColumnsBuckets.getValues(columnIndex).forEach(function(rowIndex) {
+      if (!(rowIndex in rowIndices)) {
+        matchingColumnsBuckets.removeValue(columnIndex, rowIndex);
+      }
+    });
+  });
+
+  matchingColumnsBuckets.save();
+}
+
+
+/**
+ * Retrieves the storage holding linked cells, see `MatchingColumnsBucket`.
+ * The hidden sheet holding values is created if missing.
+ *
+ * @return {ChunkedStorage}
+ */
+function getLinkedCellsStorage() {
+  var linkedCellsConfig = CONFIG.sheets.linkedCells;
+  return new ChunkedStorage(
+      new SheetStorage(getStorageSheet(linkedCellsConfig)),
+      linkedCellsConfig.chunkSize);
+}
+
+
+/**
+ * Retrieves the storage holding row snapshots, see `RowSnapshot`. The hidden
+ * sheet holding values is created if missing, and read once per execution.
+ *
+ * @return {ChunkedStorage}
+ */
+function getRowSnapshotStorage() {
+  var rowSnapshotsConfig = CONFIG.sheets.rowSnapshots;
+  if (isEmpty(rowSnapshotsConfig.storage)) {
+    rowSnapshotsConfig.storage = new ChunkedStorage(
+        new SheetStorage(getStorageSheet(rowSnapshotsConfig)),
+        rowSnapshotsConfig.chunkSize);
+  }
+
+  return rowSnapshotsConfig.storage;
+}
+
+
+/**
+ * Retrieves a hidden sheet holding stored values, created if missing.
+ *
+ * @param {Object} storageConfig The sheet's configuration.
+ *
+ * @return {Sheet}
+ */
+function getStorageSheet(storageConfig) {
+  var sheet = getSheetByName(storageConfig);
+  if (isEmpty(sheet)) {
+    sheet = SpreadsheetApp.getActiveSpreadsheet()
+        .insertSheet(storageConfig.name);
+    sheet.hideSheet();
+  }
+
+  return sheet;
+}
+
+
+/**
+ * Retrieves the key the linked cells of a sheet are stored under. Row indices
+ * only identify rows within a sheet, so the cells of each shard are linked
+ * within the shard.
+ *
+ * @param {Object} mainConfig Main sheet configuration.
+ * @param {Sheet} sheet The main sheet or one of its shards.
+ *
+ * @return {string}
+ */
+function getLinkedCellsStorageKey(mainConfig, sheet) {
+  var storageKey = mainConfig.columnsToLink.storageKey;
+  if (sheet.getName() === mainConfig.name) {
+    return storageKey;
+  }
+
+  return storageKey + ':' + sheet.getName();
+}
+
+
+/**
+ * Links matching columns if no linked cells are stored.
  *
  * @param {Object} mainConfig
+ * @param {Sheet=} sheet See `linkMatchingColumns`.
  */
-function refreshCache(mainConfig) {
-  var storage = CacheService.getPublicCache();
+function refreshCache(mainConfig, sheet) {
+  sheet = sheet || mainConfig.sheet;
+  var storage = getLinkedCellsStorage();
 
-  // Check if one of our cache keys have any values in them.
-  var JSONString = storage.get(mainConfig.columnsToLink.storageKey);
+  // Check if our storage key has any values in it.
+  var JSONString = storage.get(getLinkedCellsStorageKey(mainConfig, sheet));
 
   if (isEmptyString(JSONString)) {
-    linkMatchingColumns(mainConfig);
+    linkMatchingColumns(mainConfig, sheet);
   }
 }
 
 
+/**
+ * Retrieves the main sheet and its shards, see `getSheetConfig`.
+ *
+ * @param {Object} mainConfig Main sheet configuration.
+ *
+ * @return {Array<Sheet>}
+ */
+function getContentSheets(mainConfig) {
+  return SpreadsheetApp.getActiveSpreadsheet().getSheets().filter(
+      function(sheet) {
+        return getSheetConfig(sheet.getName()) === mainConfig;
+      });
+}
+
+
+/**
+ * Updates the linked cells of the main sheet and its shards, and stores the
+ * current values of their rows, as edits of multiple cells don't come with
+ * them (see `RowSnapshot`). The active sheet is updated first, other sheets
+ * are left once `mainConfig.openTimeLimitSeconds` have passed.
+ *
+ * @param {Object} mainConfig Main sheet configuration.
+ */
+function updateContentSheets(mainConfig) {
+  var deadline = new Date().getTime() +
+                 mainConfig.openTimeLimitSeconds * 1000;
+  var activeSheetName = SpreadsheetApp.getActiveSheet().getName();
+  var sheets = getContentSheets(mainConfig);
+  var isActive = function(sheet) {
+    return sheet.getName() === activeSheetName;
+  };
+
+  sheets.filter(isActive).concat(sheets.filter(function(sheet) {
+    return !isActive(sheet);
+  })).some(function(sheet) {
+    if (new Date().getTime() > deadline) {
+      return true;
+    }
+
+    updateMatchingColumns(mainConfig, sheet);
+    new RowSnapshot(getRowSnapshotStorage(), sheet,
+                    mainConfig.firstContentRow).refresh();
+    return false;
+  });
+}
+
+
+/**
+ * Whether matching columns linking is turned on in the settings sheet.
+ *
+ * @param {Object} settingsConfig Setting's sheet configuration.
+ *
+ * @return {boolean}
+ */
+function isMatchingColumnsLinkingEnabled(settingsConfig) {
+  var enableMatchingColumnsLinking = settingsConfig.sheet.getRange(
+      settingsConfig.enableMatchingColumnsLinkingCell);
+
+  return String(enableMatchingColumnsLinking.getValue()).trim()
+      .toLowerCase() === 'on';
+}
+
+
 /**
  * A callback for an "on edit" trigger.
  *
@@ -128,34 +357,60 @@ function onEdit(event) {
   var sheetName = sheet.getSheetName();
   var sheetConfig = getSheetConfig(sheetName);
 
-  if (isEmpty(sheetConfig)) {
-    // Only listen to events coming from known sheets.
+  if (isEmpty(sheetConfig) || sheetConfig === CONFIG.sheets.history ||
+      sheetConfig === CONFIG.sheets.rewriteRules ||
+      sheetConfig === CONFIG.sheets.linkedCells ||
+      sheetConfig === CONFIG.sheets.rowSnapshots) {
+    // Only listen to events coming from known sheets, other than the history,
+    // rewrite rules and storage sheets.
     return;
   }
 
-  // If working on main sheet, make sure multiple cells aren't being edited.
-  if (sheetName === CONFIG.sheets.main.name && isMultiCell(event.range)) {
-    showMessage('You have edited multiple cells simultaneously,' +
-                ' please undo(ctrl-z) in order for sheet to function' +
-                ' properly.');
-    return;
+  var mainConfig = CONFIG.sheets.main;
+  var settingsConfig = CONFIG.sheets.settings;
+
+  // Edits to the list of linked columns invalidate its cached values, read
+  // by initConfig.
+  var linkedColumnsRange = event.source.getRangeByName(
+      settingsConfig.linkedColumnsRange);
+  var isLinkedColumnsEdit = !isEmpty(linkedColumnsRange) &&
+                            isOverlapping(event.range, linkedColumnsRange);
+  if (isLinkedColumnsEdit) {
+    CacheService.getPublicCache().remove(settingsConfig.linkedColumnsCacheKey);
   }
 
   // Initialize dynamic config variables.
   initConfig();
-  var mainConfig = CONFIG.sheets.main;
-  var settingsConfig = CONFIG.sheets.settings;
 
   // Handle changes in a linked toggle cell.
   if (isCellEdit(event.range, settingsConfig.name,
                  settingsConfig.enableMatchingColumnsLinkingCell)) {
     // If set to on, trigger linkMatchingColumns.
     if (!isEmpty(event.value) && event.value.trim().toLowerCase() === 'on') {
-      linkMatchingColumns(mainConfig);
+      getContentSheets(mainConfig).forEach(function(contentSheet) {
+        linkMatchingColumns(mainConfig, contentSheet);
+      });
     }
     return;
   }
 
+  // Handle changes to the list of linked columns, linking rows again.
+  if (isLinkedColumnsEdit) {
+    getContentSheets(mainConfig).forEach(function(contentSheet) {
+      linkMatchingColumns(mainConfig, contentSheet);
+    });
+    if (settingsConfig.linkedColumnsErrors.length > 0) {
+      showMessage(settingsConfig.linkedColumnsErrors.join('\n'));
+    }
+    return;
+  }
+
+  // Pastes and fill-downs in the main sheet edit multiple cells at once.
+  if (sheetConfig === mainConfig && isMultiCell(event.range)) {
+    onRangeEdit(event.range, mainConfig, settingsConfig);
+    return;
+  }
+
   onCellEdit(event.range, mainConfig, settingsConfig, event);
 }
 
@@ -191,6 +446,15 @@ function onCellEdit(cell, sheetConfig, settingsConfig, event) {
     return;
   }
 
+  // Keep a trail of user edits to the main sheet and its shards.
+  var isContentSheet = getSheetConfig(sheet.getName()) === sheetConfig;
+  var historyConfig = CONFIG.sheets.history;
+  if (historyConfig.logUserEdits && isContentSheet) {
+    logUserEdit(historyConfig, new SpreadsheetRow(sheet, rowIndex,
+                                                  sheetConfig.columns),
+                columnName, event.oldValue, event.value);
+  }
+
   // If this row has errors, and the user has edited any field - mark
   // it as `staged`.
   if (hasError(sheet, sheetConfig.columns, rowIndex)) {
@@ -199,23 +463,13 @@ function onCellEdit(cell, sheetConfig, settingsConfig, event) {
 
   // Handle changes to linked cells.
   if (sheetConfig.columnsToLink.names.indexOf(columnName) !== -1) {
+    if (isMatchingColumnsLinkingEnabled(settingsConfig)) {
+      // Link rows in case no linked cells are stored.
+      refreshCache(sheetConfig, sheet);
 
-    // Retrieve linkedColumns enable flag.
-    var enableMatchingColumnsLinking = settingsConfig.sheet.getRange(
-        settingsConfig.enableMatchingColumnsLinkingCell);
-
-    enableMatchingColumnsLinking = enableMatchingColumnsLinking.getValue().
-        trim().toLowerCase();
-
-    if (enableMatchingColumnsLinking === 'on') {
-      // Cache clears every 6 hours.
-      // Refresh in case it's empty
-      refreshCache(sheetConfig);
-
-      linkedRows = handleLinkedRangeEdit(sheet,
-                                         event,
-                                         sheetConfig.columnsToLink.storageKey,
-                                         sheetConfig.columns);
+      linkedRows = handleLinkedRangeEdit(
+          sheet, event, getLinkedCellsStorageKey(sheetConfig, sheet),
+          sheetConfig.columns, sheetConfig.columnsToLink.scopes[columnName]);
     }
   }
 
@@ -227,6 +481,173 @@ function onCellEdit(cell, sheetConfig, settingsConfig, event) {
                             sheetConfig.mismatchColumns,
                             sheetConfig.columns);
   }
+
+  // Keep the snapshot of edited rows current, for later multi-cell edits.
+  if (isContentSheet) {
+    var rowIndices = [rowIndex].concat((linkedRows || []).map(function(row) {
+      return row.getRowIndex();
+    }));
+    new RowSnapshot(getRowSnapshotStorage(), sheet,
+                    sheetConfig.firstContentRow).update(rowIndices);
+  }
+}
+
+
+/**
+ * Handle an edit of multiple cells, such as a paste or a fill-down. Edits
+ * of multiple cells don't come with the previous values, which are read
+ * from the sheet's `RowSnapshot` instead.
+ *
+ * Read only cells are reverted, other cells are handled as in `onCellEdit`.
+ *
+ * @param {Range} range Edited range.
+ * @param {Object} sheetConfig Active sheet's configuration.
+ * @param {Object} settingsConfig Setting's sheet configuration.
+ */
+function onRangeEdit(range, sheetConfig, settingsConfig) {
+  var sheet = range.getSheet();
+  var columns = sheetConfig.columns;
+  var firstRowIndex = Math.max(range.getRow(), sheetConfig.firstContentRow);
+  var lastRowIndex = range.getLastRow();
+  var firstColIndex = range.getColumn();
+  var lastColIndex = Math.min(range.getLastColumn(), columns._lastIndex + 1);
+  if (lastRowIndex < firstRowIndex || lastColIndex < firstColIndex) {
+    // Only listen to events coming from the content of the list.
+    return;
+  }
+
+  var snapshot = new RowSnapshot(getRowSnapshotStorage(), sheet,
+                                 sheetConfig.firstContentRow);
+  var numRows = lastRowIndex - firstRowIndex + 1;
+  var rowsValues = sheet.getRange(firstRowIndex, 1, numRows,
+                                  columns._lastIndex + 1).getValues();
+
+  // Previous values of each row, null when unknown.
+  var oldRowsValues = rowsValues.map(function(values, index) {
+    return snapshot.getBeforeEdit(firstRowIndex + index, values,
+                                  firstColIndex, lastColIndex);
+  });
+
+  // Statuses and read only columns decide whether the rest of the row is read
+  // only, revert them first.
+  var colIndices = [];
+  for (var colIndex = firstColIndex; colIndex <= lastColIndex; colIndex++) {
+    colIndices.push(colIndex);
+  }
+  var deciding = [ColumnNames.staStatus, ColumnNames.etaStatus]
+      .concat(sheetConfig.readOnlyColumns || []);
+  function _isDeciding(colIndex) {
+    return deciding.indexOf(columns._order[colIndex - 1]) !== -1;
+  }
+
+  var revertedCount = 0;
+  var unrevertedCount = 0;
+  var edits = [];
+
+  [colIndices.filter(_isDeciding), colIndices.filter(function(colIndex) {
+    return !_isDeciding(colIndex);
+  })].forEach(function(passColIndices) {
+    rowsValues.forEach(function(values, index) {
+      var rowIndex = firstRowIndex + index;
+      var oldValues = oldRowsValues[index];
+
+      passColIndices.forEach(function(colIndex) {
+        var columnName = columns._order[colIndex - 1];
+        var oldValue = isEmpty(oldValues) ? undefined :
+            String(isEmpty(oldValues[colIndex - 1]) ? '' :
+                   oldValues[colIndex - 1]);
+        var newValue = String(values[colIndex - 1]);
+        if (oldValue === newValue) {
+          return;
+        }
+
+        if (isReadOnly(sheet, sheetConfig, rowIndex, columnName, oldValue)) {
+          if (isEmpty(oldValue)) {
+            unrevertedCount++;
+          } else {
+            sheet.getRange(rowIndex, colIndex).setValue(oldValue);
+            revertedCount++;
+          }
+          return;
+        }
+
+        edits.push({
+          row: new SpreadsheetRow(sheet, rowIndex, columns),
+          colIndex: colIndex,
+          columnName: columnName,
+          oldValue: oldValue,
+          newValue: newValue
+        });
+      });
+    });
+  });
+
+  // Keep a trail of user edits to the main sheet and its shards.
+  var historyConfig = CONFIG.sheets.history;
+  if (historyConfig.logUserEdits && edits.length > 0) {
+    logUserEdits(historyConfig, edits);
+  }
+
+  var editedRows = {};
+  var updatedRows = {};
+  var mismatchRows = {};
+  var isLinkingEnabled = null;
+
+  edits.forEach(function(edit) {
+    var rowIndex = edit.row.getRowIndex();
+
+    // If this row has errors, and the user has edited any field - mark it as
+    // `staged`.
+    if (!(rowIndex in editedRows) && hasError(sheet, columns, rowIndex)) {
+      markRowAsStaged(sheet, rowIndex);
+    }
+    editedRows[rowIndex] = edit.row;
+
+    // Handle changes to linked cells.
+    var linkedRows = [];
+    if (sheetConfig.columnsToLink.names.indexOf(edit.columnName) !== -1) {
+      if (isLinkingEnabled === null) {
+        isLinkingEnabled = isMatchingColumnsLinkingEnabled(settingsConfig);
+        if (isLinkingEnabled) {
+          refreshCache(sheetConfig, sheet);
+        }
+      }
+
+      if (isLinkingEnabled) {
+        linkedRows = handleLinkedRangeEdit(sheet, {
+          range: sheet.getRange(rowIndex, edit.colIndex),
+          oldValue: edit.oldValue,
+          value: edit.newValue
+        }, getLinkedCellsStorageKey(sheetConfig, sheet), columns,
+        sheetConfig.columnsToLink.scopes[edit.columnName]) || [];
+      }
+    }
+
+    // Handle changes to mismatch cells, highlighted once per row.
+    var isMismatchColumn =
+        sheetConfig.mismatchColumns.names.indexOf(edit.columnName) !== -1;
+    [edit.row].concat(linkedRows).forEach(function(row) {
+      if (isMismatchColumn) {
+        mismatchRows[row.getRowIndex()] = row;
+      }
+      updatedRows[row.getRowIndex()] = row;
+    });
+  });
+
+  Object.keys(mismatchRows).forEach(function(rowIndex) {
+    highlightMismatchFields(mismatchRows[rowIndex],
+                            sheetConfig.mismatchColumns.rules);
+  });
+
+  // Keep the snapshot of edited rows current, for later multi-cell edits.
+  snapshot.update(Object.keys(updatedRows).map(Number));
+
+  if (revertedCount > 0 || unrevertedCount > 0) {
+    showMessage(revertedCount + ' read-only cells were reverted' +
+                (unrevertedCount > 0 ? ', ' + unrevertedCount +
+                 ' could not be - previous values not found' : '') +
+                '. Read-only cells may populate automatically.');
+  }
 }
 
 
@@ -237,12 +658,14 @@ function onCellEdit(cell, sheetConfig, settingsConfig, event) {
  * @param {Event} event
  * @param {Array<Range>} storageKey Key where linked cells are stored.
  * @param {Object} columns A mapping between column names and column indices.
+ * @param {string=} scope The scope cells of the column are linked within,
+ *                        see `LinkScope`. Defaults to the whole sheet.
  *
  * @return {Array<SpreadSheetRow>} An array of linked rows.
  */
-function handleLinkedRangeEdit(sheet, event, storageKey, columns) {
-  // Initialize MatchingColumnsBucket and linkedCellsCache.
-  var storage = CacheService.getPublicCache();
+function handleLinkedRangeEdit(sheet, event, storageKey, columns, scope) {
+  // Initialize MatchingColumnsBucket.
+  var storage = getLinkedCellsStorage();
   var matchingColumnsBuckets = new MatchingColumnsBucket(storage, storageKey);
 
   var cell = event.range;
@@ -261,19 +684,50 @@ function handleLinkedRangeEdit(sheet, event, storageKey, columns) {
     return false;
   }
 
+  // Cells are linked by value, within the scope of the edited row.
+  var editedRow = new SpreadsheetRow(sheet, rowIndex, columns);
+  var oldKey = getLinkedCellKey(editedRow, scope, oldValue);
+
+  // A cleared cell leaves its linked cells unchanged.
+  if (isEmptyString(newValue)) {
+    matchingColumnsBuckets.removeValue(columnIndex, rowIndex);
+    matchingColumnsBuckets.save();
+    return [];
+  }
+
+  var newKey = getLinkedCellKey(editedRow, scope, newValue);
+
   // Retrieve rows linked with this cell.
-  var rowsToChange = matchingColumnsBuckets.getValue(columnIndex, oldValue);
-  rowsToChange.forEach(function(rowIndex) {
-    var row = new SpreadsheetRow(sheet, rowIndex, columns);
+  var rowsToChange = matchingColumnsBuckets.getValue(columnIndex, oldKey) ||
+      [];
+  rowsToChange.forEach(function(linkedRowIndex) {
+    var row = new SpreadsheetRow(sheet, linkedRowIndex, columns);
+
+    // Verify the linked cell still holds the old value before overwriting it,
+    // rows may have changed since they were linked. Otherwise, move the cell
+    // to the bucket of its current value.
+    var currentValue = row.getValueAt(columnIndex);
+    if (linkedRowIndex !== rowIndex &&
+        String(currentValue) !== String(oldValue)) {
+      matchingColumnsBuckets.removeValue(columnIndex, linkedRowIndex);
+      if (!isEmptyString(currentValue)) {
+        matchingColumnsBuckets.addValue(
+            columnIndex, getLinkedCellKey(row, scope, currentValue),
+            linkedRowIndex);
+      }
+      return;
+    }
 
     // Set cell value according to it's index.
-    row.setValueAt(columnIndex, newValue);
+    if (linkedRowIndex !== rowIndex) {
+      row.setValueAt(columnIndex, newValue);
+    }
 
     linkedRows.push(row);
   });
 
   // Transfer bucket to new value, since edit triggered a change.
-  matchingColumnsBuckets.transferBucket(columnIndex, oldValue, newValue);
+  matchingColumnsBuckets.transferBucket(columnIndex, oldKey, newKey);
 
   // Save changes made.
   matchingColumnsBuckets.save();
@@ -294,10 +748,9 @@ function handleLinkedRangeEdit(sheet, event, storageKey, columns) {
  *                                      column different row). Therefore, such a
  *                                      change can potentially result in a
  *                                      mismatch in other rows.
- * @param {Object} mismatchColumns An object with `names` and `color` attributes
- *                                 indicating the names of columns to compare
- *                                 with and and color to highlight mismatch rows
- *                                 with.
+ * @param {Object} mismatchColumns An object with `names` and `rules`
+ *                                 attributes indicating the names of columns
+ *                                 checked and the rules to check them with.
  * @param {Object} columns A mapping between column names and column indices.
  */
 function handleMismatchRangeEdit(sheet, event, linkedRows, mismatchColumns,
@@ -311,14 +764,14 @@ function handleMismatchRangeEdit(sheet, event, linkedRows, mismatchColumns,
   }
 
   modifiedRows.forEach(function(row) {
-    var highlightColor = mismatchColumns.color;
-    highlightMismatchFields(row, mismatchColumns.names, highlightColor);
+    highlightMismatchFields(row, mismatchColumns.rules);
   });
 }
 
 
 /**
- * Open a sidebar and load the ETA preview html file.
+ * Open a sidebar and load the ETA preview html file, showing the ETA of the
+ * active row next to its STA in desktop and mobile layouts.
  */
 function showSidebar() {
   // Get active row.
@@ -348,24 +801,12 @@ function showSidebar() {
   // Get HTML content.
   var content = html.getContent();
 
-  // Replace placeholders with real values, if found.
-  content = replaceKeyWithValue(content, columns.headline1.placeholder,
-                                values[columns.headline1.index]);
-  content = replaceKeyWithValue(content, columns.headline2.placeholder,
-                                values[columns.headline2.index]);
-  content = replaceKeyWithValue(content, columns.description.placeholder,
-                                values[columns.description.index]);
-
-  // If we have multiple final urls, select the first one.
-  var finalUrl = values[columns.finalUrl.index];
-  if (!isEmptyString(finalUrl)) {
-    finalUrl = finalUrl.replace(/\[\"(.*)\"\]/, '$1').split(',')[0];
-  }
-
-  content = replaceKeyWithValue(content, columns.finalUrl.placeholder,
-                                finalUrl);
-  content = replaceKeyWithValue(content, columns.displayUrl.placeholder,
-                                values[columns.displayUrl.index]);
+  // Replace placeholders of each layout with the texts of the ETA, and of the
+  // STA to compare it with.
+  var texts = getPreviewTexts(values, columns, CONFIG.preview);
+  Object.keys(texts).forEach(function(placeholder) {
+    content = content.split(placeholder).join(texts[placeholder]);
+  });
 
   // Update HTML content.
   html.setContent(content);
@@ -373,3 +814,100 @@ function showSidebar() {
   // Display HTML in a sidebar.
   SpreadsheetApp.getUi().showSidebar(html);
 }
+
+
+/**
+ * Adds a row below the active row, holding another ETA variant for the same
+ * STA. The row is a copy of the active row, with the columns describing a
+ * created ETA cleared. The script syncs the STA from its first row only, and
+ * creates an ETA for each of its rows.
+ */
+function addETAVariant() {
+  var sheet = SpreadsheetApp.getActiveSheet();
+  var activeRowIndex = sheet.getActiveCell().getRowIndex();
+  var sheetConfig = getSheetConfig(sheet.getName());
+
+  // Validate selected row is within content range.
+  if (isEmpty(sheetConfig) || activeRowIndex < sheetConfig.firstContentRow) {
+    showMessage('Please select a row with a STA to add an ETA variant.');
+    return;
+  }
+
+  var columns = sheetConfig.columns;
+  var row = new SpreadsheetRow(sheet, activeRowIndex, columns);
+  if (isEmptyString(row.get(ColumnNames.staId))) {
+    showMessage('Please select a row with a STA to add an ETA variant.');
+    return;
+  }
+
+  sheet.insertRowAfter(activeRowIndex);
+  var lastColumn = columns._lastIndex + 1;
+  sheet.getRange(activeRowIndex, 1, 1, lastColumn)
+      .copyTo(sheet.getRange(activeRowIndex + 1, 1, 1, lastColumn));
+
+  var variantRow = new SpreadsheetRow(sheet, activeRowIndex + 1, columns);
+  [ColumnNames.etaId,
+   ColumnNames.etaApprovalStatus,
+   ColumnNames.readyToUpload,
+   ColumnNames.errorMessage].forEach(function(columnName) {
+    variantRow.set(columnName, '');
+  });
+  variantRow.getCell(ColumnNames.errorMessage).setBackground(null);
+
+  sheet.setActiveRange(variantRow.getCell(ColumnNames.headline1));
+
+  // Rows below the new row moved, link matching columns again.
+  initConfig();
+  linkMatchingColumns(CONFIG.sheets.main, sheet);
+  new RowSnapshot(getRowSnapshotStorage(), sheet,
+                  sheetConfig.firstContentRow).refresh();
+}
+
+
+/**
+ * Applies the rules of the rewrite rules sheet to the rows without an ETA of
+ * the active sheet, if it is the main sheet or one of its shards, or of the
+ * main sheet. The rewrite rules sheet is created if missing.
+ */
+function applyRewriteRulesFromMenu() {
+  initConfig();
+  var rulesConfig = CONFIG.sheets.rewriteRules;
+  var rulesSheet = getSheetByName(rulesConfig);
+  if (isEmpty(rulesSheet)) {
+    rulesSheet = SpreadsheetApp.getActiveSpreadsheet()
+        .insertSheet(rulesConfig.name);
+    rulesSheet.appendRow(REWRITE_RULES_HEADER);
+    rulesSheet.setFrozenRows(1);
+    showMessage('Add rewrite rules to the "' + rulesConfig.name + '" sheet, ' +
+                'then apply them again.');
+    return;
+  }
+
+  var mainConfig = CONFIG.sheets.main;
+  var sheet = SpreadsheetApp.getActiveSheet();
+  if (getSheetConfig(sheet.getName()) !== mainConfig) {
+    sheet = getSheetByName(mainConfig);
+  }
+
+  var parsed = {rules: [], errors: []};
+  if (rulesSheet.getLastRow() > 1) {
+    parsed = parseRewriteRules(
+        rulesSheet.getRange(2, 1, rulesSheet.getLastRow() - 1,
+                            REWRITE_RULES_HEADER.length).getValues(),
+        Object.keys(ColumnNames));
+  }
+
+  var rows = getContentRows(sheet, mainConfig.firstContentRow,
+                            mainConfig.nonEmptyColumnCheck,
+                            mainConfig.columns);
+  var result = applyRewriteRules(parsed.rules, rows, ETA_FIELD_LIMITS);
+  if (result.rewrittenCount > 0) {
+    new RowSnapshot(getRowSnapshotStorage(), sheet,
+                    mainConfig.firstContentRow).refresh();
+  }
+
+  var errors = parsed.errors.concat(result.errors);
+  showMessage(result.rewrittenCount + ' rows rewritten by ' +
+              parsed.rules.length + ' rewrite rules.' +
+              (errors.length > 0 ? '\n\n' + errors.join('\n') : ''));
+}
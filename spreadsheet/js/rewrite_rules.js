@@ -0,0 +1,238 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+/**
+ * Header of the rewrite rules sheet, shared with the AdWords script (see
+ * `REWRITE_RULES_HEADER` in src/rewrite_rules.js).
+ * @type {Array<string>}
+ */
+var REWRITE_RULES_HEADER = ['Enabled', 'Field', 'Type', 'Find',
+                            'Replace with / Template', 'Campaign', 'AdGroup'];
+
+
+/**
+ * ETA fields rewrite rules may change.
+ * @type {Array<string>}
+ */
+var REWRITE_RULE_FIELDS = ['headline1', 'headline2', 'description', 'path1',
+                           'path2'];
+
+
+/**
+ * How a rewrite rule changes a field.
+ * @enum {string}
+ */
+var RewriteRuleType = {
+  // Replaces each occurrence of `find` with `replacement`.
+  REPLACE: 'replace',
+  // Sets the field to `replacement`, with {columnName} placeholders filled
+  // from the row.
+  TEMPLATE: 'template'
+};
+
+
+/**
+ * Parses rewrite rules from the values of the rewrite rules sheet, header
+ * excluded. Empty and disabled rules are skipped.
+ *
+ * Rules must not feed on their own result, so that applying them again
+ * changes nothing: templates may not use the field they set, and
+ * replacements may not contain the text they replace.
+ *
+ * @param {Array<Array<*>>} values Rows of the sheet, see
+ *                                 `REWRITE_RULES_HEADER`.
+ * @param {Array<string>} columnNames Columns placeholders may refer to.
+ *
+ * @return {{rules: Array<Object>, errors: Array<string>}} The rules, in
+ *     order, each with `rowIndex`, `field`, `type`, `find`, `replacement`,
+ *     `campaign` and `adGroup`. Invalid rules are reported in `errors`.
+ */
+function parseRewriteRules(values, columnNames) {
+  var result = {rules: [], errors: []};
+
+  values.forEach(function(rowValues, index) {
+    var cells = rowValues.map(function(value) {
+      return isEmpty(value) ? '' : String(value);
+    });
+    var isEmptyRow = cells.every(function(cell) {
+      return isEmptyString(cell);
+    });
+    var enabled = cells[0].trim().toLowerCase();
+    if (isEmptyRow || enabled === 'no' || enabled === 'false') {
+      return;
+    }
+
+    var rule = {
+      rowIndex: index + 2,
+      field: cells[1].trim(),
+      type: cells[2].trim().toLowerCase(),
+      find: cells[3],
+      replacement: cells[4],
+      campaign: cells[5].trim(),
+      adGroup: cells[6].trim()
+    };
+
+    var prefix = 'Rewrite rule in row ' + rule.rowIndex + ': ';
+    if (REWRITE_RULE_FIELDS.indexOf(rule.field) === -1) {
+      result.errors.push(prefix + 'unknown field "' + rule.field + '", use ' +
+                         'one of ' + REWRITE_RULE_FIELDS.join(', ') + '.');
+      return;
+    }
+
+    if (rule.type === RewriteRuleType.REPLACE) {
+      if (rule.find.length === 0) {
+        result.errors.push(prefix + 'the text to find is missing.');
+        return;
+      }
+      if (rule.replacement.indexOf(rule.find) !== -1) {
+        result.errors.push(prefix + 'the replacement contains the text it ' +
+                           'replaces.');
+        return;
+      }
+    } else if (rule.type === RewriteRuleType.TEMPLATE) {
+      if (isEmptyString(rule.replacement)) {
+        result.errors.push(prefix + 'the template is missing.');
+        return;
+      }
+
+      var placeholders = getRewriteTemplatePlaceholders(rule.replacement);
+      var unknown = placeholders.filter(function(name) {
+        return columnNames.indexOf(name) === -1;
+      });
+      if (unknown.length > 0) {
+        result.errors.push(prefix + 'unknown placeholder {' + unknown[0] +
+                           '}.');
+        return;
+      }
+      if (placeholders.indexOf(rule.field) !== -1) {
+        result.errors.push(prefix + 'the template uses the field it sets.');
+        return;
+      }
+    } else {
+      result.errors.push(prefix + 'unknown type "' + rule.type + '", use ' +
+                         RewriteRuleType.REPLACE + ' or ' +
+                         RewriteRuleType.TEMPLATE + '.');
+      return;
+    }
+
+    result.rules.push(rule);
+  });
+
+  return result;
+}
+
+
+/**
+ * Retrieves the placeholders of a template, e.g. 'campaignName' for
+ * '{campaignName} - Free Shipping'. Dynamic text such as {KeyWord:Shoes} is
+ * left out, see `parseDynamicText`.
+ *
+ * @param {string} template
+ *
+ * @return {Array<string>} Column names, in order.
+ */
+function getRewriteTemplatePlaceholders(template) {
+  var placeholders = [];
+  var regex = /\{(\w+)\}/g;
+  var match;
+  while ((match = regex.exec(template)) !== null) {
+    placeholders.push(match[1]);
+  }
+
+  return placeholders;
+}
+
+
+/**
+ * Whether a row is within the scope of a rewrite rule. Rules are scoped by
+ * campaign and ad group, each given by Id or name. An empty scope matches all
+ * rows.
+ *
+ * @param {Object} rule See `parseRewriteRules`.
+ * @param {SpreadsheetRow} row
+ *
+ * @return {boolean}
+ */
+function isInRewriteScope(rule, row) {
+  function _matches(scope, idColumn, nameColumn) {
+    return isEmptyString(scope) || scope === String(row.get(idColumn)) ||
+           scope === String(row.get(nameColumn));
+  }
+
+  return _matches(rule.campaign, 'campaignId', 'campaignName') &&
+         _matches(rule.adGroup, 'adGroupId', 'adGroupName');
+}
+
+
+/**
+ * Applies rewrite rules, in order, to rows without an ETA. A field is left
+ * unchanged when its rewritten value would not fit within its limit.
+ *
+ * @param {Array<Object>} rules See `parseRewriteRules`.
+ * @param {Array<SpreadsheetRow>} rows
+ * @param {Object} limits The maximum length of each ETA field, see
+ *                        `ETA_FIELD_LIMITS`.
+ *
+ * @return {{rewrittenCount: number, errors: Array<string>}} The number of
+ *     rows changed, and the rewrites skipped for their length.
+ */
+function applyRewriteRules(rules, rows, limits) {
+  var result = {rewrittenCount: 0, errors: []};
+
+  rows.forEach(function(row) {
+    if (!isEmptyString(String(row.get('etaId')))) {
+      return;
+    }
+
+    var isRewritten = false;
+    rules.forEach(function(rule) {
+      if (!isInRewriteScope(rule, row)) {
+        return;
+      }
+
+      var value = String(row.get(rule.field));
+      var newValue;
+      if (rule.type === RewriteRuleType.TEMPLATE) {
+        newValue = rule.replacement.replace(/\{(\w+)\}/g,
+            function(placeholder, columnName) {
+              return String(row.get(columnName));
+            });
+      } else {
+        newValue = value.split(rule.find).join(rule.replacement);
+      }
+
+      if (newValue === value) {
+        return;
+      }
+
+      var length = getEffectiveLength(newValue);
+      if (!isEmpty(limits[rule.field]) && length > limits[rule.field]) {
+        result.errors.push('Row ' + row.getRowIndex() + ': ' + rule.field +
+                           ' rewritten by the rule in row ' + rule.rowIndex +
+                           ' would be ' + length + ' characters long, the ' +
+                           'limit is ' + limits[rule.field] + '.');
+        return;
+      }
+
+      row.set(rule.field, newValue);
+      isRewritten = true;
+    });
+
+    if (isRewritten) {
+      result.rewrittenCount++;
+    }
+  });
+
+  return result;
+}
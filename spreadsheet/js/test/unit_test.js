@@ -446,15 +446,499 @@ var TESTS = {
       var sheetConfig = getSheetConfig(sheetName);
       var sheetConfigNotFound = getSheetConfig(sheetNameNotFound);
       var sheetConfigBadFormat = getSheetConfig(sheetNameBadFormat);
+      var shardSheetConfig = getSheetConfig('main - 123-456-7890');
 
       return describe('getSheetConfig')
              .expect('Get sheet config that exist', sheetConfig).notNull()
+             .expect('Get sheet config of a shard',
+                     shardSheetConfig === sheetConfig).toBeTrue()
              .expect('Get sheet config that doesn\'t exist',
                      sheetConfigNotFound).isNull()
                      .expect('Get sheet config using bad format',
                              sheetConfigBadFormat).isNull();
     },
 
+    parseUrlList: function() {
+      return describe('parseUrlList')
+             .expect('Empty value has no URLs', parseUrlList(''), [])
+             .expect('Single URL', parseUrlList('http://www.example.com'),
+                     ['http://www.example.com'])
+             .expect('JSON array with a single URL',
+                     parseUrlList('["http://www.example.com"]'),
+                     ['http://www.example.com'])
+             .expect('JSON array with several URLs',
+                     parseUrlList('["http://a.example.com",' +
+                                  '"http://b.example.com/x,y"]'),
+                     ['http://a.example.com', 'http://b.example.com/x,y']);
+    },
+
+    highlightMismatchFields: function() {
+      function _createMockRow(values, userNotes) {
+        var cells = {};
+        return {
+          get: function(columnName) {
+            return values[columnName] || '';
+          },
+          getCell: function(columnName) {
+            cells[columnName] = cells[columnName] || {
+              note: (userNotes || {})[columnName] || '',
+              setBackground: function(color) {
+                this.background = color;
+              },
+              getNote: function() {
+                return this.note;
+              },
+              setNote: function(note) {
+                this.note = note;
+              }
+            };
+            return cells[columnName];
+          },
+          cells: cells
+        };
+      }
+
+      var rules = CONFIG.sheets.main.mismatchColumns.rules;
+      var matchingRow = _createMockRow({
+        displayUrl: 'www.example.com/shoes',
+        finalUrl: '["http://www.example.com/shoes/red"]',
+        mobileFinalUrl: 'http://m.example.com/shoes',
+        path1: 'Shoes',
+        path2: '{KeyWord:Red}',
+        trackingTemplate: '{lpurl}?source=ads'
+      }, {
+        path1: 'Checked with the client',
+        trackingTemplate: MISMATCH_NOTE_PREFIX + rules[3].note
+      });
+      var mismatchingRow = _createMockRow({
+        displayUrl: 'www.example.com/shoes',
+        finalUrl: 'http://www.example.org/shoes',
+        path1: 'Shoes',
+        path2: 'Red',
+        trackingTemplate: 'http://tracker.example.com/?url=x'
+      }, {
+        displayUrl: 'Legacy domain'
+      });
+      highlightMismatchFields(matchingRow, rules);
+      highlightMismatchFields(mismatchingRow, rules);
+      // Checking again adds no notes.
+      highlightMismatchFields(mismatchingRow, rules);
+
+      return describe('highlightMismatchFields')
+             .expect('Matching cells are cleared',
+                     matchingRow.cells.displayUrl.background).isNull()
+             .expect('Mismatching subdomains',
+                     getMismatchedColumns(matchingRow, rules[1]),
+                     ['finalUrl', 'mobileFinalUrl'])
+             .expect('Paths with dynamic text',
+                     matchingRow.cells.path2.background).isNull()
+             .expect('Empty cells never mismatch',
+                     mismatchingRow.cells.mobileFinalUrl.note).equals('')
+             .expect('Cells take the color of the first rule failed',
+                     mismatchingRow.cells.finalUrl.background)
+                 .equals(rules[0].color)
+             .expect('Notes written by users are kept',
+                     matchingRow.cells.path1.note)
+                 .equals('Checked with the client')
+             .expect('Notes of rules passed are cleared',
+                     matchingRow.cells.trackingTemplate.note).equals('')
+             .expect('Rules failed are noted after notes written by users',
+                     mismatchingRow.cells.displayUrl.note)
+                 .equals('Legacy domain\n' + MISMATCH_NOTE_PREFIX +
+                         rules[0].note)
+             .expect('Only paths missing from the URL mismatch',
+                     [mismatchingRow.cells.path1.background,
+                      mismatchingRow.cells.path2.background],
+                     [null, rules[2].color])
+             .expect('Tracking template without {lpurl}',
+                     mismatchingRow.cells.trackingTemplate.note)
+                 .equals(MISMATCH_NOTE_PREFIX + rules[3].note);
+    },
+
+    getPreviewTexts: function() {
+      var columns = CONFIG.sheets.main.columns;
+      var values = [];
+      values[columns._lastIndex] = '';
+      values[columns.headline.index] = 'Red Shoes';
+      values[columns.description1.index] = 'Free shipping';
+      values[columns.description2.index] = 'on all orders';
+      values[columns.displayUrl.index] = 'www.example.com';
+      values[columns.finalUrl.index] = '["http://www.example.com/shoes"]';
+      values[columns.mobileFinalUrl.index] = 'http://m.example.com/shoes';
+      values[columns.headline1.index] = 'Red Shoes & Boots';
+      values[columns.headline2.index] = '{KeyWord:Free Shipping}';
+      values[columns.description.index] = 'Shop our new collection of ' +
+          'red shoes, boots and sandals, with free shipping on all orders';
+      values[columns.path1.index] = 'shoes';
+
+      var texts = getPreviewTexts(values, columns, CONFIG.preview);
+
+      return describe('getPreviewTexts')
+             .expect('Short text is not truncated', truncateText('Shoes', 5))
+                 .equals('Shoes')
+             .expect('Text is truncated at the last word that fits',
+                     truncateText('Red shoes and boots', 15))
+                 .equals('Red shoes...')
+             .expect('ETA headline', texts['[desktop.eta.headline]'])
+                 .equals('Red Shoes &amp; Boots - Free Shipping')
+             .expect('ETA display URL', texts['[desktop.eta.displayUrl]'])
+                 .equals('www.example.com/shoes')
+             .expect('ETA description truncated on mobile',
+                     texts['[mobile.eta.description]'])
+                 .equals('Shop our new collection of red shoes, boots and ' +
+                         'sandals, with free...')
+             .expect('STA description', texts['[desktop.sta.description]'])
+                 .equals('Free shipping on all orders')
+             .expect('Mobile final URL', texts['[mobile.eta.url]'])
+                 .equals('http://m.example.com/shoes')
+             .expect('Final URL on desktop', texts['[desktop.sta.url]'])
+                 .equals('http://www.example.com/shoes');
+    },
+
+    parseDynamicText: function() {
+      return describe('parseDynamicText')
+             .expect('Plain text has no errors',
+                     parseDynamicText('Red Shoes').errors, [])
+             .expect('Keyword insertion',
+                     parseDynamicText('Buy {KeyWord:Shoes}').segments.map(
+                         function(segment) {
+                           return segment.type;
+                         }), ['text', 'keyword'])
+             .expect('Keyword insertion needs default text',
+                     parseDynamicText('{KeyWord}').errors.length, 1)
+             .expect('Unknown keyword insertion tag',
+                     parseDynamicText('{keyWORD:Shoes}').errors.length, 1)
+             .expect('Ad customizer', parseDynamicText('{=Products.Name}')
+                     .errors, [])
+             .expect('Invalid ad customizer',
+                     parseDynamicText('{=Products}').errors.length, 1)
+             .expect('IF function', parseDynamicText(
+                     '{=IF(audience IN(Buyers,Visitors),Welcome Back):Hi}')
+                     .errors, [])
+             .expect('Invalid IF function condition', parseDynamicText(
+                     '{=IF(browser=chrome,Hello)}').errors.length, 1)
+             .expect('Unbalanced braces',
+                     parseDynamicText('{KeyWord:Shoes} }{').errors.length, 2);
+    },
+
+    renderDynamicText: function() {
+      var text = '{=IF(device=mobile,Call Now):Visit} {KeyWord:Red Shoes}';
+
+      return describe('renderDynamicText')
+             .expect('Default text', renderDynamicText(text))
+                 .equals('Visit Red Shoes')
+             .expect('Conditional text', renderDynamicText(text, true))
+                 .equals('Call Now Red Shoes')
+             .expect('Effective length is the longest variant',
+                     getEffectiveLength(text)).equals(18)
+             .expect('Ad customizers without default text count as empty',
+                     getEffectiveLength('Only {=Products.Price}'))
+                 .equals(5);
+    },
+
+    parseRewriteRules: function() {
+      var columnNames = ['campaignName', 'headline1', 'headline2'];
+      var parsed = parseRewriteRules([
+        ['', 'headline2', 'replace', 'Cheap', 'Affordable', '', ''],
+        ['no', 'headline2', 'replace', 'Red', 'Blue', '', ''],
+        ['', '', '', '', '', '', ''],
+        ['', 'headline1', 'template', '', '{campaignName} Sale', '', ''],
+        ['', 'headline1', 'template', '', '{headline1}!', '', ''],
+        ['', 'headline2', 'template', '', '{labels} Sale', '', ''],
+        ['', 'headline2', 'replace', 'Shoes', 'Red Shoes', '', ''],
+        ['', 'headline3', 'replace', 'Shoes', 'Boots', '', '']
+      ], columnNames);
+
+      return describe('parseRewriteRules')
+             .expect('Valid rules, disabled and empty rows skipped',
+                     parsed.rules.map(function(rule) {
+                       return rule.rowIndex;
+                     }), [2, 5])
+             .expect('Invalid rules are reported',
+                     parsed.errors.length, 4)
+             .expect('Template using its own field',
+                     parsed.errors[0].indexOf('row 6') !== -1).toBeTrue()
+             .expect('Dynamic text is not a placeholder',
+                     getRewriteTemplatePlaceholders(
+                         '{KeyWord:Shoes} {campaignName}'), ['campaignName']);
+    },
+
+    applyRewriteRules: function() {
+      function _createMockRow(rowIndex, values) {
+        return {
+          get: function(columnName) {
+            return values[columnName] || '';
+          },
+          set: function(columnName, value) {
+            values[columnName] = value;
+          },
+          getRowIndex: function() {
+            return rowIndex;
+          },
+          values: values
+        };
+      }
+
+      var rules = parseRewriteRules([
+        ['', 'headline2', 'replace', 'Cheap', 'Affordable', '', ''],
+        ['', 'headline1', 'template', '', '{campaignName} Sale', '', 'Shoes']
+      ], ['campaignName']).rules;
+      var rows = [
+        _createMockRow(3, {campaignName: 'Summer', adGroupName: 'Shoes',
+                           headline2: 'Cheap Shoes'}),
+        _createMockRow(4, {campaignName: 'Summer', adGroupName: 'Hats',
+                           headline2: 'Cheap Hats', etaId: '42'}),
+        _createMockRow(5, {campaignName: 'A very long campaign name here',
+                           adGroupName: 'Shoes', headline1: 'Shoes'})
+      ];
+      var result = applyRewriteRules(rules, rows, ETA_FIELD_LIMITS);
+
+      return describe('applyRewriteRules')
+             .expect('Replace rule', rows[0].values.headline2)
+                 .equals('Affordable Shoes')
+             .expect('Template rule within its scope',
+                     rows[0].values.headline1).equals('Summer Sale')
+             .expect('Rows with an ETA are left unchanged',
+                     rows[1].values.headline2).equals('Cheap Hats')
+             .expect('Rewrites over the limit are skipped',
+                     rows[2].values.headline1).equals('Shoes')
+             .expect('Rewritten rows are counted', result.rewrittenCount)
+                 .equals(1)
+             .expect('Skipped rewrites are reported', result.errors.length)
+                 .equals(1)
+             .expect('Applying rules again changes nothing',
+                     applyRewriteRules(rules, rows, ETA_FIELD_LIMITS)
+                         .rewrittenCount).equals(0);
+    },
+
+    RowSnapshot: function() {
+      var values = [];
+      for (var i = 0; i < 60; i++) {
+        values.push(['123-456-7890', 'Headline ' + i, '']);
+      }
+
+      var storedValues = {};
+      var mockStorage = {
+        getAll: function(keys) {
+          var result = {};
+          keys.forEach(function(key) {
+            if (key in storedValues) {
+              result[key] = storedValues[key];
+            }
+          });
+          return result;
+        },
+        putAll: function(newValues) {
+          Object.keys(newValues).forEach(function(key) {
+            storedValues[key] = newValues[key];
+          });
+        }
+      };
+      var mockSheet = {
+        getName: function() {
+          return 'main';
+        },
+        getLastRow: function() {
+          return values.length + 3;
+        },
+        getLastColumn: function() {
+          return 3;
+        },
+        getRange: function(row, column, numRows, numColumns) {
+          return {
+            getValues: function() {
+              return values.slice(row - 4, row - 4 + numRows);
+            }
+          };
+        }
+      };
+
+      var snapshot = new RowSnapshot(mockStorage, mockSheet, 4);
+      var missing = snapshot.get(10);
+      snapshot.refresh();
+      var storedCount = Object.keys(storedValues).length;
+
+      // A paste edits the second column of row 60, the script the third
+      // column of row 61.
+      values[56] = ['123-456-7890', 'Pasted', ''];
+      values[57] = ['123-456-7890', 'Pasted', '42'];
+      var snapshotAfterEdit = new RowSnapshot(mockStorage, mockSheet, 4);
+
+      return describe('RowSnapshot')
+             .expect('Unknown rows', missing).isNull()
+             .expect('Rows are stored in blocks', storedCount).equals(2)
+             .expect('Last known values',
+                     snapshotAfterEdit.get(60)[1]).equals('Headline 56')
+             .expect('Values before an edit',
+                     snapshotAfterEdit.getBeforeEdit(60, values[56], 2, 2)[1])
+                 .equals('Headline 56')
+             .expect('Changes outside the edit make values unknown',
+                     snapshotAfterEdit.getBeforeEdit(61, values[57], 2, 2))
+                 .isNull()
+             .expect('Header rows are unknown', snapshotAfterEdit.get(2))
+                 .isNull();
+    },
+
+    ChunkedStorage: function() {
+      var cells = [];
+      var mockSheet = {
+        getLastRow: function() {
+          return cells.length;
+        },
+        getRange: function(row, column, numRows, numColumns) {
+          return {
+            getValues: function() {
+              return cells.slice(row - 1, row - 1 + (numRows || 1));
+            },
+            setValue: function(value) {
+              cells[row - 1][column - 1] = value;
+            },
+            setValues: function(values) {
+              values.forEach(function(rowValues, i) {
+                cells[row - 1 + i] = rowValues.slice();
+              });
+            }
+          };
+        }
+      };
+
+      var storage = new ChunkedStorage(new SheetStorage(mockSheet), 4);
+      storage.put('links', 'abcdefghij');
+      var rowCount = cells.length;
+      storage.put('links', '=abc');
+      var reloaded = new ChunkedStorage(new SheetStorage(mockSheet), 4);
+      var removedChunk = cells[2].slice();
+      reloaded.put('other', '42');
+      var reusedRowCount = cells.length;
+      var otherValue = reloaded.get('other');
+      reloaded.putAll({block: 'klmnopq', other: null});
+      var values = reloaded.getAll(['block', 'other']);
+
+      return describe('ChunkedStorage')
+             .expect('Values are split in chunks', rowCount).equals(4)
+             .expect('Values are read back', reloaded.get('links'))
+                 .equals('=abc')
+             .expect('Values are stored as text', cells[0][1])
+                 .equals(SHEET_STORAGE_VALUE_PREFIX + '=abc')
+             .expect('Chunks no longer needed are removed', removedChunk,
+                     ['', ''])
+             .expect('Rows of removed chunks are reused', reusedRowCount)
+                 .equals(4)
+             .expect('Values stored in reused rows', otherValue)
+                 .equals('42')
+             .expect('Several values are stored at once', values,
+                     {block: 'klmnopq'})
+             .expect('Missing values', reloaded.get('missing')).isNull();
+    },
+
+    MatchingColumnsBucket: function() {
+      var values = {};
+      var mockStorage = {
+        get: function(key) {
+          return key in values ? values[key] : null;
+        },
+        put: function(key, value) {
+          values[key] = value;
+        }
+      };
+
+      var buckets = new MatchingColumnsBucket(mockStorage, 'links');
+      buckets.addValue(17, 'http://example.com', 4);
+      buckets.addValue(17, 'http://example.com', 5);
+      buckets.addValue(17, 'http://example.org', 6);
+      // 'Aa' and 'BB' share the same 32-bit string hash.
+      buckets.addValue(2, 'Aa', 4);
+      buckets.addValue(2, 'BB', 5);
+      buckets.addValue(2, 'constructor', 6);
+      buckets.save();
+      var finalUrlKey = values['links:17'];
+
+      var reloaded = new MatchingColumnsBucket(mockStorage, 'links');
+      reloaded.removeValue(17, 5);
+      reloaded.transferBucket(17, 'http://example.org', 'http://example.net');
+
+      return describe('MatchingColumnsBucket')
+             .expect('Columns are stored under their own key',
+                     isEmptyString(finalUrlKey)).toBeFalse()
+             .expect('Values are loaded back',
+                     reloaded.getValue(17, 'http://example.com').length)
+                 .equals(1)
+             .expect('Bucket key of a value', reloaded.getBucketKey(17, 4))
+                 .equals('http://example.com')
+             .expect('Transferred values change bucket key',
+                     reloaded.getBucketKey(17, 6))
+                 .equals('http://example.net')
+             .expect('Values of a column', reloaded.getValues(17),
+                     ['4', '6'])
+             .expect('Values with colliding hashes are not linked',
+                     reloaded.getValue(2, 'Aa'), [4])
+             .expect('Values named like object properties',
+                     reloaded.getValue(2, 'constructor'), [6]);
+    },
+
+    parseLinkedColumns: function() {
+      var columns = CONFIG.sheets.main.columns;
+      var linkedColumns = parseLinkedColumns([
+        ['finalUrl', ''],
+        ['path1', 'AdGroup'],
+        ['', ''],
+        ['trackingTemplate', 'campaign'],
+        ['finalUrl', 'campaign'],
+        ['landingPage', 'sheet'],
+        ['customParameters', 'account']
+      ], columns);
+
+      var mockRow = {
+        get: function(columnName) {
+          return {customerId: '123-456-7890', campaignId: 1,
+                  adGroupId: 10}[columnName];
+        }
+      };
+
+      return describe('parseLinkedColumns')
+             .expect('Linked columns', linkedColumns.names,
+                     ['finalUrl', 'path1', 'trackingTemplate'])
+             .expect('Scopes', linkedColumns.scopes,
+                     {finalUrl: 'sheet', path1: 'adGroup',
+                      trackingTemplate: 'campaign'})
+             .expect('Duplicate, unknown columns and scopes are reported',
+                     linkedColumns.errors.length).equals(3)
+             .expect('Cells linked across the sheet',
+                     getLinkedCellKey(mockRow, LinkScope.sheet, 'shoes'))
+                 .equals('shoes')
+             .expect('Cells linked within an ad group',
+                     getLinkedCellKey(mockRow, LinkScope.adGroup, 'shoes'))
+                 .equals('adGroup:123-456-7890/10|shoes');
+    },
+
+    getUserEditHistoryRow: function() {
+      var mockRow = {
+        get: function(columnName) {
+          return {customerId: '123-456-7890', adGroupId: 10}[columnName];
+        },
+        getRowIndex: function() {
+          return 5;
+        }
+      };
+      var time = new Date();
+
+      return describe('getUserEditHistoryRow')
+             .expect('Edit of a cell',
+                     getUserEditHistoryRow(mockRow, 'headline1', 'Old', 'New',
+                                           'user@example.com', time),
+                     ['', time, '123-456-7890', 5, '', '', 10, 'headline1',
+                      'Old', 'New', 'user@example.com'])
+             .expect('Cell cleared by an unknown user',
+                     getUserEditHistoryRow(mockRow, 'path1', 'shoes',
+                                           undefined, '', time),
+                     ['', time, '123-456-7890', 5, '', '', 10, 'path1',
+                      'shoes', '', 'unknown user'])
+             .expect('Header has a column per value',
+                     HISTORY_HEADER.length)
+             .equals(getUserEditHistoryRow(mockRow, 'path1', '', '', '',
+                                           time).length);
+    },
+
     checkLinking: function() {
       function _createMockEnv(config) {
 
@@ -469,15 +953,15 @@ var TESTS = {
 
 
         config.mismatchColumns = {
-          // Column names to compare and highlight if they differ.
-          names: [
-            'campaignName',
-            'adGroupId'
-          ],
           // Dynamically filled by initConfig.
-          indices: [],
-          // Color to set for columns that don't match.
-          color: '#FF0000'
+          names: [],
+          // Compare the domains of the following columns.
+          rules: [{
+            type: MismatchRuleType.sameDomain,
+            columns: ['campaignName', 'adGroupId'],
+            color: '#FF0000',
+            note: 'Domains differ.'
+          }]
         };
 
         initConfig();
@@ -490,13 +974,6 @@ var TESTS = {
         config.sheet = mockSheet;
         config.linkedCellsCacheKey = 'cell_cache_test';
         config.storageKey = 'matching_columns';
-
-        // For readibility, make MatchingColumnsBucket hash function
-        // do nothing.
-        MatchingColumnsBucket.prototype.hashCode_ = function(str) {
-          return str;
-        };
-
       }
 
       function _tearDown(config) {
@@ -612,7 +1089,8 @@ var TESTS = {
 
       function _retrieveMismatchColumns(config) {
         var sheet = config.sheet;
-        var mismatchColor = config.mismatchColumns.color.toLowerCase();
+        var mismatchColor =
+            config.mismatchColumns.rules[0].color.toLowerCase();
         var rows = getContentRows(sheet,
                                   config.firstContentRow,
                                   config.nonEmptyColumnCheck,
@@ -49,6 +49,74 @@ function markRowAsStaged(sheet, rowIndex) {
 }
 
 
+/**
+ * Builds the history sheet row logging a user edit, see `HISTORY_HEADER`.
+ * User edits have no run Id, and aren't bound to an ad.
+ *
+ * @param {SpreadsheetRow} row The edited row.
+ * @param {string} columnName The edited column.
+ * @param {string} oldValue The value before the edit, if any.
+ * @param {string} newValue The value after the edit, if any.
+ * @param {string} userEmail The editing user's email, if known.
+ * @param {Date} time When the edit was made.
+ *
+ * @return {Array<*>}
+ */
+function getUserEditHistoryRow(row, columnName, oldValue, newValue, userEmail,
+                               time) {
+  return ['', time, row.get(ColumnNames.customerId), row.getRowIndex(), '',
+          '', row.get(ColumnNames.adGroupId), columnName,
+          isEmpty(oldValue) ? '' : String(oldValue),
+          isEmpty(newValue) ? '' : String(newValue),
+          isEmptyString(userEmail) ? 'unknown user' : userEmail];
+}
+
+
+/**
+ * Logs a user edit to the history sheet, creating the sheet if missing.
+ *
+ * @param {Object} historyConfig History sheet configuration.
+ * @param {SpreadsheetRow} row The edited row.
+ * @param {string} columnName The edited column.
+ * @param {string} oldValue The value before the edit, if any.
+ * @param {string} newValue The value after the edit, if any.
+ */
+function logUserEdit(historyConfig, row, columnName, oldValue, newValue) {
+  logUserEdits(historyConfig, [{row: row, columnName: columnName,
+                                oldValue: oldValue, newValue: newValue}]);
+}
+
+
+/**
+ * Logs user edits to the history sheet at once, creating the sheet if
+ * missing.
+ *
+ * @param {Object} historyConfig History sheet configuration.
+ * @param {Array<Object>} edits Edits, each with `row`, `columnName`,
+ *                              `oldValue` and `newValue`, see `logUserEdit`.
+ */
+function logUserEdits(historyConfig, edits) {
+  var sheet = getSheetByName(historyConfig);
+  if (isEmpty(sheet)) {
+    sheet = SpreadsheetApp.getActiveSpreadsheet()
+        .insertSheet(historyConfig.name);
+    sheet.appendRow(HISTORY_HEADER);
+    sheet.setFrozenRows(1);
+  }
+
+  // The active user's email is only available within the same domain.
+  var userEmail = Session.getActiveUser().getEmail();
+  var time = new Date();
+
+  var rows = edits.map(function(edit) {
+    return getUserEditHistoryRow(edit.row, edit.columnName, edit.oldValue,
+                                 edit.newValue, userEmail, time);
+  });
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, HISTORY_HEADER.length)
+      .setValues(rows);
+}
+
+
 /**
  * Check whether active row / cell is read only.
  *
@@ -120,7 +188,8 @@ function createIdentityMap(values) {
 
 
 /**
- * Get a sheet configuration object.
+ * Get a sheet configuration object. Shards of a sheet, named with its
+ * `shardNamePrefix`, share its configuration.
  *
  * @param {string} sheetName The configuration sheet's name.
  *
@@ -134,7 +203,9 @@ function getSheetConfig(sheetName) {
   if (!isEmptyString(sheetName)) {
     for (var key in CONFIG.sheets) {
       var configSheet = CONFIG.sheets[key];
-      if (configSheet && configSheet.name === sheetName) {
+      if (configSheet && (configSheet.name === sheetName ||
+          (!isEmptyString(configSheet.shardNamePrefix) &&
+           String(sheetName).indexOf(configSheet.shardNamePrefix) === 0))) {
         return configSheet;
       }
     }
@@ -249,6 +320,135 @@ function getDisplayUrl(finalUrl) {
 }
 
 
+/**
+ * Truncates text longer than `maxLength` at the last word that fits, the way
+ * ads are truncated when rendered.
+ *
+ * @param {string} text
+ * @param {number} maxLength The maximum length, ellipsis included.
+ *
+ * @return {string}
+ */
+function truncateText(text, maxLength) {
+  var ellipsis = '...';
+  text = String(text);
+  if (text.length <= maxLength) {
+    return text;
+  }
+
+  var truncated = text.substr(0, maxLength - ellipsis.length);
+  var lastSpace = truncated.lastIndexOf(' ');
+  if (lastSpace > 0) {
+    truncated = truncated.substr(0, lastSpace);
+  }
+
+  return truncated.trim() + ellipsis;
+}
+
+
+/**
+ * Escapes text for use in HTML content.
+ *
+ * @param {string} text
+ *
+ * @return {string}
+ */
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;')
+                     .replace(/</g, '&lt;')
+                     .replace(/>/g, '&gt;')
+                     .replace(/"/g, '&quot;');
+}
+
+
+/**
+ * Retrieves the texts shown in the sidebar preview of a row: for each layout
+ * (see `CONFIG.preview`), its ETA and STA, truncated to fit the layout.
+ * Keyword insertion, ad customizers and IF functions show their default text.
+ * The ETA display URL is the final URL domain followed by its paths.
+ *
+ * @param {Array<*>} values The values of the row.
+ * @param {Object} columns A mapping between column names and column indices.
+ * @param {Object} layouts See `CONFIG.preview`.
+ *
+ * @return {Object<string, string>} HTML escaped texts by placeholder, e.g.
+ *     '[mobile.eta.headline]', with `headline`, `displayUrl`, `description`
+ *     and `url` (the link of the ad) placeholders.
+ */
+function getPreviewTexts(values, columns, layouts) {
+  function _get(columnName) {
+    var value = values[columns[columnName].index];
+    return isEmpty(value) ? '' : String(value);
+  }
+
+  function _join(texts, separator) {
+    return texts.filter(function(text) {
+      return !isEmptyString(text);
+    }).join(separator);
+  }
+
+  // If we have multiple final urls, select the first one.
+  var finalUrl = parseUrlList(_get('finalUrl'))[0] || '';
+  var mobileFinalUrl = parseUrlList(_get('mobileFinalUrl'))[0] || finalUrl;
+
+  var eta = {
+    headline: _join([renderDynamicText(_get('headline1')),
+                     renderDynamicText(_get('headline2'))], ' - '),
+    displayUrl: _join([getDisplayUrl(finalUrl),
+                       renderDynamicText(_get('path1')),
+                       renderDynamicText(_get('path2'))], '/'),
+    description: renderDynamicText(_get('description'))
+  };
+  var sta = {
+    headline: _get('headline'),
+    displayUrl: _get('displayUrl'),
+    description: _join([_get('description1'), _get('description2')], ' ')
+  };
+
+  var texts = {};
+  Object.keys(layouts).forEach(function(layoutName) {
+    var layout = layouts[layoutName];
+    var url = layoutName === 'mobile' ? mobileFinalUrl : finalUrl;
+
+    [['eta', eta], ['sta', sta]].forEach(function(ad) {
+      var prefix = '[' + layoutName + '.' + ad[0] + '.';
+      ['headline', 'displayUrl', 'description'].forEach(function(line) {
+        texts[prefix + line + ']'] =
+            escapeHtml(truncateText(ad[1][line], layout[line]));
+      });
+      texts[prefix + 'url]'] = escapeHtml(url);
+    });
+  });
+
+  return texts;
+}
+
+
+/**
+ * Parses a list of URLs, as stored in the finalUrl and mobileFinalUrl
+ * columns: either a single URL or a JSON array of URLs.
+ *
+ * @param {string} value The cell value.
+ *
+ * @return {Array<string>} The URLs, empty if `value` is empty.
+ */
+function parseUrlList(value) {
+  if (isEmptyString(value)) {
+    return [];
+  }
+
+  var urls;
+  try {
+    urls = JSON.parse(value);
+  } catch (ignore) {
+    // Not JSON, most likely a single URL.
+    return [String(value)];
+  }
+
+  return Array.isArray(urls) ? urls.map(String) : [String(value)];
+}
+
+
 /**
  * Find a specific sheet by its name.
  *
@@ -654,6 +854,16 @@ SpreadsheetRow.prototype.getValueAt = function(columnIndex) {
 };
 
 
+/**
+ * Gets the values of this row.
+ *
+ * @return {Array<string|int>}
+ */
+SpreadsheetRow.prototype.getValues = function() {
+  return this.values_.slice();
+};
+
+
 /**
  * Clears the row.
  */
@@ -779,47 +989,152 @@ function getDomain(url) {
 
 
 /**
- * Highlights all the cells in columnNames if any cell does not match the other.
- * Only works with URLs.
+ * Retrieves the segments of the path of a URL, lowercased, e.g. ['shoes',
+ * 'red'] for 'http://www.example.com/Shoes/red?size=9'.
+ *
+ * @param {string} url
+ *
+ * @return {Array<string>}
+ */
+function getUrlPathSegments(url) {
+  var path = String(url).replace(/^https?:\/\//i, '').split(/[?#]/)[0];
+
+  // Drop the domain.
+  return path.split('/').slice(1).filter(function(segment) {
+    return !isEmptyString(segment);
+  }).map(function(segment) {
+    return segment.toLowerCase();
+  });
+}
+
+
+/**
+ * Retrieves the columns whose cells fail a mismatch rule.
  *
  * @param {SpreadsheetRow} spreadsheetRow An instance of SpreadsheetRow,
  *                                        representing a sheet row.
- * @param {Array<string>} columnNames An array of columns to compare.
- * @param {string} color The color to set background to.
+ * @param {Object} rule A rule with `type` and `columns` attributes, see
+ *                      `CONFIG.sheets.main.mismatchColumns`.
+ *
+ * @return {Array<string>} Names of the mismatching columns. Empty cells never
+ *                         mismatch.
  */
-function highlightMismatchFields(spreadsheetRow, columnNames, color) {
-  var rowIndex = spreadsheetRow.getRowIndex();
+function getMismatchedColumns(spreadsheetRow, rule) {
+  // Retrieves the value of a column, the first URL for lists of URLs.
+  function _getValue(columnName, isUrl) {
+    var value = spreadsheetRow.get(columnName);
+    if (isUrl) {
+      value = parseUrlList(value)[0];
+    }
+    return isEmpty(value) ? '' : String(value);
+  }
 
-  var init = true;
-  var previousDomain = null;
-  var highlightColor = null;
+  var columnNames = rule.columns.filter(function(columnName) {
+    return !isEmptyString(String(spreadsheetRow.get(columnName)));
+  });
 
-  // Check if all values match.
-  var allMatch = columnNames.every(function(columnName) {
-    var urls = spreadsheetRow.getArray(columnName);
-    var domain = getDomain(urls[0]);
+  switch (rule.type) {
+    case MismatchRuleType.sameDomain:
+      var urlColumnNames = columnNames.filter(function(columnName) {
+        return !isEmptyString(_getValue(columnName, true));
+      });
+      var domains = urlColumnNames.map(function(columnName) {
+        return getDomain(_getValue(columnName, true));
+      });
+      var allMatch = domains.every(function(domain) {
+        return domain === domains[0];
+      });
+
+      return allMatch ? [] : urlColumnNames;
+
+    case MismatchRuleType.pathInUrl:
+      var urlColumnName = rule.columns[0];
+      var url = _getValue(urlColumnName, true);
+      if (isEmptyString(url)) {
+        return [];
+      }
 
-    if (init) {
-      init = false;
-    }
-    else if (previousDomain !== domain) {
-      return false;
-    }
+      var segments = getUrlPathSegments(url);
+      return columnNames.filter(function(columnName) {
+        var path = renderDynamicText(_getValue(columnName));
+        return columnName !== urlColumnName &&
+               segments.indexOf(path.trim().toLowerCase()) === -1;
+      });
+
+    case MismatchRuleType.lpurl:
+      return columnNames.filter(function(columnName) {
+        return !/\{(lpurl(\+[23])?|escapedlpurl|unescapedlpurl)\}/i
+            .test(_getValue(columnName));
+      });
+
+    default:
+      throw 'Unknown mismatch rule type: ' + rule.type + '.';
+  }
+}
 
-    previousDomain = domain;
-    return true;
 
+/**
+ * Retrieves the columns checked by mismatch rules, in order.
+ *
+ * @param {Array<Object>} rules See `CONFIG.sheets.main.mismatchColumns`.
+ *
+ * @return {Array<string>}
+ */
+function getMismatchColumnNames(rules) {
+  var columnNames = [];
+  rules.forEach(function(rule) {
+    rule.columns.forEach(function(columnName) {
+      if (columnNames.indexOf(columnName) === -1) {
+        columnNames.push(columnName);
+      }
+    });
   });
 
-  // If all values equivalent then set all backgrounds to null (clear
-  // background).
-  if (!allMatch) {
-    highlightColor = color;
-  }
+  return columnNames;
+}
+
+
+/**
+ * Highlights the cells failing mismatch rules, each with the color of the
+ * first rule it fails, and notes the rules failed. Other cells checked by the
+ * rules are cleared. Notes written by users are kept, only lines starting
+ * with `MISMATCH_NOTE_PREFIX` are replaced.
+ *
+ * @param {SpreadsheetRow} spreadsheetRow An instance of SpreadsheetRow,
+ *                                        representing a sheet row.
+ * @param {Array<Object>} rules Rules to check, see
+ *                              `CONFIG.sheets.main.mismatchColumns`.
+ */
+function highlightMismatchFields(spreadsheetRow, rules) {
+  var colors = {};
+  var notes = {};
+
+  rules.forEach(function(rule) {
+    getMismatchedColumns(spreadsheetRow, rule).forEach(function(columnName) {
+      if (isEmpty(notes[columnName])) {
+        colors[columnName] = rule.color;
+        notes[columnName] = [];
+      }
+      notes[columnName].push(rule.note);
+    });
+  });
 
-  columnNames.forEach(function(columnName) {
+  getMismatchColumnNames(rules).forEach(function(columnName) {
     var cell = spreadsheetRow.getCell(columnName);
-    cell.setBackground(highlightColor);
+    cell.setBackground(colors[columnName] || null);
+
+    var note = String(cell.getNote());
+    var lines = note.split('\n').filter(function(line) {
+      return !isEmptyString(line) && line.indexOf(MISMATCH_NOTE_PREFIX) !== 0;
+    });
+    (notes[columnName] || []).forEach(function(ruleNote) {
+      lines.push(MISMATCH_NOTE_PREFIX + ruleNote);
+    });
+
+    var newNote = lines.join('\n');
+    if (newNote !== note) {
+      cell.setNote(newNote);
+    }
   });
 }
 
@@ -854,6 +1169,438 @@ function isMultiCell(range) {
   return (numOfColumns > 1 || numOfRows > 1);
 }
 
+
+/**
+ * Determines if two ranges of the same sheet share at least one cell.
+ *
+ * @param {Range} range
+ * @param {Range} otherRange
+ *
+ * @return {boolean}
+ */
+function isOverlapping(range, otherRange) {
+  return range.getSheet().getName() === otherRange.getSheet().getName() &&
+         range.getRow() <= otherRange.getLastRow() &&
+         otherRange.getRow() <= range.getLastRow() &&
+         range.getColumn() <= otherRange.getLastColumn() &&
+         otherRange.getColumn() <= range.getLastColumn();
+}
+
+
+/**
+ * Parses the linked columns listed in the settings sheet. Each row holds a
+ * column name and its scope, see `LinkScope`. Empty rows are skipped.
+ *
+ * @param {Array<Array<*>>} values The values of the listing range.
+ * @param {Object} columns A mapping between column names and column indices.
+ *
+ * @return {{names: Array<string>, scopes: Object, errors: Array<string>}}
+ *     The names of valid columns, their scope by name, and the rows that
+ *     couldn't be parsed.
+ */
+function parseLinkedColumns(values, columns) {
+  var result = {names: [], scopes: {}, errors: []};
+
+  values.forEach(function(row) {
+    var columnName = String(row[0]).trim();
+    var scopeName = String(isEmpty(row[1]) ? '' : row[1]).trim();
+    if (isEmptyString(columnName)) {
+      return;
+    }
+
+    if (!(columnName in columns) || columnName.charAt(0) === '_') {
+      result.errors.push('Unknown linked column "' + columnName + '".');
+      return;
+    }
+
+    var scope = LinkScope.sheet;
+    if (!isEmptyString(scopeName)) {
+      scope = null;
+      Object.keys(LinkScope).forEach(function(key) {
+        if (key.toLowerCase() === scopeName.toLowerCase()) {
+          scope = LinkScope[key];
+        }
+      });
+    }
+
+    if (isEmpty(scope)) {
+      result.errors.push('Unknown scope "' + scopeName + '" for linked ' +
+                         'column "' + columnName + '", use one of ' +
+                         Object.keys(LinkScope).join(', ') + '.');
+    } else if (columnName in result.scopes) {
+      result.errors.push('Linked column "' + columnName + '" is listed ' +
+                         'more than once.');
+    } else {
+      result.names.push(columnName);
+      result.scopes[columnName] = scope;
+    }
+  });
+
+  return result;
+}
+
+
+/**
+ * Retrieves the values of the linked columns listing, see
+ * `CONFIG.sheets.settings.linkedColumnsRange`. Values are cached for 10
+ * minutes, the cache is cleared when the listing is edited.
+ *
+ * @param {{linkedColumnsRange: string,
+ *          linkedColumnsCacheKey: string}} settingsConfig Settings sheet
+ *                                                         configuration.
+ *
+ * @return {?Array<Array<*>>} The values, or null if nothing is listed.
+ */
+function getLinkedColumnsValues(settingsConfig) {
+  var cache = CacheService.getPublicCache();
+  var cachedValues = cache.get(settingsConfig.linkedColumnsCacheKey);
+  if (!isEmpty(cachedValues)) {
+    return JSON.parse(cachedValues);
+  }
+
+  var linkedColumnsRange = SpreadsheetApp.getActiveSpreadsheet()
+      .getRangeByName(settingsConfig.linkedColumnsRange);
+  var values = isEmpty(linkedColumnsRange) ? null :
+                                             linkedColumnsRange.getValues();
+
+  cache.put(settingsConfig.linkedColumnsCacheKey, JSON.stringify(values));
+  return values;
+}
+
+
+/**
+ * Retrieves the key a linked cell is bucketed with, see
+ * `MatchingColumnsBucket`. Cells are linked when their keys match: within a
+ * campaign or an ad group scope, keys are prefixed with the row's campaign or
+ * ad group.
+ *
+ * @param {SpreadsheetRow} row The row of the cell.
+ * @param {?string} scope See `LinkScope`, the sheet if empty.
+ * @param {string} value The value of the cell.
+ *
+ * @return {string}
+ */
+function getLinkedCellKey(row, scope, value) {
+  var customerId = row.get(ColumnNames.customerId);
+  if (scope === LinkScope.campaign) {
+    return 'campaign:' + customerId + '/' + row.get(ColumnNames.campaignId) +
+        '|' + value;
+  }
+
+  if (scope === LinkScope.adGroup) {
+    return 'adGroup:' + customerId + '/' + row.get(ColumnNames.adGroupId) +
+        '|' + value;
+  }
+
+  return String(value);
+}
+
+//////////////////////////////////////////////////////////////////////////
+/////////////////////////// Storage Structures ///////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+
+
+/**
+ * Key-value storage backed by a sheet, holding keys in its first column and
+ * values in its second. Unlike the cache, values don't expire. The sheet is
+ * read once, on first access.
+ *
+ * Values are stored with `SHEET_STORAGE_VALUE_PREFIX`, keeping them as text.
+ * Rows of removed keys are cleared and reused for keys added later.
+ *
+ * @param {Sheet} sheet The sheet holding the values.
+ *
+ * @constructor
+ */
+function SheetStorage(sheet) {
+  if (isEmpty(sheet)) {
+    throw 'Invalid sheet.';
+  }
+
+  this.sheet_ = sheet;
+
+  // Values and the rows holding them, by key, and the rows holding none.
+  this.values_ = null;
+  this.rowIndices_ = null;
+  this.freeRowIndices_ = null;
+}
+
+
+/**
+ * Loads every value from the sheet, unless already loaded.
+ *
+ * @private
+ */
+SheetStorage.prototype.load_ = function() {
+  if (!isEmpty(this.values_)) {
+    return;
+  }
+
+  this.values_ = {};
+  this.rowIndices_ = {};
+  this.freeRowIndices_ = [];
+
+  var lastRow = this.sheet_.getLastRow();
+  if (lastRow === 0) {
+    return;
+  }
+
+  this.sheet_.getRange(1, 1, lastRow, 2).getValues().forEach(function(row, i) {
+    var key = String(row[0]);
+    var value = String(row[1]);
+    if (isEmptyString(key) || isEmptyString(value)) {
+      this.freeRowIndices_.push(i + 1);
+      return;
+    }
+
+    // Values stored without the prefix are read as is.
+    if (value.indexOf(SHEET_STORAGE_VALUE_PREFIX) === 0) {
+      value = value.substring(SHEET_STORAGE_VALUE_PREFIX.length);
+    }
+    this.values_[key] = value;
+    this.rowIndices_[key] = i + 1;
+  }, this);
+};
+
+
+/**
+ * Retrieves the value of a key.
+ *
+ * @param {string} key
+ *
+ * @return {?string} The value, or null if missing.
+ */
+SheetStorage.prototype.get = function(key) {
+  this.load_();
+  return isEmptyString(this.values_[key]) ? null : this.values_[key];
+};
+
+
+/**
+ * Retrieves the values of several keys.
+ *
+ * @param {Array<string>} keys
+ *
+ * @return {Object} The values found, by key.
+ */
+SheetStorage.prototype.getAll = function(keys) {
+  var values = {};
+  keys.forEach(function(key) {
+    var value = this.get(key);
+    if (!isEmpty(value)) {
+      values[key] = value;
+    }
+  }, this);
+
+  return values;
+};
+
+
+/**
+ * Stores the value of a key.
+ *
+ * @param {string} key
+ * @param {?string} value Use null to remove the key's value.
+ */
+SheetStorage.prototype.put = function(key, value) {
+  var values = {};
+  values[key] = value;
+  this.putAll(values);
+};
+
+
+/**
+ * Stores the values of several keys. New keys take the rows of removed keys
+ * first, other rows are added at once.
+ *
+ * @param {Object} values Values by key, use null to remove a key's value.
+ */
+SheetStorage.prototype.putAll = function(values) {
+  this.load_();
+
+  var firstNewRowIndex = this.sheet_.getLastRow() + 1;
+  var newRows = [];
+  Object.keys(values).forEach(function(key) {
+    var value = isEmpty(values[key]) ? '' : String(values[key]);
+    var storedValue = SHEET_STORAGE_VALUE_PREFIX + value;
+    var rowIndex = this.rowIndices_[key];
+
+    if (!isEmpty(rowIndex) && isEmptyString(value)) {
+      this.sheet_.getRange(rowIndex, 1, 1, 2).setValues([['', '']]);
+      this.freeRowIndices_.push(rowIndex);
+      delete this.rowIndices_[key];
+      delete this.values_[key];
+    } else if (!isEmpty(rowIndex)) {
+      if (this.values_[key] !== value) {
+        this.sheet_.getRange(rowIndex, 2).setValue(storedValue);
+        this.values_[key] = value;
+      }
+    } else if (!isEmptyString(value)) {
+      if (this.freeRowIndices_.length > 0) {
+        rowIndex = this.freeRowIndices_.shift();
+        this.sheet_.getRange(rowIndex, 1, 1, 2)
+            .setValues([[key, storedValue]]);
+      } else {
+        rowIndex = firstNewRowIndex + newRows.length;
+        newRows.push([key, storedValue]);
+      }
+      this.rowIndices_[key] = rowIndex;
+      this.values_[key] = value;
+    }
+  }, this);
+
+  if (newRows.length > 0) {
+    this.sheet_.getRange(firstNewRowIndex, 1, newRows.length, 2)
+        .setValues(newRows);
+  }
+};
+
+
+/**
+ * Removes the value of a key.
+ *
+ * @param {string} key
+ */
+SheetStorage.prototype.remove = function(key) {
+  this.put(key, null);
+};
+
+
+
+/**
+ * Storage splitting values in chunks stored under several keys, for values
+ * larger than the underlying storage accepts: `key` holds the number of
+ * chunks, `key:0`, `key:1`, ... hold the chunks.
+ *
+ * @param {Object} storage The storage holding the chunks, with `get`,
+ *                         `getAll` and `putAll` methods, such as a
+ *                         `SheetStorage`.
+ * @param {number} chunkSize The maximum length of a chunk.
+ *
+ * @constructor
+ */
+function ChunkedStorage(storage, chunkSize) {
+  if (!storage) {
+    throw 'Invalid storage.';
+  }
+
+  this.storage_ = storage;
+  this.chunkSize_ = chunkSize;
+}
+
+
+/**
+ * Retrieves the keys of the chunks of a value.
+ *
+ * @private
+ *
+ * @param {string} key
+ * @param {number} chunkCount
+ *
+ * @return {Array<string>}
+ */
+ChunkedStorage.prototype.getChunkKeys_ = function(key, chunkCount) {
+  var keys = [];
+  for (var i = 0; i < chunkCount; i++) {
+    keys.push(key + ':' + i);
+  }
+
+  return keys;
+};
+
+
+/**
+ * Retrieves the value of a key.
+ *
+ * @param {string} key
+ *
+ * @return {?string} The value, or null if missing or incomplete.
+ */
+ChunkedStorage.prototype.get = function(key) {
+  var chunkCount = Number(this.storage_.get(key));
+  if (!chunkCount) {
+    return null;
+  }
+
+  var keys = this.getChunkKeys_(key, chunkCount);
+  var chunks = this.storage_.getAll(keys);
+  var isComplete = keys.every(function(chunkKey) {
+    return !isEmpty(chunks[chunkKey]);
+  });
+
+  return isComplete ? keys.map(function(chunkKey) {
+    return chunks[chunkKey];
+  }).join('') : null;
+};
+
+
+/**
+ * Retrieves the values of several keys.
+ *
+ * @param {Array<string>} keys
+ *
+ * @return {Object} The values found, by key.
+ */
+ChunkedStorage.prototype.getAll = function(keys) {
+  var values = {};
+  keys.forEach(function(key) {
+    var value = this.get(key);
+    if (!isEmpty(value)) {
+      values[key] = value;
+    }
+  }, this);
+
+  return values;
+};
+
+
+/**
+ * Stores the value of a key, removing chunks of its previous value that are
+ * no longer needed.
+ *
+ * @param {string} key
+ * @param {?string} value Use null to remove the value.
+ */
+ChunkedStorage.prototype.put = function(key, value) {
+  var values = {};
+  values[key] = value;
+  this.putAll(values);
+};
+
+
+/**
+ * Stores the values of several keys at once, see `put`.
+ *
+ * @param {Object} values Values by key, use null to remove a key's value.
+ */
+ChunkedStorage.prototype.putAll = function(values) {
+  var chunks = {};
+  Object.keys(values).forEach(function(key) {
+    var value = values[key];
+    var previousChunkCount = Number(this.storage_.get(key)) || 0;
+
+    var chunkCount = 0;
+    if (!isEmptyString(value)) {
+      for (var i = 0; i < value.length; i += this.chunkSize_) {
+        chunks[key + ':' + chunkCount] =
+            value.substring(i, i + this.chunkSize_);
+        chunkCount++;
+      }
+    }
+
+    this.getChunkKeys_(key, previousChunkCount).slice(chunkCount)
+        .forEach(function(chunkKey) {
+          chunks[chunkKey] = null;
+        });
+    chunks[key] = chunkCount > 0 ? String(chunkCount) : null;
+  }, this);
+
+  this.storage_.putAll(chunks);
+};
+
+
+
 //////////////////////////////////////////////////////////////////////////
 //////////////////// MatchingColumnsBucket Structure /////////////////////
 //////////////////////////////////////////////////////////////////////////
@@ -863,8 +1610,13 @@ function isMultiCell(range) {
 /**
  * Data structure used for grouping and bucketing matching cells.
  *
- * @param {Object} storage The object to use for storing values.
- * @param {string} storageKey The location where the cached value is located
+ * Each column is stored under its own key, `storageKey:columnKey`, and only
+ * columns changed since loaded are saved again. `storageKey` lists the
+ * stored columns.
+ *
+ * @param {Object} storage The object to use for storing values, with `get`
+ *                         and `put` methods, see `ChunkedStorage`.
+ * @param {string} storageKey The location where the stored value is located
  *                             in storage.
  *
  * @constructor
@@ -878,6 +1630,12 @@ function MatchingColumnsBucket(storage, storageKey) {
   this.storage_ = storage;
   this.storageKey_ = storageKey;
 
+  // The bucket key of each value, by column key, to find and move values.
+  this.bucketKeys_ = {};
+
+  // Column keys changed since loaded, stored again by `save`.
+  this.changedColumnKeys_ = {};
+
   // Load data from storage.
   this.load_();
 }
@@ -893,38 +1651,33 @@ MatchingColumnsBucket.prototype.load_ = function() {
 
   if (!isEmptyString(JSONString)) {
     try {
-      this.matchingColumnsBuckets_ = JSON.parse(JSONString);
+      JSON.parse(JSONString).forEach(function(columnKey) {
+        var column = JSON.parse(
+            this.storage_.get(this.storageKey_ + ':' + columnKey));
+        this.matchingColumnsBuckets_[columnKey] = column.buckets;
+        this.bucketKeys_[columnKey] = column.bucketKeys;
+      }, this);
     } catch (err) {
-      throw 'Invalid JSON string stored in MatchingColumnsBucket\'s cache.';
+      throw 'Invalid JSON string stored in MatchingColumnsBucket\'s storage.';
     }
   }
 };
 
 
 /**
- * Hashing function.
+ * Creates the index of a bucket from its key. Buckets are indexed by their
+ * key itself, not a hash of it, so that different values are never linked.
+ * Keys are normalized to strings, and prefixed so that values such as
+ * `__proto__` or `constructor` don't clash with object properties.
  *
  * @private
  *
- * @param {string} str The string value to hash and create an index.
+ * @param {string|number} bucketKey The value to create an index for.
  *
- * @return {number}
+ * @return {string}
  */
-MatchingColumnsBucket.prototype.hashCode_ = function(str) {
-  var hash = 0, i, chr, len;
-
-  if (isEmptyString(str)) {
-    return hash;
-  }
-
-  for (i = 0, len = str.length; i < len; i++) {
-    chr = str.charCodeAt(i);
-    hash = ((hash << 5) - hash) + chr;
-    // Convert to 32bit integer
-    hash |= 0;
-  }
-
-  return hash;
+MatchingColumnsBucket.prototype.getBucketIndex_ = function(bucketKey) {
+  return '=' + String(bucketKey);
 };
 
 
@@ -932,8 +1685,8 @@ MatchingColumnsBucket.prototype.hashCode_ = function(str) {
  * Adds value in the appropriate column and bucket group.
  *
  * @param {string} columnKey The key used to create top level index.
- * @param {string} bucketKey The key used to hash and create second level index
- *                           under columnKey.
+ * @param {string} bucketKey The key used to create second level index under
+ *                           columnKey.
  * @param {string} value The value to append to bucket.
  */
 MatchingColumnsBucket.prototype.addValue = function(columnKey, bucketKey,
@@ -946,27 +1699,53 @@ MatchingColumnsBucket.prototype.addValue = function(columnKey, bucketKey,
   // If top level columnKey doesn't exist, create it.
   if (!(columnKey in this.matchingColumnsBuckets_)) {
     this.matchingColumnsBuckets_[columnKey] = {};
+    this.bucketKeys_[columnKey] = {};
   }
 
-  // Get hash of bucketKey.
-  var bucketHash = this.hashCode_(bucketKey);
+  // Get index of bucketKey.
+  var bucketIndex = this.getBucketIndex_(bucketKey);
 
   // If bucket doesn't exist, create it.
-  if (!(bucketHash in this.matchingColumnsBuckets_[columnKey])) {
-    this.matchingColumnsBuckets_[columnKey][bucketHash] = [];
+  if (!this.matchingColumnsBuckets_[columnKey][bucketIndex]) {
+    this.matchingColumnsBuckets_[columnKey][bucketIndex] = [];
   }
 
   // Append value to bucket.
-  this.matchingColumnsBuckets_[columnKey][bucketHash].push(value);
+  this.matchingColumnsBuckets_[columnKey][bucketIndex].push(value);
+  this.bucketKeys_[columnKey][value] = bucketKey;
+  this.changedColumnKeys_[columnKey] = true;
+};
+
+
+/**
+ * Removes a value from its bucket.
+ *
+ * @param {string} columnKey The key used to find column.
+ * @param {string} value The value to remove.
+ */
+MatchingColumnsBucket.prototype.removeValue = function(columnKey, value) {
+  var bucketKey = this.getBucketKey(columnKey, value);
+  if (isEmpty(bucketKey)) {
+    return;
+  }
+
+  var bucketIndex = this.getBucketIndex_(bucketKey);
+  this.matchingColumnsBuckets_[columnKey][bucketIndex] =
+      (this.matchingColumnsBuckets_[columnKey][bucketIndex] || [])
+      .filter(function(bucketValue) {
+        return String(bucketValue) !== String(value);
+      });
+  delete this.bucketKeys_[columnKey][value];
+  this.changedColumnKeys_[columnKey] = true;
 };
 
 
 /**
  * Returns the value stored in a particular bucket. Bucket is defined by
- * its columnKey and hash of bucketKey.
+ * its columnKey and bucketKey.
  *
  * @param {string} columnKey The key used to find column.
- * @param {string} bucketKey The key used to hash and find bucket.
+ * @param {string} bucketKey The key used to find bucket.
  *
  * @return {?Object}
  */
@@ -976,19 +1755,45 @@ MatchingColumnsBucket.prototype.getValue = function(columnKey, bucketKey) {
   }
 
   if (this.matchingColumnsBuckets_[columnKey]) {
-    var bucketHash = this.hashCode_(bucketKey);
-    return this.matchingColumnsBuckets_[columnKey][bucketHash];
+    var bucketIndex = this.getBucketIndex_(bucketKey);
+    return this.matchingColumnsBuckets_[columnKey][bucketIndex];
   } else {
     return null;
   }
 };
 
 
+/**
+ * Returns the bucket key a value was added with.
+ *
+ * @param {string} columnKey The key used to find column.
+ * @param {string} value
+ *
+ * @return {?string} The bucket key, or null if the value is missing.
+ */
+MatchingColumnsBucket.prototype.getBucketKey = function(columnKey, value) {
+  var bucketKeys = this.bucketKeys_[columnKey];
+  return bucketKeys && (value in bucketKeys) ? bucketKeys[value] : null;
+};
+
+
+/**
+ * Returns every value of a column.
+ *
+ * @param {string} columnKey The key used to find column.
+ *
+ * @return {Array<string>}
+ */
+MatchingColumnsBucket.prototype.getValues = function(columnKey) {
+  return Object.keys(this.bucketKeys_[columnKey] || {});
+};
+
+
 /**
  * Creates a new bucket to transfer the bucket to.
  *
  * @param {string} columnKey The key used to find column.
- * @param {string} currentBucketKey The key used to hash and find bucket.
+ * @param {string} currentBucketKey The key used to find bucket.
  * @param {string} newBucketKey The new bucket key to transfer to.
  */
 MatchingColumnsBucket.prototype.transferBucket = function(columnKey,
@@ -999,29 +1804,44 @@ MatchingColumnsBucket.prototype.transferBucket = function(columnKey,
     throw 'columnKey, bucketKey, and newBucketKey must have valid values.';
   }
 
+  var currentBucketIndex = this.getBucketIndex_(currentBucketKey);
+  var newBucketIndex = this.getBucketIndex_(newBucketKey);
+  if (currentBucketIndex === newBucketIndex) {
+    return;
+  }
+
   // Retrieve values.
-  var valuesToTransfer = this.getValue(columnKey, currentBucketKey);
+  var valuesToTransfer = this.getValue(columnKey, currentBucketKey) || [];
   var valuesInNewBucket = this.getValue(columnKey, newBucketKey);
 
   if (valuesInNewBucket) {
     valuesToTransfer = valuesToTransfer.concat(valuesInNewBucket);
   }
 
-  var currentBucketHash = this.hashCode_(currentBucketKey);
-  var newBucketHash = this.hashCode_(newBucketKey);
+  this.matchingColumnsBuckets_[columnKey][newBucketIndex] = valuesToTransfer;
+  this.matchingColumnsBuckets_[columnKey][currentBucketIndex] = null;
 
-  this.matchingColumnsBuckets_[columnKey][newBucketHash] = valuesToTransfer;
-  this.matchingColumnsBuckets_[columnKey][currentBucketHash] = null;
+  valuesToTransfer.forEach(function(value) {
+    this.bucketKeys_[columnKey][value] = newBucketKey;
+  }, this);
+  this.changedColumnKeys_[columnKey] = true;
 };
 
 
 /**
- * Saves current matchingColumnsBuckets_ to storage.
+ * Saves the columns changed since loaded to storage.
  */
 MatchingColumnsBucket.prototype.save = function() {
-  // `21600` parameter is the longest values can be stored for (in seconds).
+  Object.keys(this.changedColumnKeys_).forEach(function(columnKey) {
+    this.storage_.put(this.storageKey_ + ':' + columnKey, JSON.stringify({
+      buckets: this.matchingColumnsBuckets_[columnKey],
+      bucketKeys: this.bucketKeys_[columnKey]
+    }));
+  }, this);
+
   this.storage_.put(this.storageKey_,
-                    JSON.stringify(this.matchingColumnsBuckets_), 21600);
+                    JSON.stringify(Object.keys(this.matchingColumnsBuckets_)));
+  this.changedColumnKeys_ = {};
 };
 
 
@@ -1029,6 +1849,233 @@ MatchingColumnsBucket.prototype.save = function() {
  * Erases current matchingColumnsBuckets_ and storage.
  */
 MatchingColumnsBucket.prototype.clear = function() {
+  Object.keys(this.matchingColumnsBuckets_).forEach(function(columnKey) {
+    this.storage_.put(this.storageKey_ + ':' + columnKey, null);
+  }, this);
+
   this.storage_.put(this.storageKey_, null);
   this.matchingColumnsBuckets_ = {};
+  this.bucketKeys_ = {};
+  this.changedColumnKeys_ = {};
+};
+
+
+//////////////////////////////////////////////////////////////////////////
+///////////////////////// RowSnapshot Structure //////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+
+
+/**
+ * The number of rows stored under each storage key.
+ * @type {number}
+ */
+var ROW_SNAPSHOT_BLOCK_SIZE = 50;
+
+
+/**
+ * Data structure keeping the last known values of a sheet's content rows.
+ * Edits of multiple cells don't come with the previous values, which are
+ * needed to revert read only cells and to update linked cells.
+ *
+ * Rows are stored in blocks of `ROW_SNAPSHOT_BLOCK_SIZE` rows, each under its
+ * own storage key, so that edits only store their blocks again.
+ *
+ * @param {Object} storage The object to use for storing values, with `getAll`
+ *                         and `putAll` methods. Values must not expire, such
+ *                         as with a `ChunkedStorage`.
+ * @param {Sheet} sheet The sheet to keep a snapshot of.
+ * @param {number} firstContentRow The first row where the content starts.
+ *
+ * @constructor
+ */
+function RowSnapshot(storage, sheet, firstContentRow) {
+  if (!storage) {
+    throw 'Invalid storage.';
+  }
+
+  this.storage_ = storage;
+  this.sheet_ = sheet;
+  this.firstContentRow_ = firstContentRow;
+  this.storageKeyPrefix_ = 'row_snapshot:' + sheet.getName() + ':';
+
+  // Blocks loaded from storage, by block index.
+  this.blocks_ = {};
+}
+
+
+/**
+ * Retrieves the index of the block holding a row.
+ *
+ * @private
+ *
+ * @param {number} rowIndex
+ *
+ * @return {number}
+ */
+RowSnapshot.prototype.getBlockIndex_ = function(rowIndex) {
+  return Math.floor((rowIndex - this.firstContentRow_) /
+                    ROW_SNAPSHOT_BLOCK_SIZE);
+};
+
+
+/**
+ * Loads blocks from storage, unless already loaded.
+ *
+ * @private
+ *
+ * @param {Array<number>} blockIndices
+ */
+RowSnapshot.prototype.load_ = function(blockIndices) {
+  var self = this;
+  var keys = blockIndices.filter(function(blockIndex) {
+    return !(blockIndex in self.blocks_);
+  }).map(function(blockIndex) {
+    return self.storageKeyPrefix_ + blockIndex;
+  });
+
+  if (keys.length === 0) {
+    return;
+  }
+
+  var values = this.storage_.getAll(keys);
+  keys.forEach(function(key) {
+    var blockIndex = Number(key.substring(self.storageKeyPrefix_.length));
+    self.blocks_[blockIndex] = isEmptyString(values[key]) ? null :
+        JSON.parse(values[key]);
+  });
+};
+
+
+/**
+ * Reads rows from the sheet and stores them.
+ *
+ * @private
+ *
+ * @param {Array<number>} blockIndices Blocks to read.
+ */
+RowSnapshot.prototype.saveBlocks_ = function(blockIndices) {
+  var lastRow = this.sheet_.getLastRow();
+  var lastColumn = this.sheet_.getLastColumn();
+  var values = {};
+
+  blockIndices.forEach(function(blockIndex) {
+    var startRow = this.firstContentRow_ + blockIndex *
+        ROW_SNAPSHOT_BLOCK_SIZE;
+    var numRows = Math.min(ROW_SNAPSHOT_BLOCK_SIZE, lastRow - startRow + 1);
+
+    var block = numRows > 0 && lastColumn > 0 ?
+        this.sheet_.getRange(startRow, 1, numRows, lastColumn).getValues() :
+        [];
+    this.blocks_[blockIndex] = block;
+    values[this.storageKeyPrefix_ + blockIndex] = JSON.stringify(block);
+  }, this);
+
+  this.storage_.putAll(values);
+};
+
+
+/**
+ * Stores the current values of every content row.
+ */
+RowSnapshot.prototype.refresh = function() {
+  var blockIndices = [];
+  var lastBlockIndex = this.getBlockIndex_(this.sheet_.getLastRow());
+  for (var blockIndex = 0; blockIndex <= lastBlockIndex; blockIndex++) {
+    blockIndices.push(blockIndex);
+  }
+
+  this.saveBlocks_(blockIndices);
+};
+
+
+/**
+ * Stores the current values of some rows, along with the rest of their
+ * blocks. Every row is stored again if some of them were missing.
+ *
+ * @param {Array<number>} rowIndices
+ */
+RowSnapshot.prototype.update = function(rowIndices) {
+  if (rowIndices.length === 0) {
+    return;
+  }
+
+  var self = this;
+  var blockIndices = [];
+  rowIndices.forEach(function(rowIndex) {
+    var blockIndex = self.getBlockIndex_(rowIndex);
+    if (rowIndex >= self.firstContentRow_ &&
+        blockIndices.indexOf(blockIndex) === -1) {
+      blockIndices.push(blockIndex);
+    }
+  });
+
+  this.load_(blockIndices);
+  var isMissing = blockIndices.some(function(blockIndex) {
+    return isEmpty(self.blocks_[blockIndex]);
+  });
+
+  if (isMissing) {
+    this.refresh();
+  } else {
+    this.saveBlocks_(blockIndices);
+  }
+};
+
+
+/**
+ * Retrieves the last known values of a row.
+ *
+ * @param {number} rowIndex
+ *
+ * @return {?Array<*>} The values of the row, or null if unknown.
+ */
+RowSnapshot.prototype.get = function(rowIndex) {
+  if (rowIndex < this.firstContentRow_) {
+    return null;
+  }
+
+  var blockIndex = this.getBlockIndex_(rowIndex);
+  this.load_([blockIndex]);
+
+  var block = this.blocks_[blockIndex];
+  if (isEmpty(block)) {
+    return null;
+  }
+
+  return block[(rowIndex - this.firstContentRow_) % ROW_SNAPSHOT_BLOCK_SIZE] ||
+      null;
+};
+
+
+/**
+ * Retrieves the values of a row before an edit. The last known values are
+ * only trusted if the cells outside the edited columns still hold them, as
+ * rows may have been moved or changed by the AdWords script since.
+ *
+ * @param {number} rowIndex
+ * @param {Array<*>} values The current values of the row.
+ * @param {number} firstColIndex The first edited column.
+ * @param {number} lastColIndex The last edited column.
+ *
+ * @return {?Array<*>} The values of the row, or null if unknown.
+ */
+RowSnapshot.prototype.getBeforeEdit = function(rowIndex, values,
+                                               firstColIndex, lastColIndex) {
+  var oldValues = this.get(rowIndex);
+  if (isEmpty(oldValues)) {
+    return null;
+  }
+
+  var isUnchanged = values.every(function(value, index) {
+    var colIndex = index + 1;
+    if (colIndex >= firstColIndex && colIndex <= lastColIndex) {
+      return true;
+    }
+
+    var oldValue = isEmpty(oldValues[index]) ? '' : oldValues[index];
+    return JSON.stringify(value) === JSON.stringify(oldValue);
+  });
+
+  return isUnchanged ? oldValues : null;
 };
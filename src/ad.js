@@ -18,6 +18,7 @@
 
 // Depends on the following global functions:
 // - createLabel
+// - draftETAFields
 // - isEmpty
 // - isEmptyString
 // - print
@@ -47,6 +48,9 @@ function Ad(row, rowFields, adWordsAppAd, account) {
     this.ad = adWordsAppAd;
   }
 
+  // Stores ETA fields drafted from this Ad, see `Ad.prototype.draftETA`.
+  this.draft_ = null;
+
   if (!isEmpty(row) && !isEmpty(rowFields) && Array.isArray(rowFields)) {
     // Copy all selected fields.
     var self = this;
@@ -228,6 +232,11 @@ Ad.prototype.syncLabels = function(newLabels) {
     }
   }
 
+  // In dry-run mode, the Ad exists and labels would be applied.
+  if (IS_DRY_RUN) {
+    return true;
+  }
+
   var self = this;
   labelNamesDiff.add.forEach(function(labelName) {
     // Create label, if it doesn't exist.
@@ -254,6 +263,78 @@ Ad.prototype.syncLabels = function(newLabels) {
 };
 
 
+/**
+ * Removes labels from Ad. Labels that are not applied on the Ad are ignored.
+ *
+ * @param {Array<string>} labelNames Contains an array of label names to
+ *                                   remove.
+ *
+ * @return {boolean} Representing whether all labels were successfully removed.
+ */
+Ad.prototype.removeLabels = function(labelNames) {
+  if (isEmpty(labelNames) || labelNames.length <= 0) {
+    return true;
+  }
+
+  var currentLabelNames = this.getLabels();
+  var labelNamesToRemove = labelNames.filter(function(labelName) {
+    return currentLabelNames.indexOf(labelName.trim()) !== -1;
+  });
+
+  if (labelNamesToRemove.length === 0) {
+    return true;
+  }
+
+  if (!this.hasAdWordsAppAd() && !this.getAd()) {
+    return false;
+  }
+
+  // In dry-run mode, the Ad exists and labels would be removed.
+  if (IS_DRY_RUN) {
+    return true;
+  }
+
+  var allRemoved = true;
+  var self = this;
+  labelNamesToRemove.forEach(function(labelName) {
+    try {
+      if (self.ad.getId() > 0) {
+        self.ad.removeLabel(labelName.trim());
+      }
+    } catch (err) {
+      print('Failed to remove ' + labelName + ' from Ad Id: ' + self.getId(),
+          [err]);
+      allRemoved = false;
+    }
+  });
+
+  return allRemoved;
+};
+
+
+/**
+ * Removes the Ad from its AdGroup.
+ *
+ * @return {boolean} A boolean indicating if operation was successfull.
+ */
+Ad.prototype.remove = function() {
+  if (!this.hasAdWordsAppAd() && !this.getAd()) {
+    return false;
+  }
+
+  try {
+    if (this.ad.getId() > 0 && !IS_DRY_RUN) {
+      this.ad.remove();
+    }
+
+    return true;
+  } catch (err) {
+    print('Failed to remove Ad Id: ' + this.getId(), [err]);
+    return false;
+  }
+};
+
+
 /**
  * Returns status of Ad.
  *
@@ -341,16 +422,23 @@ Ad.prototype.syncStatus = function(status) {
       return true;
     }
 
+    // In dry-run mode, only report whether the status is supported.
     switch (normalizedStatus) {
       case Ad.statuses.ENABLED:
-        this.ad.enable();
+        if (!IS_DRY_RUN) {
+          this.ad.enable();
+        }
         return true;
       case Ad.statuses.PAUSED:
-        this.ad.pause();
+        if (!IS_DRY_RUN) {
+          this.ad.pause();
+        }
         return true;
       // For no value, set to pause.
       case '':
-        this.ad.pause();
+        if (!IS_DRY_RUN) {
+          this.ad.pause();
+        }
         return true;
       default:
         return false;
@@ -388,6 +476,21 @@ Ad.prototype.getAd = function() {
 };
 
 
+/**
+ * Drafts ETA fields from this Ad's report row. Drafted fields are used when
+ * exporting this Ad, for any ETA field the report left blank.
+ *
+ * @param {Object} limits The maximum length of each ETA field, see
+ *                        `CONFIG.etaFieldLimits`.
+ *
+ * @return {Object} The drafted ETA fields.
+ */
+Ad.prototype.draftETA = function(limits) {
+  this.draft_ = draftETAFields(this.row, limits);
+  return this.draft_;
+};
+
+
 /**
  * Export ad to selected Google sheet.
  *
@@ -508,6 +611,17 @@ Ad.prototype.parseField_ = function(key, sheetConfig) {
   // Get the field value using the key from the spreadhseet-column name.
   var field = this.row[proxyKey];
 
+  // Reports show empty fields, such as the paths of a STA, as '--'.
+  if (field === '--') {
+    field = '';
+  }
+
+  // Fall back to the drafted ETA value, if any.
+  if (isEmptyString(field) && !isEmpty(this.draft_) &&
+      !isEmptyString(this.draft_[key])) {
+    field = this.draft_[key];
+  }
+
   // Handle specific columns differently.
   switch (key) {
     case 'description':
@@ -538,8 +652,8 @@ Ad.prototype.parseField_ = function(key, sheetConfig) {
 
     case 'finalUrl':
     case 'mobileFinalUrl':
-      // Support only single value for Final URL and
-      // Mobile Final URL.
+      // Support only single value for Final URL and Mobile Final URL, as
+      // ETA builders take a single URL (see `isValidForETACreation`).
       try {
         field = JSON.parse(field);
       } catch (ignore) {
@@ -0,0 +1,184 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+////////////////////////////// AUTO PAUSE ////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - getAdMetrics
+// - isEmpty
+// - isEmptyString
+// - parseReportNumber
+
+
+/**
+ * Retrieves the metrics needed to evaluate the auto pause policy for ads in
+ * the current account, from `startDate` until today.
+ *
+ * @param {string} startDate The first day, formatted as YYYYMMDD.
+ * @param {Object=} adMetrics The performance of the account's ads since
+ *                            `startDate`, see `getAdMetrics`. Downloaded if
+ *                            not provided.
+ *
+ * @return {{ads: Object, daysServed: Object}} Report rows and the number of
+ *         days each ad had impressions, both indexed by 'AdGroupId|Id'.
+ */
+function getAutoPauseMetrics(startDate, adMetrics) {
+  var account = AdWordsApp.currentAccount();
+  var today = Utilities.formatDate(new Date(), account.getTimeZone(),
+                                   'yyyyMMdd');
+
+  var report = AdWordsApp.report(
+      'SELECT   AdGroupId, Id, Date, Impressions ' +
+      'FROM     AD_PERFORMANCE_REPORT ' +
+      'WHERE    AdType = "EXPANDED_TEXT_AD" ' +
+      '         AND Impressions > 0 ' +
+      'DURING   ' + startDate + ',' + today, {
+        apiVersion: CONFIG.apiVersion
+      });
+
+  // Report rows are segmented by date, one row per day with impressions.
+  var daysServed = {};
+  var rows = report.rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+    var key = row.AdGroupId + '|' + row.Id;
+    daysServed[key] = (daysServed[key] || 0) + 1;
+  }
+
+  return {
+    ads: isEmpty(adMetrics) ? getAdMetrics(startDate) : adMetrics,
+    daysServed: daysServed
+  };
+}
+
+
+/**
+ * Evaluates whether the STA of a row should be paused, because its ETA meets
+ * every condition of the auto pause policy. Conditions set to 0 or null in
+ * `policy` are skipped.
+ *
+ * @param {SpreadsheetRow} spreadsheetRow A row in spreadsheet.
+ * @param {{ads: Object, daysServed: Object}} metrics See
+ *                                                    `getAutoPauseMetrics`.
+ * @param {{requireApproval: boolean,
+ *          minDaysServed: number,
+ *          minImpressions: number,
+ *          maxCtrDrop: number}} policy The auto pause policy, see
+ *                                      `CONFIG.autoPause`.
+ *
+ * @return {{pause: boolean, reasons: Array<string>}} Whether to pause the STA,
+ *         and the conditions met (if `pause` is true) or not met.
+ */
+function evaluateAutoPausePolicy(spreadsheetRow, metrics, policy) {
+  var met = [];
+  var notMet = [];
+
+  function _check(condition, description) {
+    (condition ? met : notMet).push(description);
+  }
+
+  var adGroupId = spreadsheetRow.getString('adGroupId');
+  var staMetrics = metrics.ads[adGroupId + '|' +
+                               spreadsheetRow.getString('staId')] || {};
+  var etaKey = adGroupId + '|' + spreadsheetRow.getString('etaId');
+  var etaMetrics = metrics.ads[etaKey] || {};
+
+  if (policy.requireApproval) {
+    _check(spreadsheetRow.getString('etaApprovalStatus') === 'approved',
+           'ETA is approved');
+  }
+
+  if (policy.minDaysServed) {
+    var daysServed = metrics.daysServed[etaKey] || 0;
+    _check(daysServed >= policy.minDaysServed,
+           'ETA served on ' + daysServed + ' days (minimum ' +
+           policy.minDaysServed + ')');
+  }
+
+  var etaImpressions = parseReportNumber(etaMetrics.Impressions);
+  if (policy.minImpressions) {
+    _check(etaImpressions >= policy.minImpressions,
+           'ETA has ' + etaImpressions + ' impressions (minimum ' +
+           policy.minImpressions + ')');
+  }
+
+  if (!isEmpty(policy.maxCtrDrop)) {
+    var staImpressions = parseReportNumber(staMetrics.Impressions);
+    var staCtr = staImpressions > 0 ?
+        parseReportNumber(staMetrics.Clicks) / staImpressions : 0;
+    var etaCtr = etaImpressions > 0 ?
+        parseReportNumber(etaMetrics.Clicks) / etaImpressions : 0;
+
+    _check(etaImpressions > 0 && etaCtr >= staCtr * (1 - policy.maxCtrDrop),
+           'ETA CTR ' + (etaCtr * 100).toFixed(2) + '% is within ' +
+           (policy.maxCtrDrop * 100) + '% of STA CTR ' +
+           (staCtr * 100).toFixed(2) + '%');
+  }
+
+  return {
+    pause: notMet.length === 0 && met.length > 0,
+    reasons: notMet.length === 0 ? met : notMet
+  };
+}
+
+
+/**
+ * Pauses the STA of a row if its ETA meets the auto pause policy. The change
+ * is tracked in `staChanges`, and the `staStatus` cell is updated and given a
+ * note explaining why the STA was paused.
+ *
+ * @param {Ad} sta Ad object to pause.
+ * @param {SpreadsheetRow} spreadsheetRow A row in spreadsheet.
+ * @param {AdChange} staChanges An object used for tracking changes
+ *                              made in AdWords platform.
+ * @param {{ads: Object, daysServed: Object}} metrics See
+ *                                                    `getAutoPauseMetrics`.
+ * @param {Object} policy The auto pause policy, see `CONFIG.autoPause`.
+ *
+ * @return {number} A count of errors encountered.
+ */
+function applyAutoPausePolicy(sta, spreadsheetRow, staChanges, metrics,
+                              policy) {
+  // Only enabled STAs with an ETA are considered.
+  if (isEmpty(sta) || isEmptyString(spreadsheetRow.getString('etaId')) ||
+      spreadsheetRow.getString('etaId') === '0' ||
+      sta.getStatus() !== Ad.statuses.ENABLED) {
+    return 0;
+  }
+
+  var evaluation = evaluateAutoPausePolicy(spreadsheetRow, metrics, policy);
+  if (!evaluation.pause) {
+    return 0;
+  }
+
+  if (!sta.syncStatus(Ad.statuses.PAUSED)) {
+    spreadsheetRow.markAsError('Error pausing STA with Id ' +
+        spreadsheetRow.getString('staId') + ' automatically');
+    return 1;
+  }
+
+  staChanges.trackChange('staStatus', Ad.statuses.ENABLED,
+                         Ad.statuses.PAUSED);
+
+  if (!IS_DRY_RUN) {
+    spreadsheetRow.set('staStatus', Ad.statuses.PAUSED);
+    spreadsheetRow.getCell('staStatus').setNote(
+        'Paused automatically on ' + new Date().toDateString() + ':\n- ' +
+        evaluation.reasons.join('\n- '));
+  }
+
+  return 0;
+}
@@ -0,0 +1,253 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+////////////////////////////// CHECKPOINT ////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - getOrCreateSheet
+// - isEmpty
+// - isEmptyString
+// - print
+
+
+/**
+ * Keeps track of the progress of a sync across runs, so that a sync stopped
+ * by the execution time limit resumes where it left off.
+ *
+ * The checkpoint is stored in the `checkpointConfig.sheetName` sheet: the
+ * index of the last row processed, the account being processed, the
+ * accounts already processed (MCC only) and the row being synced.
+ *
+ * If a run ends while syncing a row, for example because the row made the
+ * script fail, the next run syncs that row again. Once `maxFailedRuns` runs
+ * ended on the same row, the row is skipped (see `startRow`).
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the sheet.
+ * @param {{sheetName: string,
+ *          minRemainingSeconds: number,
+ *          maxFailedRuns: number,
+ *          lastRowCheckedCell: string,
+ *          accountCell: string,
+ *          completedAccountsCell: string,
+ *          rowInProgressCell: string}} checkpointConfig Checkpoint
+ *                                                       configuration.
+ * @constructor
+ */
+function Checkpoint(spreadsheet, checkpointConfig) {
+  this.config_ = checkpointConfig;
+  this.sheet_ = getOrCreateSheet(spreadsheet, checkpointConfig.sheetName);
+  this.outOfTime_ = false;
+
+  var lastRowChecked = Number(this.sheet_.getRange(
+      checkpointConfig.lastRowCheckedCell).getValue());
+  this.lastRowChecked_ = isNaN(lastRowChecked) ? 0 : lastRowChecked;
+  this.accountInProgress_ = String(
+      this.sheet_.getRange(checkpointConfig.accountCell).getValue());
+
+  this.completedAccounts_ = [];
+  var completedAccounts = this.sheet_.getRange(
+      checkpointConfig.completedAccountsCell).getValue();
+  if (!isEmptyString(completedAccounts)) {
+    try {
+      this.completedAccounts_ = JSON.parse(completedAccounts);
+    } catch (err) {
+      print('Ignoring malformed list of completed accounts: ' +
+            completedAccounts);
+    }
+  }
+
+  // The row a previous run ended on, along with the number of runs that
+  // ended on it.
+  this.failedRow_ = null;
+  var rowInProgress = this.sheet_.getRange(
+      checkpointConfig.rowInProgressCell).getValue();
+  if (!isEmptyString(rowInProgress)) {
+    try {
+      this.failedRow_ = JSON.parse(rowInProgress);
+      this.failedRow_.failedRuns++;
+    } catch (err) {
+      print('Ignoring malformed row in progress: ' + rowInProgress);
+    }
+  }
+}
+
+
+/**
+ * Whether a previous run stopped before completing a full pass.
+ *
+ * @return {boolean}
+ */
+Checkpoint.prototype.isResuming = function() {
+  return this.lastRowChecked_ > 0 ||
+         !isEmptyString(this.accountInProgress_) ||
+         this.completedAccounts_.length > 0;
+};
+
+
+/**
+ * Whether an account was fully processed by a previous run.
+ *
+ * @param {string} customerId
+ *
+ * @return {boolean}
+ */
+Checkpoint.prototype.isAccountCompleted = function(customerId) {
+  return this.completedAccounts_.indexOf(String(customerId)) !== -1;
+};
+
+
+/**
+ * Retrieves the index, in spreadsheet, of the last row processed for an
+ * account by a previous run.
+ *
+ * @param {?string} customerId The account, or null for non-MCC accounts.
+ *
+ * @return {number} The row index, or 0 if no rows were processed.
+ */
+Checkpoint.prototype.getLastRowChecked = function(customerId) {
+  if (String(customerId || '') !== this.accountInProgress_) {
+    return 0;
+  }
+
+  return this.lastRowChecked_;
+};
+
+
+/**
+ * Records the row about to be synced, so that the next run knows which row
+ * a run ended on. Rows that `maxFailedRuns` runs ended on are not synced
+ * again, the caller should mark them as errors instead.
+ *
+ * @param {?string} customerId The account being processed, or null for
+ *                             non-MCC accounts.
+ * @param {number} rowIndex The index, in spreadsheet, of the row.
+ *
+ * @return {boolean} Whether to sync the row.
+ */
+Checkpoint.prototype.startRow = function(customerId, rowIndex) {
+  var account = String(customerId || '');
+  var failedRuns = 0;
+  if (!isEmpty(this.failedRow_) && this.failedRow_.account === account &&
+      this.failedRow_.row === rowIndex) {
+    failedRuns = this.failedRow_.failedRuns;
+  }
+
+  if (failedRuns >= this.config_.maxFailedRuns) {
+    print('Skipping row ' + rowIndex + (customerId ? ' of account ' +
+          customerId : '') + ', ' + failedRuns + ' runs ended on it');
+    return false;
+  }
+
+  this.sheet_.getRange(this.config_.rowInProgressCell).setValue(
+      JSON.stringify({account: account, row: rowIndex,
+                      failedRuns: failedRuns}));
+  return true;
+};
+
+
+/**
+ * Clears the row being synced, once the rows of an account are synced.
+ */
+Checkpoint.prototype.completeRows = function() {
+  this.sheet_.getRange(this.config_.rowInProgressCell).setValue('');
+};
+
+
+/**
+ * Whether processing stopped because the execution time limit is near.
+ *
+ * @return {boolean}
+ */
+Checkpoint.prototype.isOutOfTime = function() {
+  return this.outOfTime_;
+};
+
+
+/**
+ * Checks the remaining execution time. When it falls below
+ * `minRemainingSeconds`, the checkpoint is saved and processing should stop.
+ *
+ * @param {?string} customerId The account being processed, or null for
+ *                             non-MCC accounts.
+ * @param {number} lastRowChecked The index, in spreadsheet, of the last row
+ *                                processed.
+ *
+ * @return {boolean} Whether processing should stop.
+ */
+Checkpoint.prototype.shouldStop = function(customerId, lastRowChecked) {
+  if (this.outOfTime_) {
+    return true;
+  }
+
+  var remainingSeconds = AdWordsApp.getExecutionInfo().getRemainingTime();
+  if (remainingSeconds > this.config_.minRemainingSeconds) {
+    return false;
+  }
+
+  this.outOfTime_ = true;
+  this.lastRowChecked_ = lastRowChecked;
+  this.accountInProgress_ = String(customerId || '');
+  this.save_();
+
+  print('Out of time, the next run will resume after row ' + lastRowChecked +
+        (customerId ? ' of account ' + customerId : ''));
+
+  return true;
+};
+
+
+/**
+ * Marks an account as fully processed.
+ *
+ * @param {string} customerId
+ */
+Checkpoint.prototype.completeAccount = function(customerId) {
+  if (!this.isAccountCompleted(customerId)) {
+    this.completedAccounts_.push(String(customerId));
+  }
+
+  this.lastRowChecked_ = 0;
+  this.accountInProgress_ = '';
+  this.save_();
+};
+
+
+/**
+ * Clears the checkpoint, once a full pass completes.
+ */
+Checkpoint.prototype.clear = function() {
+  this.lastRowChecked_ = 0;
+  this.accountInProgress_ = '';
+  this.completedAccounts_ = [];
+  this.save_();
+};
+
+
+/**
+ * Writes the checkpoint to its sheet.
+ *
+ * @private
+ */
+Checkpoint.prototype.save_ = function() {
+  this.sheet_.getRange(this.config_.lastRowCheckedCell)
+      .setValue(this.lastRowChecked_ > 0 ? this.lastRowChecked_ : '');
+  this.sheet_.getRange(this.config_.accountCell)
+      .setValue(this.accountInProgress_);
+  this.sheet_.getRange(this.config_.completedAccountsCell)
+      .setValue(this.completedAccounts_.length > 0 ?
+                JSON.stringify(this.completedAccounts_) : '');
+  this.sheet_.getRange(this.config_.rowInProgressCell).setValue('');
+};
@@ -0,0 +1,210 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+////////////////////////////// COMPARISON ////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - appendRowsToSheet
+// - createIndexableObjectFromKeys
+// - getOrCreateSheet
+// - isEmpty
+// - isEmptyString
+// - parseReportNumber
+
+
+/**
+ * Header of the comparison sheet.
+ * @type {Array<string>}
+ */
+var COMPARISON_SHEET_HEADER = ['Account', 'Campaign', 'AdGroup', 'Row',
+                               'STA Id', 'ETA Id',
+                               'STA Impressions', 'ETA Impressions',
+                               'STA Clicks', 'ETA Clicks',
+                               'STA CTR', 'ETA CTR',
+                               'STA Conversions', 'ETA Conversions',
+                               'STA Cost', 'ETA Cost',
+                               'CTR difference'];
+
+
+/**
+ * Outcomes of comparing the CTR of a STA with the CTR of its ETA.
+ * @enum {string}
+ */
+var CtrComparison = {
+  ETA_BETTER: 'ETA better',
+  STA_BETTER: 'STA better',
+  NOT_SIGNIFICANT: 'not significant',
+  NOT_ENOUGH_DATA: 'not enough data'
+};
+
+
+/**
+ * Clears the comparison sheet and writes its header.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the sheet.
+ * @param {{sheetName: string}} comparisonConfig Comparison configuration.
+ */
+function resetComparisonSheet(spreadsheet, comparisonConfig) {
+  var sheet = getOrCreateSheet(spreadsheet, comparisonConfig.sheetName);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, COMPARISON_SHEET_HEADER.length)
+      .setValues([COMPARISON_SHEET_HEADER]);
+  sheet.setFrozenRows(1);
+}
+
+
+/**
+ * Writes the performance of each STA next to the performance of the ETA that
+ * replaces it, for rows of the current account. Performance is measured since
+ * `CONFIG.etaReportStartDate`.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the sheet.
+ * @param {Array<SpreadsheetRow>} rows Spreadsheet rows of the current
+ *                                     account. Rows without a STA or an ETA
+ *                                     are skipped.
+ * @param {{sheetName: string,
+ *          minImpressions: number,
+ *          zScore: number}} comparisonConfig Comparison configuration.
+ * @param {{adMetrics: Object}=} accountReports Reports already downloaded
+ *                                            for the account, see
+ *                                            `syncSpreadsheetShards`. The
+ *                                            performance of its ads is read
+ *                                            from `adMetrics`, and stored
+ *                                            there once downloaded.
+ *
+ * @return {number} The number of STA and ETA pairs written.
+ */
+function writeComparison(spreadsheet, rows, comparisonConfig,
+                         accountReports) {
+  var pairedRows = rows.filter(function(row) {
+    return !isEmptyString(row.getString('staId')) &&
+           !isEmptyString(row.getString('etaId')) &&
+           row.getString('etaId') !== '0';
+  });
+
+  if (pairedRows.length === 0) {
+    return 0;
+  }
+
+  var reports = accountReports || {};
+  if (isEmpty(reports.adMetrics)) {
+    reports.adMetrics = getAdMetrics(CONFIG.etaReportStartDate);
+  }
+  var metrics = reports.adMetrics;
+
+  var values = pairedRows.map(function(row) {
+    var adGroupId = row.getString('adGroupId');
+    var sta = metrics[adGroupId + '|' + row.getString('staId')] || {};
+    var eta = metrics[adGroupId + '|' + row.getString('etaId')] || {};
+
+    function _metric(ad, field) {
+      return parseReportNumber(ad[field]);
+    }
+
+    return [row.getString('customerId'), row.getString('campaignName'),
+            row.getString('adGroupName'), row.getRowIndex(),
+            row.getString('staId'), row.getString('etaId'),
+            _metric(sta, 'Impressions'), _metric(eta, 'Impressions'),
+            _metric(sta, 'Clicks'), _metric(eta, 'Clicks'),
+            isEmpty(sta.Ctr) ? '' : sta.Ctr, isEmpty(eta.Ctr) ? '' : eta.Ctr,
+            _metric(sta, 'Conversions'), _metric(eta, 'Conversions'),
+            _metric(sta, 'Cost'), _metric(eta, 'Cost'),
+            compareCtr(_metric(sta, 'Clicks'), _metric(sta, 'Impressions'),
+                       _metric(eta, 'Clicks'), _metric(eta, 'Impressions'),
+                       comparisonConfig)];
+  });
+
+  appendRowsToSheet(getOrCreateSheet(spreadsheet, comparisonConfig.sheetName),
+                    values);
+
+  return values.length;
+}
+
+
+/**
+ * Retrieves the performance of all text ads and expanded text ads in the
+ * current account, from `startDate` until today.
+ *
+ * @param {string} startDate The first day, formatted as YYYYMMDD.
+ *
+ * @return {Object} Report rows, indexed by 'AdGroupId|Id'.
+ */
+function getAdMetrics(startDate) {
+  var account = AdWordsApp.currentAccount();
+  var today = Utilities.formatDate(new Date(), account.getTimeZone(),
+                                   'yyyyMMdd');
+
+  var report = AdWordsApp.report(
+      'SELECT   AdGroupId, Id, Impressions, Clicks, Ctr, Conversions, Cost ' +
+      'FROM     AD_PERFORMANCE_REPORT ' +
+      'WHERE    AdType IN [TEXT_AD, EXPANDED_TEXT_AD] ' +
+      'DURING   ' + startDate + ',' + today, {
+        apiVersion: CONFIG.apiVersion
+      });
+
+  var reportRows = [];
+  var rows = report.rows();
+  while (rows.hasNext()) {
+    reportRows.push(rows.next());
+  }
+
+  return createIndexableObjectFromKeys(reportRows, ['AdGroupId', 'Id']);
+}
+
+
+/**
+ * Determines whether the CTR of an ETA differs significantly from the CTR of
+ * the STA it replaces, using a two-proportion z-test.
+ *
+ * @param {number} staClicks
+ * @param {number} staImpressions
+ * @param {number} etaClicks
+ * @param {number} etaImpressions
+ * @param {{minImpressions: number,
+ *          zScore: number}} comparisonConfig `minImpressions` is the least
+ *                           number of impressions each ad needs, `zScore` is
+ *                           the z-score above which a difference is
+ *                           significant (e.g. 1.96 for 95% confidence).
+ *
+ * @return {CtrComparison} The outcome of the comparison.
+ */
+function compareCtr(staClicks, staImpressions, etaClicks, etaImpressions,
+                    comparisonConfig) {
+  if (staImpressions < comparisonConfig.minImpressions ||
+      etaImpressions < comparisonConfig.minImpressions) {
+    return CtrComparison.NOT_ENOUGH_DATA;
+  }
+
+  var staCtr = staClicks / staImpressions;
+  var etaCtr = etaClicks / etaImpressions;
+  var pooledCtr = (staClicks + etaClicks) / (staImpressions + etaImpressions);
+  var standardError = Math.sqrt(pooledCtr * (1 - pooledCtr) *
+      (1 / staImpressions + 1 / etaImpressions));
+
+  if (standardError === 0) {
+    return CtrComparison.NOT_SIGNIFICANT;
+  }
+
+  var z = (etaCtr - staCtr) / standardError;
+  if (z >= comparisonConfig.zScore) {
+    return CtrComparison.ETA_BETTER;
+  } else if (z <= -comparisonConfig.zScore) {
+    return CtrComparison.STA_BETTER;
+  }
+
+  return CtrComparison.NOT_SIGNIFICANT;
+}
@@ -65,6 +65,29 @@ var CONFIG = {
     // The name of the sheet inside the spreadsheet.
     sheetName: 'main',
 
+    // Spreads exported rows across several sheets once a single sheet gets
+    // too large, e.g. to export every STA of a large MCC. Each account, or
+    // each campaign, gets its own shard: a copy of the template's sheet, named
+    // '<sheetName> - <shard key>', or a copy of the template spreadsheet.
+    // Shards are listed in the `registrySheetName` sheet of the spreadsheet.
+    // Rows already in `sheetName` stay there and keep syncing.
+    sharding: {
+      enabled: false,
+
+      // Either 'account' or 'campaign'.
+      shardBy: 'account',
+
+      // Either 'sheets', added to the spreadsheet, or 'spreadsheets'.
+      target: 'sheets',
+
+      registrySheetName: 'shards'
+    },
+
+    // Stores the shards by key.
+    // Do not set any values for `shards`, this is dynamically filled when
+    // initialized.
+    shards: null,
+
     // The first row where the content starts.
     firstContentRow: 4,
 
@@ -191,7 +214,8 @@ var CONFIG = {
                           'etaCreated']
   },
 
-  // The total number of ads we would like to handle.
+  // The total number of ads we would like to handle. When sharding, the
+  // number of ads each shard handles.
   numOfAds: 800,
 
   // The total number of accounts we would like to handle (MCC only).
@@ -200,6 +224,38 @@ var CONFIG = {
   // The duration used to download the Ad Performance Report.
   duration: 'LAST_30_DAYS',
 
+  // Which STAs to export. The same filters apply to the report used when
+  // syncing, so that export and sync stay consistent. Empty values don't
+  // filter. Use them to migrate one brand or group of campaigns at a time.
+  exportFilter: {
+    // Only campaigns whose name contains this text, ignoring case.
+    campaignNameContains: '',
+
+    // Only campaigns whose name matches this regular expression, e.g.
+    // '^Brand - '.
+    campaignNameRegex: '',
+
+    // Only these campaigns, by Id.
+    campaignIds: [],
+
+    // Only ads with any of these labels, or without any of these labels.
+    // Don't exclude the labels applied to STAs once their ETA is created,
+    // such as `defaultLabelName`: their STAs would then be retrieved one at a
+    // time while syncing.
+    includeLabels: [],
+    excludeLabels: [],
+
+    // Only ads with at least this many impressions in the date range.
+    minImpressions: 0,
+
+    // A custom date range, formatted as YYYYMMDD, used instead of `duration`.
+    startDate: '',
+    endDate: '',
+
+    // Also export paused STAs, not only enabled ones.
+    includePaused: false
+  },
+
   // The API version to use when downloading the Ad Performance Report.
   apiVersion: 'v201607',
 
@@ -211,7 +267,37 @@ var CONFIG = {
   // compare their CTR.
   performance: {
     impressionsThreshold: 10,
-    ctrThreshold: 0.1
+    ctrThreshold: 0.1,
+
+    // The strategy used to rank ads, one of:
+    // - impressionsCtr: by impressions and CTR, using the thresholds above.
+    // - conversions: by conversions.
+    // - cost: by cost.
+    // - conversionValue: by conversion value.
+    // - weighted: by the sum of each metric in `weights` times its weight.
+    // Ties are broken with `impressionsCtr`.
+    strategy: 'impressionsCtr',
+
+    // Weight of each metric when using the `weighted` strategy. Supported
+    // metrics are impressions, clicks, ctr, conversions, conversionValue and
+    // cost. Use a negative weight to prefer lower values.
+    weights: {
+      clicks: 1,
+      conversions: 10,
+      conversionValue: 0,
+      cost: 0
+    },
+
+    // Custom strategies, by name, to select with `strategy`. For example:
+    // allConversions: {
+    //   compare: function(a, b) {
+    //     return parseReportNumber(a.row.allConversions) -
+    //            parseReportNumber(b.row.allConversions);
+    //   },
+    //   reportFields: ['AllConversions']
+    // }
+    // Strategies can also be added with `registerPerformanceStrategy`.
+    customStrategies: {}
   },
 
   // Fields to select from Ad Performance Report and export to selected
@@ -232,6 +318,198 @@ var CONFIG = {
                  'Path1', 'Path2'
   ],
 
+  // The maximum number of characters allowed in each ETA field.
+  etaFieldLimits: {
+    headline1: 30,
+    headline2: 30,
+    description: 80,
+    path1: 15,
+    path2: 15
+  },
+
+  // Validation of ETA fields before creation, see `ETA_VALIDATION_RULES`.
+  etaValidation: {
+    // Names of rules to skip. Rules stricter than AdWords policies, which
+    // also reject some valid ads (acronyms and brand names in capitals,
+    // ellipses, decorative symbols), are skipped by default.
+    disabledRules: ['excessiveCapitalization', 'repeatedPunctuation',
+                    'disallowedCharacters']
+  },
+
+  // Draft ETA fields from the exported STAs.
+  // When enabled, headline1, headline2, description, path1 and path2 are
+  // drafted from the STA's headline, description lines, display URL path and
+  // ad group name, and written to the editable ETA columns for review.
+  // Drafted fields look like user input and sync as-is once a row is marked
+  // ready to upload, so drafting is off by default.
+  draft: {
+    enabled: false
+  },
+
+  // Import ETAs that are not in the spreadsheet yet, such as ETAs created
+  // outside of this script, after exporting STAs. Each ETA is attached to the
+  // most similar STA row of its ad group that has no ETA, filling the ETA
+  // columns of the row.
+  etaImport: {
+    enabled: false,
+
+    // The least share of words, between 0 and 1, an ETA must have in common
+    // with a STA row to be attached to it.
+    minSimilarity: 0.5,
+
+    // Add ETAs without a similar enough STA row as rows of their own, with
+    // empty STA columns.
+    addStandaloneRows: true
+  },
+
+  // Dry-run mode. In this mode, the spreadsheet is synced without making any
+  // changes to the AdWords account: no STAs are exported, no ETAs are created
+  // and no statuses or labels are changed. Instead, every planned change is
+  // written to the `planSheetName` sheet for review, along with the errors
+  // rows would be marked with, and rows are left unchanged. Combined with
+  // `history.rollbackRunId`, the plan lists the changes a rollback would make.
+  dryRun: {
+    enabled: false,
+
+    // The name of the sheet listing planned changes. It is created if missing
+    // and cleared at the start of each dry run.
+    planSheetName: 'plan'
+  },
+
+  // History of changes made to the AdWords account.
+  history: {
+    // Record every change made during a run in the `sheetName` sheet, so that
+    // the run can later be rolled back.
+    enabled: true,
+
+    // The name of the sheet listing changes from all runs. It is created if
+    // missing. The spreadsheet also logs user edits to this sheet, with the
+    // editing user's email under 'Changed by'.
+    sheetName: 'history',
+
+    // Set to the Id of a run, as listed in the history sheet, to roll back
+    // the changes made during that run instead of exporting and syncing.
+    rollbackRunId: '',
+
+    // What to do with ETAs created during a rolled back run. Either `pause`
+    // or `remove`.
+    rollbackCreatedETAs: 'pause'
+  },
+
+  // Side by side comparison of each STA with the ETA that replaces it,
+  // written to the `sheetName` sheet after each sync. It downloads a report
+  // for every account, which takes part of the run's time.
+  comparison: {
+    enabled: false,
+
+    // The name of the comparison sheet. It is created if missing and cleared
+    // at the start of each run.
+    sheetName: 'comparison',
+
+    // The least number of impressions both the STA and ETA need before their
+    // CTRs are compared.
+    minImpressions: 100,
+
+    // The z-score above which a difference in CTR is significant. 1.96 is a
+    // 95% confidence level.
+    zScore: 1.96
+  },
+
+  // Coverage of each enabled ad group, written to the `sheetName` sheet after
+  // each complete sync: the number of STAs, ETAs and spreadsheet rows, with
+  // ad groups without ETAs listed first by impressions. Like the comparison,
+  // it downloads reports for every account. It is skipped when less than
+  // `checkpoint.minRemainingSeconds` are left once the sync completes.
+  coverage: {
+    enabled: false,
+
+    // The name of the coverage sheet. It is created if missing and cleared
+    // at each run.
+    sheetName: 'coverage'
+  },
+
+  // Find/replace and template rules rewriting ETA fields in bulk, listed in
+  // the `sheetName` sheet and applied once to each row, when it is exported.
+  // Rewrites that don't fit a field are listed in the run summary. The
+  // spreadsheet applies the same rules to other rows from its 'Rewrite' menu.
+  rewriteRules: {
+    enabled: false,
+
+    // The name of the rewrite rules sheet. It is created if missing.
+    sheetName: 'rewrite rules'
+  },
+
+  // Pause STAs automatically once the ETA replacing them performs well.
+  // A STA is paused when its ETA meets every condition below, performance is
+  // measured since `etaReportStartDate`. Set a condition to 0 (or null for
+  // `maxCtrDrop`) to skip it.
+  autoPause: {
+    enabled: false,
+
+    // The ETA must be approved.
+    requireApproval: true,
+
+    // The least number of days the ETA had impressions on.
+    minDaysServed: 7,
+
+    // The least number of impressions of the ETA.
+    minImpressions: 500,
+
+    // How much lower the ETA's CTR may be than the STA's CTR, as a fraction.
+    // For example, 0.1 pauses the STA if the ETA's CTR is at least 90% of the
+    // STA's CTR.
+    maxCtrDrop: 0.1
+  },
+
+  // Email a summary to `email` after each run: STAs exported, ETAs created,
+  // statuses changed and errors by account, with links to the first rows
+  // with errors. Not sent in preview or dry-run mode.
+  runSummary: {
+    enabled: true,
+
+    // When to send the summary, one of:
+    // - always: after every run.
+    // - changesOrErrors: only if something changed or failed.
+    // - errors: only if something failed.
+    sendWhen: 'changesOrErrors',
+
+    // The most rows with errors listed in the summary.
+    maxErrorMessages: 10
+  },
+
+  // Resume syncing where the previous run stopped. Scripts are stopped after
+  // 30 minutes; when less than `minRemainingSeconds` are left, the last row
+  // processed is saved to the `sheetName` sheet and the next run resumes from
+  // there, skipping the export. The checkpoint is cleared once all rows are
+  // synced. Not used in preview or dry-run mode.
+  checkpoint: {
+    enabled: true,
+
+    // The name of the sheet holding the checkpoint. It is created if missing.
+    sheetName: 'checkpoint',
+
+    // The least number of seconds left to keep processing rows.
+    minRemainingSeconds: 120,
+
+    // The number of runs that may end while syncing the same row, for
+    // example because the row makes the script fail, before the row is
+    // marked as an error and skipped.
+    maxFailedRuns: 2,
+
+    // Cells, in A1 notation, holding the index of the last row processed, the
+    // account being processed, the accounts already processed and the row
+    // being synced.
+    lastRowCheckedCell: 'A1',
+    accountCell: 'A2',
+    completedAccountsCell: 'A3',
+    rowInProgressCell: 'A4'
+  },
+
+  // Identifies the current run in the history sheet.
+  // Do not set any values for `runId`, this is dynamically filled when
+  // initialized.
+  runId: null,
+
   // The default label to apply to Ads if no value is present in the label
   // column.
   defaultLabelName: 'eta-upgrade',
@@ -248,6 +526,10 @@ var CONFIG = {
 
 // Email template types.
 var SPREADSHEET_CREATED = 1;
+var RUN_SUMMARY = 2;
 
 // Preview mode indicator.
 var IS_PREVIEW = AdWordsApp.getExecutionInfo().isPreview();
+
+// Dry-run mode indicator.
+var IS_DRY_RUN = CONFIG.dryRun.enabled;
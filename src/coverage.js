@@ -0,0 +1,250 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+/////////////////////////////// COVERAGE /////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - appendRowsToSheet
+// - getAccountIteratorFromMCC
+// - getOrCreateSheet
+// - getShards
+// - isEmptyString
+// - parseReportNumber
+// - print
+
+
+/**
+ * Header of the coverage sheet.
+ * @type {Array<string>}
+ */
+var COVERAGE_SHEET_HEADER = ['Account', 'Campaign Id', 'Campaign',
+                             'AdGroup Id', 'AdGroup', 'STAs', 'ETAs',
+                             'Sheet rows', 'Impressions', 'Missing ETA',
+                             'Campaign STAs', 'Campaign ETAs',
+                             'Campaign AdGroups without ETA'];
+
+
+/**
+ * Writes the coverage sheet: for each enabled ad group with text ads, the
+ * number of STAs, ETAs and spreadsheet rows, along with totals for its
+ * campaign. Ad groups without ETAs come first, those serving the most
+ * impressions at the top, as they are most at risk once STAs can no longer
+ * be edited.
+ *
+ * For MCC accounts, every account selected in CONFIG is processed.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the sheet.
+ * @param {{sheetName: string}} coverageConfig Coverage configuration.
+ *
+ * @return {number} The number of ad groups without ETAs.
+ */
+function writeCoverage(spreadsheet, coverageConfig) {
+  var sheetRowCounts = countSheetRowsByAdGroup(CONFIG.spreadsheet);
+  var adGroups = [];
+
+  if (MccApp) {
+    var mccAccount = AdWordsApp.currentAccount();
+    var accountIterator = getAccountIteratorFromMCC();
+
+    while (accountIterator.hasNext()) {
+      MccApp.select(accountIterator.next());
+      adGroups = adGroups.concat(getAdGroupCoverage(sheetRowCounts));
+    }
+
+    MccApp.select(mccAccount);
+  } else {
+    adGroups = getAdGroupCoverage(sheetRowCounts);
+  }
+
+  adGroups.sort(compareCoverageRisk);
+
+  var sheet = getOrCreateSheet(spreadsheet, coverageConfig.sheetName);
+  sheet.clear();
+  appendRowsToSheet(sheet, [COVERAGE_SHEET_HEADER]);
+  sheet.setFrozenRows(1);
+
+  appendRowsToSheet(sheet, adGroups.map(function(adGroup) {
+    return [adGroup.customerId, adGroup.campaignId, adGroup.campaignName,
+            adGroup.adGroupId, adGroup.adGroupName, adGroup.staCount,
+            adGroup.etaCount, adGroup.sheetRowCount, adGroup.impressions,
+            adGroup.etaCount === 0 ? 'yes' : 'no',
+            adGroup.campaign.staCount, adGroup.campaign.etaCount,
+            adGroup.campaign.adGroupsWithoutETACount];
+  }));
+
+  return adGroups.filter(function(adGroup) {
+    return adGroup.etaCount === 0;
+  }).length;
+}
+
+
+/**
+ * Counts the STAs and ETAs of each enabled ad group of the current account,
+ * and the impressions it served during `CONFIG.duration`. Only ad groups
+ * with at least one STA or ETA are included.
+ *
+ * @param {Object} sheetRowCounts The number of spreadsheet rows, indexed by
+ *                                'customerId|adGroupId', see
+ *                                `countSheetRowsByAdGroup`.
+ *
+ * @return {Array<Object>} The coverage of each ad group.
+ */
+function getAdGroupCoverage(sheetRowCounts) {
+  var customerId = AdWordsApp.currentAccount().getCustomerId();
+
+  var adReport = AdWordsApp.report(
+      'SELECT   CampaignId, CampaignName, AdGroupId, AdGroupName, AdType ' +
+      'FROM     AD_PERFORMANCE_REPORT ' +
+      'WHERE    AdType IN [TEXT_AD, EXPANDED_TEXT_AD] ' +
+      '         AND Status IN [ENABLED, PAUSED] ' +
+      '         AND AdGroupStatus = "ENABLED" ' +
+      '         AND CampaignStatus = "ENABLED" ' +
+      'DURING   ' + CONFIG.duration, {
+        apiVersion: CONFIG.apiVersion,
+        includeZeroImpressions: true
+      });
+
+  var adGroups = {};
+  var campaigns = {};
+
+  var rows = adReport.rows();
+  while (rows.hasNext()) {
+    var row = rows.next();
+
+    if (!(row.CampaignId in campaigns)) {
+      campaigns[row.CampaignId] = {
+        staCount: 0,
+        etaCount: 0,
+        adGroupsWithoutETACount: 0
+      };
+    }
+
+    if (!(row.AdGroupId in adGroups)) {
+      adGroups[row.AdGroupId] = {
+        customerId: customerId,
+        campaignId: row.CampaignId,
+        campaignName: row.CampaignName,
+        adGroupId: row.AdGroupId,
+        adGroupName: row.AdGroupName,
+        staCount: 0,
+        etaCount: 0,
+        sheetRowCount: sheetRowCounts[customerId + '|' + row.AdGroupId] || 0,
+        impressions: 0,
+        campaign: campaigns[row.CampaignId]
+      };
+    }
+
+    if (row.AdType === 'Expanded text ad' ||
+        row.AdType === 'EXPANDED_TEXT_AD') {
+      adGroups[row.AdGroupId].etaCount++;
+      campaigns[row.CampaignId].etaCount++;
+    } else {
+      adGroups[row.AdGroupId].staCount++;
+      campaigns[row.CampaignId].staCount++;
+    }
+  }
+
+  var impressionsReport = AdWordsApp.report(
+      'SELECT   AdGroupId, Impressions ' +
+      'FROM     ADGROUP_PERFORMANCE_REPORT ' +
+      'WHERE    AdGroupStatus = "ENABLED" ' +
+      '         AND CampaignStatus = "ENABLED" ' +
+      '         AND Impressions > 0 ' +
+      'DURING   ' + CONFIG.duration, {
+        apiVersion: CONFIG.apiVersion
+      });
+
+  rows = impressionsReport.rows();
+  while (rows.hasNext()) {
+    var impressionsRow = rows.next();
+    if (impressionsRow.AdGroupId in adGroups) {
+      adGroups[impressionsRow.AdGroupId].impressions =
+          parseReportNumber(impressionsRow.Impressions);
+    }
+  }
+
+  return Object.keys(adGroups).map(function(adGroupId) {
+    var adGroup = adGroups[adGroupId];
+    if (adGroup.etaCount === 0) {
+      adGroup.campaign.adGroupsWithoutETACount++;
+    }
+    return adGroup;
+  });
+}
+
+
+/**
+ * Counts the spreadsheet rows of each ad group, across the main sheet and its
+ * shards, see `getShards`. Values are read directly from the sheets, leaving
+ * error messages in place.
+ *
+ * @param {{sheet: Sheet,
+ *          firstContentRow: number,
+ *          columnNamesToIndices: Object}} sheetConfig The spreadsheet
+ *                                                      configuration, see
+ *                                                      `CONFIG.spreadsheet`.
+ *
+ * @return {Object} The number of rows, indexed by 'customerId|adGroupId'.
+ */
+function countSheetRowsByAdGroup(sheetConfig) {
+  var counts = {};
+  var customerIdIndex = sheetConfig.columnNamesToIndices.customerId;
+  var adGroupIdIndex = sheetConfig.columnNamesToIndices.adGroupId;
+
+  getShards(sheetConfig, CONFIG.email, []).forEach(function(shard) {
+    var sheet = shard.sheet;
+    var lastRow = sheet.getLastRow();
+    if (lastRow < sheetConfig.firstContentRow) {
+      return;
+    }
+
+    var values = sheet.getRange(sheetConfig.firstContentRow, 1,
+                                lastRow - sheetConfig.firstContentRow + 1,
+                                sheet.getLastColumn()).getValues();
+
+    values.forEach(function(row) {
+      if (isEmptyString(row[adGroupIdIndex])) {
+        return;
+      }
+
+      var key = row[customerIdIndex] + '|' + row[adGroupIdIndex];
+      counts[key] = (counts[key] || 0) + 1;
+    });
+  });
+
+  return counts;
+}
+
+
+/**
+ * Sorts ad groups by risk: ad groups without ETAs first, then by impressions
+ * in descending order.
+ *
+ * @param {Object} a The coverage of an ad group.
+ * @param {Object} b The coverage of another ad group.
+ *
+ * @return {number}
+ */
+function compareCoverageRisk(a, b) {
+  var aMissing = (a.etaCount === 0) ? 1 : 0;
+  var bMissing = (b.etaCount === 0) ? 1 : 0;
+
+  if (aMissing !== bMissing) {
+    return bMissing - aMissing;
+  }
+
+  return b.impressions - a.impressions;
+}
@@ -0,0 +1,160 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+//////////////////////////////// DRY RUN /////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - appendRowsToSheet
+// - flattenChanges
+// - getOrCreateSheet
+// - isEmpty
+
+
+/**
+ * Header of the plan sheet.
+ * @type {Array<string>}
+ */
+var PLAN_SHEET_HEADER = ['Account', 'Row', 'Ad type', 'Ad Id', 'AdGroup Id',
+                         'Planned change', 'Old value', 'New value'];
+
+
+/**
+ * Clears the plan sheet and writes its header. Called once at the start of
+ * each dry run, so that the plan only lists changes from the latest run.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the plan sheet.
+ * @param {{planSheetName: string}} dryRunConfig Dry-run configuration.
+ *
+ * @return {Sheet} The plan sheet.
+ */
+function resetPlanSheet(spreadsheet, dryRunConfig) {
+  var sheet = getOrCreateSheet(spreadsheet, dryRunConfig.planSheetName);
+
+  sheet.clear();
+  sheet.getRange(1, 1, 1, PLAN_SHEET_HEADER.length)
+      .setValues([PLAN_SHEET_HEADER]);
+  sheet.setFrozenRows(1);
+
+  return sheet;
+}
+
+
+/**
+ * Writes the changes planned during a dry run to the plan sheet, followed by
+ * the errors that rows would be marked with.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the plan sheet.
+ * @param {{planSheetName: string}} dryRunConfig Dry-run configuration.
+ * @param {Array<{customerId: string,
+ *                rowIndex: number,
+ *                sta: Object,
+ *                eta: Array<Object>}>} allChanges The change structs tracked
+ *                                      by `AdChange` for each spreadsheet row.
+ * @param {Array<SpreadsheetRow>=} rows The synced rows. Their errors are
+ *                                      only held by the rows in dry-run mode,
+ *                                      see `SpreadsheetRow.markAsError`.
+ *
+ * @return {number} The number of planned changes written.
+ */
+function writePlannedChanges(spreadsheet, dryRunConfig, allChanges, rows) {
+  var errorRecords = (rows || []).filter(function(row) {
+    return row.hasErrors();
+  }).map(function(row) {
+    return {
+      customerId: row.getString('customerId'),
+      rowIndex: row.getRowIndex(),
+      adType: '',
+      adId: null,
+      adGroupId: row.getNumber('adGroupId'),
+      fieldName: 'error',
+      oldValue: '',
+      newValue: row.getString('errorMessage').trim()
+    };
+  });
+
+  return writePlannedRecords(spreadsheet, dryRunConfig,
+                             flattenChanges(allChanges).concat(errorRecords));
+}
+
+
+/**
+ * Writes planned change records to the plan sheet.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the plan sheet.
+ * @param {{planSheetName: string}} dryRunConfig Dry-run configuration.
+ * @param {Array<Object>} records The planned changes, see `flattenChanges`.
+ *
+ * @return {number} The number of planned changes written.
+ */
+function writePlannedRecords(spreadsheet, dryRunConfig, records) {
+  var sheet = getOrCreateSheet(spreadsheet, dryRunConfig.planSheetName);
+
+  var rows = records.map(function(record) {
+    return [record.customerId, record.rowIndex, record.adType,
+            isEmpty(record.adId) ? '' : record.adId,
+            isEmpty(record.adGroupId) ? '' : record.adGroupId]
+        .concat(formatPlannedChange(record));
+  });
+
+  appendRowsToSheet(sheet, rows);
+
+  return rows.length;
+}
+
+
+/**
+ * Formats a change record as the last three plan sheet columns. Besides the
+ * fields tracked by `AdChange`, records may plan the removal of an Ad
+ * (`removed`) or of labels (`removedLabels`, the labels to remove as new
+ * value), see `getRollbackRecord`, or an `error` a row would be marked with.
+ *
+ * @param {{fieldName: string,
+ *          oldValue: (string|Array<string>),
+ *          newValue: (string|Array<string>)}} record A change record, see
+ *                                                   `flattenChanges`.
+ *
+ * @return {Array<string>} The planned change, its old value and new value.
+ */
+function formatPlannedChange(record) {
+  var oldValue = record.oldValue;
+  var newValue = record.newValue;
+
+  if (record.fieldName === 'created') {
+    return ['create', '', ''];
+  }
+
+  if (record.fieldName === 'removed') {
+    return ['remove', '', ''];
+  }
+
+  if (record.fieldName === 'removedLabels') {
+    return ['remove labels', '', (newValue || []).join(', ')];
+  }
+
+  if (record.fieldName === 'labels') {
+    // `Ad.syncLabels` only applies labels missing from the Ad, so list the
+    // labels that would be added.
+    var currentLabels = Array.isArray(oldValue) ? oldValue : [];
+    var labelsToAdd = (newValue || []).filter(function(labelName) {
+      return currentLabels.indexOf(labelName) === -1;
+    });
+
+    return ['add labels', currentLabels.join(', '), labelsToAdd.join(', ')];
+  }
+
+  return [record.fieldName, isEmpty(oldValue) ? '' : String(oldValue),
+          isEmpty(newValue) ? '' : String(newValue)];
+}
@@ -0,0 +1,217 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+/////////////////////////////// ETA DRAFT ////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - getEffectiveLength
+// - isEmpty
+// - isEmptyString
+// - isString
+
+
+/**
+ * Drafts ETA fields from a STA report row.
+ *
+ * Drafts are built from the STA's headline and description lines, the path
+ * of its display URL and the name of its ad group. Every drafted field fits
+ * within its limit in `limits`, a field is left blank when no candidate fits.
+ *
+ * For example, a STA with:
+ *   headline:     'Running Shoes'
+ *   description1: 'Free Shipping On All Orders.'
+ *   description2: 'Shop The New Collection Today'
+ *   displayUrl:   'www.example.com/Shoes/Running'
+ *
+ * is drafted as:
+ *   headline1:   'Running Shoes'
+ *   headline2:   'Free Shipping On All Orders'
+ *   description: 'Shop The New Collection Today'
+ *   path1:       'Shoes'
+ *   path2:       'Running'
+ *
+ * @param {Object} row A parsed report row, as stored in `Ad.row`.
+ * @param {{headline1: number,
+ *          headline2: number,
+ *          description: number,
+ *          path1: number,
+ *          path2: number}} limits The maximum length of each ETA field.
+ *
+ * @return {{headline1: string,
+ *           headline2: string,
+ *           description: string,
+ *           path1: string,
+ *           path2: string}} The drafted ETA fields.
+ */
+function draftETAFields(row, limits) {
+  if (isEmpty(row) || isEmpty(limits)) {
+    throw 'Failed to draft ETA: a report row and field limits are required.';
+  }
+
+  /**
+   * Collapse whitespace in a report value. Report placeholders such as '--'
+   * are treated as empty.
+   *
+   * @param {*} value A report value.
+   *
+   * @return {string} The normalized value.
+   */
+  function _normalize(value) {
+    if (!isString(value) || value.trim() === '--') {
+      return '';
+    }
+
+    return value.replace(/\s+/g, ' ').trim();
+  }
+
+  /**
+   * Pick the first candidate that is not empty, fits within `limit` and is
+   * not already used by another field.
+   *
+   * @param {Array<string>} candidates Candidates, ordered by preference.
+   * @param {number} limit The maximum length allowed.
+   * @param {Array<string>} used Values already drafted for other fields.
+   *
+   * @return {string} The chosen candidate, or an empty string.
+   */
+  function _pickFirstFitting(candidates, limit, used) {
+    var usedLowerCase = used.map(function(value) {
+      return value.toLowerCase();
+    });
+
+    for (var i = 0; i < candidates.length; i++) {
+      var candidate = candidates[i];
+      if (!isEmptyString(candidate) && getEffectiveLength(candidate) <= limit &&
+          usedLowerCase.indexOf(candidate.toLowerCase()) === -1) {
+        return candidate;
+      }
+    }
+
+    return '';
+  }
+
+  var headline = _normalize(row.headline);
+  var description1 = _normalize(row.description1);
+  var description2 = _normalize(row.description2);
+  var adGroupName = _normalize(row.adGroupName);
+  var pathSegments = getDisplayUrlPathSegments(row.displayUrl);
+
+  var draft = {
+    headline1: '',
+    headline2: '',
+    description: '',
+    path1: '',
+    path2: ''
+  };
+
+  draft.headline1 = _pickFirstFitting([headline, adGroupName],
+                                      limits.headline1, []);
+
+  // Description line 1 usually reads well as a second headline, but only
+  // promote it when description line 2 is left to fill the description.
+  var promotedDescription1 = '';
+  if (!isEmptyString(description2)) {
+    promotedDescription1 = description1.replace(/[.,;:\s]+$/, '');
+  }
+
+  draft.headline2 = _pickFirstFitting([
+    promotedDescription1,
+    adGroupName,
+    pathSegments.join(' ').replace(/[-_]+/g, ' ')
+  ], limits.headline2, [draft.headline1]);
+
+  var descriptionLines = [description1, description2];
+  if (!isEmptyString(draft.headline2) &&
+      draft.headline2 === promotedDescription1) {
+    descriptionLines = [description2];
+  }
+
+  draft.description = fitToLimit(descriptionLines.filter(function(line) {
+    return !isEmptyString(line);
+  }).join(' '), limits.description);
+
+  // Path2 may only be set along with path1.
+  if (pathSegments.length > 0 && pathSegments[0].length <= limits.path1) {
+    draft.path1 = pathSegments[0];
+
+    if (pathSegments.length > 1 && pathSegments[1].length <= limits.path2) {
+      draft.path2 = pathSegments[1];
+    }
+  }
+
+  return draft;
+}
+
+
+/**
+ * Shorten `text` to at most `limit` characters, cutting at the last word
+ * boundary so that no word is split in half.
+ *
+ * @param {string} text The text to shorten.
+ * @param {number} limit The maximum number of characters.
+ *
+ * @return {string} The shortened text, or an empty string if not even the
+ *                  first word fits.
+ */
+function fitToLimit(text, limit) {
+  if (isEmptyString(text)) {
+    return '';
+  }
+
+  text = text.trim();
+  if (getEffectiveLength(text) <= limit) {
+    return text;
+  }
+
+  // Include the character at `limit` in case it is the word boundary.
+  var cut = text.substring(0, limit + 1);
+  var lastSpace = cut.lastIndexOf(' ');
+  if (lastSpace <= 0) {
+    return '';
+  }
+
+  return cut.substring(0, lastSpace).replace(/[\s,;:-]+$/, '');
+}
+
+
+/**
+ * Retrieves the path segments of a display URL. Empty segments, query strings
+ * and fragments are left out.
+ *
+ * For example:
+ * getDisplayUrlPathSegments('www.example.com/Shoes/Running') // ['Shoes',
+ *                                                            //  'Running'].
+ *
+ * @param {string} displayUrl The display URL.
+ *
+ * @return {Array<string>} The path segments, in order.
+ */
+function getDisplayUrlPathSegments(displayUrl) {
+  if (isEmptyString(displayUrl) || !isString(displayUrl)) {
+    return [];
+  }
+
+  var path = displayUrl.trim()
+      .replace(/^https?:\/\//i, '')
+      .replace(/[?#].*$/, '');
+
+  // Drop the domain.
+  var segments = path.split('/').slice(1);
+
+  return segments.filter(function(segment) {
+    return !isEmptyString(segment);
+  });
+}
@@ -0,0 +1,348 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+////////////////////////////// ETA IMPORT ////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - getAccountIteratorFromMCC
+// - getCachedSheet
+// - getShardedContentRows
+// - isEmptyString
+// - print
+// - processAccountLimit
+
+
+/**
+ * Columns describing a STA, left empty in rows holding only an ETA.
+ * @type {Array<string>}
+ */
+var STA_ONLY_COLUMNS = ['staId', 'headline', 'description1', 'description2',
+                        'staApprovalStatus', 'displayUrl', 'staStatus',
+                        'impressions', 'clicks', 'ctr'];
+
+
+/**
+ * Imports existing ETAs of the MCC's client accounts, see `importETA`.
+ *
+ * This function operates only for MCC accounts.
+ *
+ * @param {{minSimilarity: number,
+ *          addStandaloneRows: boolean}} importConfig ETA import
+ *                                                    configuration.
+ *
+ * @return {{matchedCount: number,
+ *           addedCount: number,
+ *           accountsProcessed: number}} Statistics from the ETA import.
+ */
+function importETAMCC(importConfig) {
+  var mccAccount = AdWordsApp.currentAccount();
+
+  var resultObject = {
+    matchedCount: 0,
+    addedCount: 0,
+    accountsProcessed: 0
+  };
+
+  var accountIterator;
+  try {
+    accountIterator = getAccountIteratorFromMCC();
+  } catch (err) {
+    print(err);
+    return resultObject;
+  }
+
+  processAccountLimit(accountIterator);
+  while (accountIterator.hasNext()) {
+    var account = accountIterator.next();
+
+    MccApp.select(account);
+    print('Account: ' + account.getName() +
+          ' (' + account.getCustomerId() + ')');
+
+    var importResult = importETA(importConfig);
+    resultObject.matchedCount += importResult.matchedCount;
+    resultObject.addedCount += importResult.addedCount;
+    resultObject.accountsProcessed++;
+  }
+
+  MccApp.select(mccAccount);
+
+  return resultObject;
+}
+
+
+/**
+ * Imports ETAs of the current account that are not in the spreadsheet yet,
+ * such as ETAs created outside of this script.
+ *
+ * Each ETA is attached to the STA row, of the same ad group and without an
+ * ETA, whose text is the most similar to it: `etaId`, `etaStatus`,
+ * `etaApprovalStatus` and the ETA text columns are filled from the ETA.
+ * ETAs without a similar enough STA row are added as rows of their own, with
+ * empty STA columns, if `importConfig.addStandaloneRows` is set.
+ *
+ * @param {{minSimilarity: number,
+ *          addStandaloneRows: boolean}} importConfig ETA import
+ *                                                    configuration.
+ *
+ * @return {{matchedCount: number,
+ *           addedCount: number,
+ *           accountsProcessed: number}} Statistics from the ETA import.
+ */
+function importETA(importConfig) {
+  var resultObject = {
+    matchedCount: 0,
+    addedCount: 0,
+    accountsProcessed: 1
+  };
+
+  var account = AdWordsApp.currentAccount();
+  var report = AdWordsApp.report(
+      'SELECT ' + CONFIG.reportFields.join(',') + ' ' +
+      'FROM     AD_PERFORMANCE_REPORT ' +
+      'WHERE    AdType = "EXPANDED_TEXT_AD" ' +
+      '         AND AdGroupStatus = "ENABLED" ' +
+      '         AND CampaignStatus = "ENABLED" ' +
+      '         AND Status IN [ENABLED, PAUSED] ' +
+      'DURING   ' + CONFIG.duration, {
+        apiVersion: CONFIG.apiVersion,
+        includeZeroImpressions: true
+      });
+
+  var rows = getShardedContentRows(CONFIG.spreadsheet, CONFIG.email,
+                                   [account.getCustomerId()], false);
+
+  // ETAs already in spreadsheet, and STA rows of this account waiting for an
+  // ETA, by ad group.
+  var knownETAs = {};
+  var rowsByAdGroup = {};
+  rows.forEach(function(row) {
+    var adGroupId = row.getString('adGroupId');
+    var etaId = row.getString('etaId');
+
+    if (!isEmptyString(etaId) && etaId !== '0') {
+      knownETAs[adGroupId + '|' + etaId] = true;
+    } else if (row.getString('customerId') === account.getCustomerId() &&
+               !isEmptyString(row.getString('staId'))) {
+      if (!(adGroupId in rowsByAdGroup)) {
+        rowsByAdGroup[adGroupId] = [];
+      }
+      rowsByAdGroup[adGroupId].push(row);
+    }
+  });
+
+  var etasByAdGroup = {};
+  var reportRows = report.rows();
+  while (reportRows.hasNext()) {
+    var eta = new Ad(reportRows.next(), CONFIG.reportFields, null, account);
+    var adGroupId = String(eta.row.adGroupId);
+
+    if (knownETAs[adGroupId + '|' + eta.getId()]) {
+      continue;
+    }
+
+    if (!(adGroupId in etasByAdGroup)) {
+      etasByAdGroup[adGroupId] = [];
+    }
+    etasByAdGroup[adGroupId].push(eta);
+  }
+
+  var standaloneSheetConfig = getStandaloneETASheetConfig(CONFIG.spreadsheet);
+
+  Object.keys(etasByAdGroup).forEach(function(adGroupId) {
+    var etas = etasByAdGroup[adGroupId];
+    var matches = matchETAsToRows(etas, rowsByAdGroup[adGroupId] || [],
+                                  importConfig.minSimilarity);
+
+    matches.forEach(function(match) {
+      attachETAToRow(match.eta, match.row);
+      print('ETA (' + match.eta.getId() + ') attached to row ' +
+            match.row.getRowIndex());
+    });
+    resultObject.matchedCount += matches.length;
+
+    if (!importConfig.addStandaloneRows) {
+      return;
+    }
+
+    etas.forEach(function(eta) {
+      var isMatched = matches.some(function(match) {
+        return match.eta === eta;
+      });
+
+      if (!isMatched) {
+        var sheet = getCachedSheet(CONFIG.spreadsheet, CONFIG.email, {
+          customerId: account.getCustomerId(),
+          campaignId: eta.row.campaignId
+        });
+        eta.export(sheet, standaloneSheetConfig);
+        resultObject.addedCount++;
+      }
+    });
+  });
+
+  print(resultObject.matchedCount + ' ETAs attached to STA rows, ' +
+        resultObject.addedCount + ' ETAs added as rows of their own');
+
+  return resultObject;
+}
+
+
+/**
+ * Pairs ETAs with STA rows of the same ad group, most similar pairs first.
+ * Each ETA and row is used at most once.
+ *
+ * @param {Array<Ad>} etas ETAs of an ad group.
+ * @param {Array<SpreadsheetRow>} rows STA rows of the same ad group, without
+ *                                     an ETA.
+ * @param {number} minSimilarity The least similarity, between 0 and 1, for
+ *                               an ETA to be paired with a row.
+ *
+ * @return {Array<{eta: Ad, row: SpreadsheetRow, similarity: number}>}
+ */
+function matchETAsToRows(etas, rows, minSimilarity) {
+  var candidates = [];
+
+  etas.forEach(function(eta) {
+    var etaText = [eta.row.headlinePart1, eta.row.headlinePart2,
+                   eta.row.description].join(' ');
+
+    rows.forEach(function(row) {
+      var staText = [row.getString('headline'), row.getString('description1'),
+                     row.getString('description2')].join(' ');
+      // A row may hold a draft of the ETA, compare with it too.
+      var draftText = [row.getString('headline1'), row.getString('headline2'),
+                       row.getString('description')].join(' ');
+
+      var similarity = Math.max(getTextSimilarity(etaText, staText),
+                                getTextSimilarity(etaText, draftText));
+
+      if (similarity >= minSimilarity) {
+        candidates.push({eta: eta, row: row, similarity: similarity});
+      }
+    });
+  });
+
+  candidates.sort(function(a, b) {
+    return b.similarity - a.similarity;
+  });
+
+  var matches = [];
+  var matchedETAs = [];
+  var matchedRows = [];
+  candidates.forEach(function(candidate) {
+    if (matchedETAs.indexOf(candidate.eta) === -1 &&
+        matchedRows.indexOf(candidate.row) === -1) {
+      matches.push(candidate);
+      matchedETAs.push(candidate.eta);
+      matchedRows.push(candidate.row);
+    }
+  });
+
+  return matches;
+}
+
+
+/**
+ * Measures how similar two texts are, as the share of words they have in
+ * common (Jaccard index). Case and punctuation are ignored.
+ *
+ * @param {string} text1
+ * @param {string} text2
+ *
+ * @return {number} A similarity between 0 (no common words) and 1 (same
+ *                  words).
+ */
+function getTextSimilarity(text1, text2) {
+  function _words(text) {
+    var words = [];
+    String(text || '').toLowerCase().split(/[^a-z0-9\u00C0-\u024F]+/)
+        .forEach(function(word) {
+          if (!isEmptyString(word) && words.indexOf(word) === -1) {
+            words.push(word);
+          }
+        });
+    return words;
+  }
+
+  var words1 = _words(text1);
+  var words2 = _words(text2);
+  if (words1.length === 0 || words2.length === 0) {
+    return 0;
+  }
+
+  var commonCount = words1.filter(function(word) {
+    return words2.indexOf(word) !== -1;
+  }).length;
+
+  return commonCount / (words1.length + words2.length - commonCount);
+}
+
+
+/**
+ * Fills the ETA columns of a STA row from an existing ETA.
+ *
+ * @param {Ad} eta The ETA, from an ETA report.
+ * @param {SpreadsheetRow} row The STA row.
+ */
+function attachETAToRow(eta, row) {
+  row.set('etaId', eta.getId());
+  row.set('etaStatus', eta.getStatus());
+  row.set('etaApprovalStatus', eta.getApprovalStatus() || '');
+  row.set('headline1', eta.row.headlinePart1);
+  row.set('headline2', eta.row.headlinePart2);
+  row.set('description', eta.row.description);
+  row.set('path1', isEmptyString(eta.row.path1) || eta.row.path1 === '--' ?
+                   '' : eta.row.path1);
+  row.set('path2', isEmptyString(eta.row.path2) || eta.row.path2 === '--' ?
+                   '' : eta.row.path2);
+}
+
+
+/**
+ * Builds the sheet configuration used to export an ETA as a row of its own:
+ * STA columns are left empty and ETA columns are read from the ETA report.
+ *
+ * @param {Object} sheetConfig The spreadsheet configuration, see
+ *                             `CONFIG.spreadsheet`.
+ *
+ * @return {Object} A copy of `sheetConfig` with its own `reportFieldMap`.
+ */
+function getStandaloneETASheetConfig(sheetConfig) {
+  var standaloneSheetConfig = {};
+  Object.keys(sheetConfig).forEach(function(key) {
+    standaloneSheetConfig[key] = sheetConfig[key];
+  });
+
+  var reportFieldMap = {};
+  Object.keys(sheetConfig.reportFieldMap).forEach(function(columnName) {
+    reportFieldMap[columnName] = sheetConfig.reportFieldMap[columnName];
+  });
+
+  STA_ONLY_COLUMNS.forEach(function(columnName) {
+    if (columnName in reportFieldMap) {
+      reportFieldMap[columnName] = null;
+    }
+  });
+
+  reportFieldMap.etaId = 'id';
+  reportFieldMap.etaStatus = 'status';
+  reportFieldMap.etaApprovalStatus = 'creativeApprovalStatus';
+
+  standaloneSheetConfig.reportFieldMap = reportFieldMap;
+
+  return standaloneSheetConfig;
+}
@@ -0,0 +1,223 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+//////////////////////////// ETA VALIDATION //////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - getEffectiveLength
+// - isEmpty
+// - isEmptyString
+// - isString
+// - renderDynamicText
+
+
+/**
+ * ETA fields that may hold keyword insertion, ad customizers and IF
+ * functions, see `parseDynamicText`.
+ * @type {Array<string>}
+ */
+var DYNAMIC_TEXT_FIELDS = ['headline1', 'headline2', 'description'];
+
+
+/**
+ * Rules mirroring AdWords editorial policies, checked before an ETA is
+ * created. NOTE: These rules do not mimic at 100% AdWords implementation,
+ * they catch the most common reasons for disapproval. Some are stricter than
+ * AdWords, see `CONFIG.etaValidation.disabledRules`.
+ *
+ * Each rule applies to the ETA fields listed in `fields`. Its `check` function
+ * receives a non-empty field value, the field name and the field limits
+ * (see `CONFIG.etaFieldLimits`), and returns an error message or `null` if the
+ * value passes. Rules flagged `rendered` receive the value of fields holding
+ * dynamic text as shown in the ad, see `validateETAFields`.
+ *
+ * @type {Array<{name: string,
+ *               fields: Array<string>,
+ *               rendered: (boolean|undefined),
+ *               check: function(string, string, Object): ?string}>}
+ */
+var ETA_VALIDATION_RULES = [
+  {
+    name: 'maxLength',
+    fields: ['headline1', 'headline2', 'description', 'path1', 'path2'],
+    check: function(value, fieldName, limits) {
+      var limit = limits[fieldName];
+
+      // Dynamic text counts as its default text, see `getEffectiveLength`.
+      var length = DYNAMIC_TEXT_FIELDS.indexOf(fieldName) !== -1 ?
+          getEffectiveLength(value) : value.length;
+      if (!isEmpty(limit) && length > limit) {
+        return 'is ' + length + ' characters long, the limit is ' +
+               limit + '.';
+      }
+      return null;
+    }
+  },
+  {
+    name: 'excessiveCapitalization',
+    fields: ['headline1', 'headline2', 'description', 'path1', 'path2'],
+    rendered: true,
+    check: function(value) {
+      // Acronyms are allowed, words of 5 or more capital letters are not.
+      var match = value.match(/\b[A-Z]{5,}\b/);
+      if (match) {
+        return 'uses excessive capitalization in "' + match[0] + '".';
+      }
+
+      var letters = value.replace(/[^a-zA-Z]/g, '');
+      if (letters.length > 4 && letters === letters.toUpperCase()) {
+        return 'is written in capital letters only.';
+      }
+      return null;
+    }
+  },
+  {
+    name: 'repeatedPunctuation',
+    fields: ['headline1', 'headline2', 'description'],
+    check: function(value) {
+      var match = value.match(/([.,;:])\1+|[!?]{2,}/);
+      if (match) {
+        return 'repeats punctuation in "' + match[0] + '".';
+      }
+      return null;
+    }
+  },
+  {
+    name: 'exclamationInHeadline',
+    fields: ['headline1', 'headline2'],
+    check: function(value) {
+      if (value.indexOf('!') !== -1) {
+        return 'contains an exclamation mark, which is not allowed in ' +
+               'headlines.';
+      }
+      return null;
+    }
+  },
+  {
+    name: 'disallowedCharacters',
+    fields: ['headline1', 'headline2', 'description', 'path1', 'path2'],
+    rendered: true,
+    check: function(value) {
+      if (/[\r\n\t]/.test(value)) {
+        return 'contains a line break or tab.';
+      }
+
+      // Symbols commonly used for decoration, and emoji (surrogate pairs).
+      var disallowed = /[<>^*~|\\\u2605\u2606\u2022\u25BA]|[\uD800-\uDFFF]/;
+      var match = value.match(disallowed);
+      if (match) {
+        return 'contains the disallowed character "' + match[0] + '".';
+      }
+      return null;
+    }
+  },
+  {
+    name: 'pathFormat',
+    fields: ['path1', 'path2'],
+    check: function(value) {
+      if (/[\s\/]/.test(value)) {
+        return 'must not contain spaces or "/".';
+      }
+      return null;
+    }
+  }
+];
+
+
+/**
+ * Validates ETA fields against `ETA_VALIDATION_RULES`. Empty fields are
+ * skipped, required fields are checked by `isValidForETACreation`.
+ *
+ * @param {Object} etaObj An ETA object, as returned by `parseETA`.
+ * @param {Object} limits The maximum length of each ETA field, see
+ *                        `CONFIG.etaFieldLimits`.
+ * @param {?Array<string>} disabledRules Names of rules to skip.
+ *
+ * @return {Array<string>} An error message for each failed rule and field.
+ *                         Empty if all fields are valid.
+ */
+function validateETAFields(etaObj, limits, disabledRules) {
+  var errors = [];
+  disabledRules = disabledRules || [];
+
+  ETA_VALIDATION_RULES.forEach(function(rule) {
+    if (disabledRules.indexOf(rule.name) !== -1) {
+      return;
+    }
+
+    rule.fields.forEach(function(fieldName) {
+      var value = etaObj[fieldName];
+      if (!isString(value) || isEmptyString(value)) {
+        return;
+      }
+
+      // Dynamic text is checked as shown in the ad, with its default text
+      // and with the text of its IF functions.
+      var texts = [value];
+      if (rule.rendered && DYNAMIC_TEXT_FIELDS.indexOf(fieldName) !== -1) {
+        texts = [renderDynamicText(value), renderDynamicText(value, true)];
+      }
+
+      for (var i = 0; i < texts.length; i++) {
+        var message = rule.check(texts[i], fieldName, limits);
+        if (!isEmpty(message)) {
+          errors.push('Failed to create ETA: ' + fieldName + ' ' + message);
+          break;
+        }
+      }
+    });
+  });
+
+  return errors;
+}
+
+
+/**
+ * Validates each URL of a list of final URLs or mobile final URLs. URLs must
+ * be absolute http(s) URLs, and may not be listed more than once.
+ *
+ * @param {Array<string>} urls The URLs, as returned by
+ *                             `SpreadsheetRow.getArray`.
+ * @param {string} fieldName The name of the field holding the URLs, used in
+ *                           error messages.
+ *
+ * @return {Array<string>} An error message for each invalid URL. Empty if all
+ *                         URLs are valid.
+ */
+function validateETAUrls(urls, fieldName) {
+  var errors = [];
+  if (isEmpty(urls)) {
+    return errors;
+  }
+
+  var validUrl = /^https?:\/\/[^\s\/?#]+\.[^\s\/?#]+([\/?#]\S*)?$/i;
+
+  urls.forEach(function(url, index) {
+    var name = fieldName + (urls.length > 1 ? ' #' + (index + 1) : '');
+
+    if (!isString(url) || isEmptyString(url)) {
+      errors.push('Failed to create ETA: ' + name + ' is empty.');
+    } else if (!validUrl.test(url)) {
+      errors.push('Failed to create ETA: ' + name + ' "' + url + '" is not ' +
+                  'a valid URL, it must start with http:// or https://.');
+    } else if (urls.indexOf(url) !== index) {
+      errors.push('Failed to create ETA: ' + name + ' "' + url + '" is ' +
+                  'listed more than once.');
+    }
+  });
+
+  return errors;
+}
@@ -0,0 +1,150 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+///////////////////////////// EXPORT FILTER //////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - getPerformanceReportFields
+// - isEmptyString
+
+
+/**
+ * Formats a list of strings as an AWQL list, e.g. ["a","b"].
+ *
+ * @param {Array<string>} values
+ *
+ * @return {string}
+ */
+function formatAWQLList(values) {
+  return '[' + values.map(function(value) {
+    return JSON.stringify(String(value));
+  }).join(',') + ']';
+}
+
+
+/**
+ * Validates `CONFIG.exportFilter`.
+ *
+ * @param {Object} exportFilter See `CONFIG.exportFilter`.
+ *
+ * @throws {string}
+ */
+function validateExportFilter(exportFilter) {
+  ['campaignIds', 'includeLabels', 'excludeLabels'].forEach(function(key) {
+    if (!Array.isArray(exportFilter[key])) {
+      throw 'CONFIG.exportFilter.' + key + ' must be an array.';
+    }
+  });
+
+  if (isNaN(exportFilter.minImpressions) || exportFilter.minImpressions < 0) {
+    throw 'CONFIG.exportFilter.minImpressions must be a positive number.';
+  }
+
+  if (!isEmptyString(exportFilter.campaignNameRegex)) {
+    try {
+      new RegExp(exportFilter.campaignNameRegex);
+    } catch (err) {
+      throw 'Invalid CONFIG.exportFilter.campaignNameRegex: ' + err;
+    }
+  }
+
+  var hasStartDate = !isEmptyString(exportFilter.startDate);
+  var hasEndDate = !isEmptyString(exportFilter.endDate);
+  if (hasStartDate !== hasEndDate) {
+    throw 'CONFIG.exportFilter.startDate and endDate must be set together.';
+  }
+  if (hasStartDate && (!/^\d{8}$/.test(exportFilter.startDate) ||
+                       !/^\d{8}$/.test(exportFilter.endDate))) {
+    throw 'CONFIG.exportFilter dates must be formatted as YYYYMMDD.';
+  }
+}
+
+
+/**
+ * Builds the AWQL query of the STA report, used to export STAs and to sync
+ * them. The STAs selected are restricted by `config.exportFilter`, so that
+ * export and sync stay consistent. Filters on campaign names by regular
+ * expression can't be expressed in AWQL, use `filterSTAs` on the report's
+ * ads.
+ *
+ * @param {{exportFilter: Object,
+ *          duration: string}} config The configuration, see `CONFIG`.
+ * @param {Array<string>=} extraConditions Other AWQL conditions to add.
+ *
+ * @return {string}
+ * @throws {string}
+ */
+function getSTAReportQuery(config, extraConditions) {
+  var exportFilter = config.exportFilter;
+  validateExportFilter(exportFilter);
+
+  var conditions = [
+    'AdType = "TEXT_AD"',
+    exportFilter.includePaused ?
+        'Status IN [ENABLED, PAUSED]' : 'Status = "ENABLED"',
+    'CreativeApprovalStatus != "DISAPPROVED"'
+  ].concat(extraConditions || []);
+
+  if (!isEmptyString(exportFilter.campaignNameContains)) {
+    conditions.push('CampaignName CONTAINS_IGNORE_CASE ' +
+                    JSON.stringify(exportFilter.campaignNameContains));
+  }
+  if (exportFilter.campaignIds.length > 0) {
+    conditions.push('CampaignId IN [' + exportFilter.campaignIds.join(',') +
+                    ']');
+  }
+  if (exportFilter.includeLabels.length > 0) {
+    conditions.push('Labels CONTAINS_ANY ' +
+                    formatAWQLList(exportFilter.includeLabels));
+  }
+  if (exportFilter.excludeLabels.length > 0) {
+    conditions.push('Labels CONTAINS_NONE ' +
+                    formatAWQLList(exportFilter.excludeLabels));
+  }
+  if (exportFilter.minImpressions > 0) {
+    conditions.push('Impressions >= ' + exportFilter.minImpressions);
+  }
+
+  var during = isEmptyString(exportFilter.startDate) ?
+      config.duration : exportFilter.startDate + ',' + exportFilter.endDate;
+
+  return 'SELECT ' + getPerformanceReportFields(config).join(',') + ' ' +
+         'FROM     AD_PERFORMANCE_REPORT ' +
+         'WHERE    ' + conditions.join(' AND ') + ' ' +
+         'DURING   ' + during;
+}
+
+
+/**
+ * Keeps the STAs matching the filters of `CONFIG.exportFilter` that are not
+ * applied by `getSTAReportQuery`.
+ *
+ * @param {Array<Ad>} ads Ads from a report selecting `CampaignName`, see
+ *                        `getPerformanceReportFields`.
+ * @param {Object} exportFilter See `CONFIG.exportFilter`.
+ *
+ * @return {Array<Ad>}
+ */
+function filterSTAs(ads, exportFilter) {
+  if (isEmptyString(exportFilter.campaignNameRegex)) {
+    return ads;
+  }
+
+  var campaignNameRegex = new RegExp(exportFilter.campaignNameRegex);
+  return ads.filter(function(ad) {
+    return campaignNameRegex.test(ad.row.campaignName);
+  });
+}
@@ -0,0 +1,451 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+//////////////////////////////// HISTORY /////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - appendRowsToSheet
+// - flattenChanges
+// - getAd
+// - getCachedSheet
+// - getOrCreateSheet
+// - getShardedContentRows
+// - isEmpty
+// - isEmptyString
+// - print
+// - writePlannedRecords
+
+
+/**
+ * Header of the history sheet. The spreadsheet logs user edits to the same
+ * sheet, see `HISTORY_HEADER` in spreadsheet/js/constants.js.
+ * @type {Array<string>}
+ */
+var HISTORY_SHEET_HEADER = ['Run Id', 'Time', 'Account', 'Row', 'Ad type',
+                            'Ad Id', 'AdGroup Id', 'Field', 'Old value',
+                            'New value', 'Changed by'];
+
+
+/**
+ * Identifies the script's changes in the 'Changed by' column of the history
+ * sheet. User edits hold the user's email.
+ * @type {string}
+ */
+var HISTORY_SCRIPT_AUTHOR = 'script';
+
+
+/**
+ * Appends the changes made during a sync to the history sheet.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the history sheet.
+ * @param {{sheetName: string}} historyConfig History configuration.
+ * @param {string} runId The Id of the current run.
+ * @param {Array<Object>} allChanges The change structs tracked by `AdChange`
+ *                                   for each spreadsheet row, see
+ *                                   `flattenChanges`.
+ *
+ * @return {number} The number of changes written.
+ */
+function writeChangeHistory(spreadsheet, historyConfig, runId, allChanges) {
+  var sheet = getOrCreateSheet(spreadsheet, historyConfig.sheetName);
+  if (sheet.getLastRow() === 0) {
+    appendRowsToSheet(sheet, [HISTORY_SHEET_HEADER]);
+    sheet.setFrozenRows(1);
+  } else if (sheet.getLastColumn() < HISTORY_SHEET_HEADER.length) {
+    // Sheets created before the 'Changed by' column was added.
+    sheet.getRange(1, 1, 1, HISTORY_SHEET_HEADER.length)
+        .setValues([HISTORY_SHEET_HEADER]);
+  }
+
+  var now = new Date();
+  var rows = flattenChanges(allChanges).map(function(record) {
+    return [runId, now, record.customerId, record.rowIndex, record.adType,
+            isEmpty(record.adId) ? '' : record.adId,
+            isEmpty(record.adGroupId) ? '' : record.adGroupId,
+            record.fieldName,
+            serializeHistoryValue(record.oldValue),
+            serializeHistoryValue(record.newValue), HISTORY_SCRIPT_AUTHOR];
+  });
+
+  appendRowsToSheet(sheet, rows);
+
+  return rows.length;
+}
+
+
+/**
+ * Reads the changes made during a run from the history sheet.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the history sheet.
+ * @param {{sheetName: string}} historyConfig History configuration.
+ * @param {string} runId The Id of the run.
+ *
+ * @return {Array<Object>} The change records of the run, in the order they
+ *                         were made. See `flattenChanges`.
+ */
+function readChangeHistory(spreadsheet, historyConfig, runId) {
+  var sheet = spreadsheet.getSheetByName(historyConfig.sheetName);
+  if (!sheet || sheet.getLastRow() <= 1) {
+    return [];
+  }
+
+  var values = sheet.getRange(2, 1, sheet.getLastRow() - 1,
+                              HISTORY_SHEET_HEADER.length).getValues();
+
+  return values.filter(function(row) {
+    return String(row[0]) === String(runId);
+  }).map(function(row) {
+    return {
+      customerId: row[2],
+      rowIndex: row[3],
+      adType: row[4],
+      adId: row[5],
+      adGroupId: row[6],
+      fieldName: row[7],
+      oldValue: parseHistoryValue(row[8]),
+      newValue: parseHistoryValue(row[9])
+    };
+  });
+}
+
+
+/**
+ * Serializes a tracked value for the history sheet. Arrays are stored as
+ * JSON strings.
+ *
+ * @param {?string|Array<string>} value The tracked value.
+ *
+ * @return {string}
+ */
+function serializeHistoryValue(value) {
+  if (Array.isArray(value)) {
+    return JSON.stringify(value);
+  }
+
+  return isEmpty(value) ? '' : String(value);
+}
+
+
+/**
+ * Parses a value stored by `serializeHistoryValue`.
+ *
+ * @param {string} value The stored value.
+ *
+ * @return {string|Array<string>}
+ */
+function parseHistoryValue(value) {
+  var str = isEmpty(value) ? '' : String(value);
+
+  if (str.charAt(0) === '[') {
+    try {
+      return JSON.parse(str);
+    } catch (ignore) {
+      // Not an array, use the value as is.
+    }
+  }
+
+  return str;
+}
+
+
+/**
+ * Rolls back the changes made during a run, as recorded in the history sheet.
+ * ETAs created during the run are paused or removed (see
+ * `CONFIG.history.rollbackCreatedETAs`), STA and ETA statuses are restored
+ * and labels applied during the run are removed.
+ *
+ * The spreadsheet is updated to match, so that the next sync does not redo
+ * the changes. Labels set in the `labels` column, and the default label, are
+ * applied again by the next sync.
+ *
+ * In dry-run mode, nothing is rolled back and the changes that would be are
+ * written to the plan sheet instead, see `writePlannedRecords`.
+ *
+ * @param {string} runId The Id of the run to roll back.
+ *
+ * @return {number} A count of errors encountered.
+ */
+function rollbackRun(runId) {
+  if (isEmptyString(runId)) {
+    throw 'Failed to roll back: a run Id is required.';
+  }
+
+  var sheet = getCachedSheet(CONFIG.spreadsheet, CONFIG.email);
+  var records = readChangeHistory(sheet.getParent(), CONFIG.history, runId);
+  if (records.length === 0) {
+    print('No changes recorded for run ' + runId + ', nothing to roll back');
+    return 0;
+  }
+
+  var errorCount = 0;
+  var plannedRecords = [];
+  if (MccApp) {
+    // Group records by account, changes are rolled back one account at a time.
+    var recordsByAccount = {};
+    records.forEach(function(record) {
+      if (!(record.customerId in recordsByAccount)) {
+        recordsByAccount[record.customerId] = [];
+      }
+      recordsByAccount[record.customerId].push(record);
+    });
+
+    var mccAccount = AdWordsApp.currentAccount();
+    var accountIterator = MccApp.accounts()
+        .withIds(Object.keys(recordsByAccount))
+        .get();
+
+    while (accountIterator.hasNext()) {
+      var account = accountIterator.next();
+      MccApp.select(account);
+      print('Account: ' + account.getName() +
+            ' (' + account.getCustomerId() + ')');
+
+      errorCount += rollbackChanges(recordsByAccount[account.getCustomerId()],
+                                    plannedRecords);
+    }
+
+    MccApp.select(mccAccount);
+  } else {
+    errorCount += rollbackChanges(records, plannedRecords);
+  }
+
+  if (IS_DRY_RUN) {
+    var plannedCount = writePlannedRecords(sheet.getParent(), CONFIG.dryRun,
+                                           plannedRecords);
+    print(plannedCount + ' planned changes written to the "' +
+          CONFIG.dryRun.planSheetName + '" sheet');
+  }
+
+  return errorCount;
+}
+
+
+/**
+ * Rolls back change records of the current account.
+ *
+ * @param {Array<Object>} records The change records to roll back, in the
+ *                                order they were made.
+ * @param {Array<Object>} plannedRecords Receives the planned change records
+ *                                       in dry-run mode, see
+ *                                       `getRollbackRecord`.
+ *
+ * @return {number} A count of errors encountered.
+ */
+function rollbackChanges(records, plannedRecords) {
+  var errorCount = 0;
+
+  // Rows of different shards may share an index, see `getShards`.
+  var rows = getShardedContentRows(
+      CONFIG.spreadsheet, CONFIG.email,
+      [AdWordsApp.currentAccount().getCustomerId()], false);
+  var rowsByIndex = {};
+  rows.forEach(function(row) {
+    var rowIndex = row.getRowIndex();
+    if (!(rowIndex in rowsByIndex)) {
+      rowsByIndex[rowIndex] = [];
+    }
+    rowsByIndex[rowIndex].push(row);
+  });
+
+  // Changes made to an ETA created during the run are undone along with it.
+  var createdETAIds = records.filter(function(record) {
+    return record.adType === 'ETA' && record.fieldName === 'created';
+  }).map(function(record) {
+    return String(record.adId);
+  });
+
+  // Undo the most recent change first.
+  records.slice().reverse().forEach(function(record) {
+    if (record.adType === 'ETA' && record.fieldName !== 'created' &&
+        createdETAIds.indexOf(String(record.adId)) !== -1) {
+      return;
+    }
+
+    var description = record.adType + ' (' + record.adId + ') ' +
+                      record.fieldName;
+
+    var ad = null;
+    try {
+      ad = getAd([record.adGroupId, record.adId]);
+    } catch (err) {
+      print('Failed to retrieve ' + description + ': ' + err);
+    }
+
+    if (isEmpty(ad)) {
+      print('Failed to roll back ' + description + ': Ad not found');
+      errorCount++;
+      return;
+    }
+
+    // Only update the row if it still holds this Ad.
+    var candidateRows = rowsByIndex[record.rowIndex] || [];
+    var idColumn = (record.adType === 'STA') ? 'staId' : 'etaId';
+    var row = candidateRows.filter(function(candidateRow) {
+      return candidateRow.getString(idColumn) === String(record.adId);
+    })[0] || null;
+    if (!row && candidateRows.length > 0) {
+      print('Row ' + record.rowIndex + ' no longer holds ' + description +
+            ', the spreadsheet will not be updated');
+    }
+
+    if (rollbackChange(ad, record, row)) {
+      var plannedRecord = getRollbackRecord(record);
+      if (IS_DRY_RUN && plannedRecord) {
+        plannedRecords.push(plannedRecord);
+      }
+      print('Rolled back ' + description);
+    } else {
+      print('Failed to roll back ' + description);
+      errorCount++;
+    }
+  });
+
+  return errorCount;
+}
+
+
+/**
+ * Rolls back a single change record.
+ *
+ * @param {Ad} ad The changed Ad.
+ * @param {Object} record The change record, see `flattenChanges`.
+ * @param {?SpreadsheetRow} row The spreadsheet row holding the Ad, if any.
+ *
+ * @return {boolean} Whether the change was rolled back.
+ */
+function rollbackChange(ad, record, row) {
+  /**
+   * Sets a value in `row`, if present and not in dry-run mode.
+   *
+   * @param {string} columnName
+   * @param {string} value
+   */
+  function _setInRow(columnName, value) {
+    if (row && !IS_DRY_RUN) {
+      row.set(columnName, value);
+    }
+  }
+
+  switch (record.fieldName) {
+    case 'created':
+      if (CONFIG.history.rollbackCreatedETAs === 'remove') {
+        if (!ad.remove()) {
+          return false;
+        }
+
+        // Clear the ETA from the row, without flagging it for upload again.
+        _setInRow('etaId', '');
+        _setInRow('etaApprovalStatus', '');
+        _setInRow('readyToUpload', 'no');
+        return true;
+      }
+
+      if (!ad.syncStatus(Ad.statuses.PAUSED)) {
+        return false;
+      }
+
+      _setInRow('etaStatus', Ad.statuses.PAUSED);
+      return true;
+
+    case 'staStatus':
+    case 'status':
+      if (isEmptyString(record.oldValue)) {
+        return true;
+      }
+
+      if (!ad.syncStatus(record.oldValue)) {
+        return false;
+      }
+
+      _setInRow(record.adType === 'STA' ? 'staStatus' : 'etaStatus',
+                record.oldValue);
+      return true;
+
+    case 'labels':
+      return ad.removeLabels(getAddedLabels(record));
+
+    default:
+      print('Unknown change to roll back: ' + record.fieldName);
+      return false;
+  }
+}
+
+
+/**
+ * Retrieves the labels applied by a labels change record.
+ *
+ * @param {Object} record The change record, see `flattenChanges`.
+ *
+ * @return {Array<string>}
+ */
+function getAddedLabels(record) {
+  var oldLabels = Array.isArray(record.oldValue) ? record.oldValue : [];
+  var newLabels = Array.isArray(record.newValue) ? record.newValue : [];
+
+  return newLabels.filter(function(labelName) {
+    return oldLabels.indexOf(labelName) === -1;
+  });
+}
+
+
+/**
+ * Retrieves the change planned to roll back a change record, as listed in
+ * the plan sheet of a dry run (see `formatPlannedChange`).
+ *
+ * @param {Object} record The change record, see `flattenChanges`.
+ *
+ * @return {?Object} The planned change record, null if nothing changes.
+ */
+function getRollbackRecord(record) {
+  var plannedRecord = {
+    customerId: record.customerId,
+    rowIndex: record.rowIndex,
+    adType: record.adType,
+    adId: record.adId,
+    adGroupId: record.adGroupId,
+    fieldName: record.fieldName,
+    oldValue: record.newValue,
+    newValue: record.oldValue
+  };
+
+  switch (record.fieldName) {
+    case 'created':
+      if (CONFIG.history.rollbackCreatedETAs === 'remove') {
+        plannedRecord.fieldName = 'removed';
+        plannedRecord.oldValue = '';
+        plannedRecord.newValue = '';
+      } else {
+        plannedRecord.fieldName = 'status';
+        plannedRecord.oldValue = '';
+        plannedRecord.newValue = Ad.statuses.PAUSED;
+      }
+      return plannedRecord;
+
+    case 'labels':
+      var labelsToRemove = getAddedLabels(record);
+      if (labelsToRemove.length === 0) {
+        return null;
+      }
+
+      plannedRecord.fieldName = 'removedLabels';
+      plannedRecord.oldValue = '';
+      plannedRecord.newValue = labelsToRemove;
+      return plannedRecord;
+
+    default:
+      return isEmptyString(record.oldValue) ? null : plannedRecord;
+  }
+}
@@ -32,21 +32,137 @@ function main() {
     return;
   }
 
+  if (IS_DRY_RUN) {
+    print('Dry run: no changes will be made, see the "' +
+          CONFIG.dryRun.planSheetName + '" sheet for planned changes');
+    resetPlanSheet(CONFIG.spreadsheet.sheet.getParent(), CONFIG.dryRun);
+  }
+
+  if (!isEmptyString(CONFIG.history.rollbackRunId)) {
+    print('Rolling back run ' + CONFIG.history.rollbackRunId);
+    if (rollbackRun(CONFIG.history.rollbackRunId) > 0) {
+      throw 'Script runtime error. Failed to roll back some changes, please ' +
+            'check the logs.';
+    }
+    print('Rollback complete');
+    return;
+  }
+
+  // Resume the sync where the previous run stopped, if it ran out of time.
+  var checkpoint = null;
+  if (CONFIG.checkpoint.enabled && !IS_PREVIEW && !IS_DRY_RUN) {
+    checkpoint = new Checkpoint(CONFIG.spreadsheet.sheet.getParent(),
+                                CONFIG.checkpoint);
+  }
+  var isResuming = !isEmpty(checkpoint) && checkpoint.isResuming();
+
+  // Collect what happens during the run, to email a summary once it ends.
+  var runSummary = null;
+  if (CONFIG.runSummary.enabled && !IS_PREVIEW && !IS_DRY_RUN) {
+    runSummary = new RunSummary(CONFIG.runSummary);
+  }
+
+  // When resuming, the comparison sheet already holds the accounts processed
+  // by previous runs.
+  if (CONFIG.comparison.enabled && !isResuming) {
+    resetComparisonSheet(CONFIG.spreadsheet.sheet.getParent(),
+                         CONFIG.comparison);
+  }
+
+  // Rewrite rules change the rows exported by this run, which a preview or
+  // dry run must not do.
+  var lastRowIndices = null;
+  if (CONFIG.rewriteRules.enabled && !IS_PREVIEW && !IS_DRY_RUN &&
+      !isResuming) {
+    lastRowIndices = getLastContentRowIndices();
+  }
+
+  function _rewriteExportedRows() {
+    if (isEmpty(lastRowIndices)) {
+      return;
+    }
+
+    print('Applying rewrite rules');
+    var messages = rewriteSpreadsheetRows(
+        CONFIG.spreadsheet.sheet.getParent(), CONFIG.rewriteRules,
+        lastRowIndices);
+    if (!isEmpty(runSummary)) {
+      runSummary.addNotes(messages);
+    }
+  }
+
   var errorCount;
+  var exportResults = null;
   if (MccApp) {
-    print('Exporting STAs from MCC');
-    printExportResults(exportSTAMCC());
+    if (isResuming) {
+      print('Resuming the previous sync, skipping export');
+    } else if (!IS_DRY_RUN) {
+      print('Exporting STAs from MCC');
+      exportResults = exportSTAMCC();
+      printExportResults(exportResults);
+      _rewriteExportedRows();
+    }
+
+    if (CONFIG.etaImport.enabled && !isResuming && !IS_DRY_RUN) {
+      print('Importing ETAs from MCC');
+      printImportResults(importETAMCC(CONFIG.etaImport));
+    }
 
     print('Processing spreadsheet');
-    errorCount = syncSpreadsheetMCC();
-    print('Processing complete');
+    errorCount = syncSpreadsheetMCC(checkpoint, runSummary);
   } else {
-    print('Exporting STAs from account');
-    printExportResults(exportSTA(CONFIG.numOfAds));
+    if (isResuming) {
+      print('Resuming the previous sync, skipping export');
+    } else if (!IS_DRY_RUN) {
+      print('Exporting STAs from account');
+      exportResults = exportSTA(CONFIG.numOfAds);
+      printExportResults(exportResults);
+      _rewriteExportedRows();
+    }
+
+    if (CONFIG.etaImport.enabled && !isResuming && !IS_DRY_RUN) {
+      print('Importing ETAs from account');
+      printImportResults(importETA(CONFIG.etaImport));
+    }
 
     print('Processing spreadsheet');
-    errorCount = syncSpreadsheet();
+    errorCount = syncSpreadsheet(null, checkpoint, runSummary);
+  }
+
+  if (!isEmpty(runSummary) && !isEmpty(exportResults)) {
+    runSummary.addExportResults(exportResults);
+  }
+
+  if (!isEmpty(checkpoint) && checkpoint.isOutOfTime()) {
+    print('Processing paused, it will resume on the next run');
+  } else {
+    if (!isEmpty(checkpoint)) {
+      checkpoint.clear();
+    }
     print('Processing complete');
+
+    // Leave the time needed to send the run summary, as for the sync.
+    if (CONFIG.coverage.enabled &&
+        AdWordsApp.getExecutionInfo().getRemainingTime() <=
+        CONFIG.checkpoint.minRemainingSeconds) {
+      print('Not enough time left to write ad group coverage, it will be ' +
+            'written by the next run');
+    } else if (CONFIG.coverage.enabled) {
+      try {
+        var missingCount = writeCoverage(CONFIG.spreadsheet.sheet.getParent(),
+                                         CONFIG.coverage);
+        print(missingCount + ' ad groups without ETAs, see the "' +
+              CONFIG.coverage.sheetName + '" sheet');
+      } catch (err) {
+        Logger.log('Failed to write ad group coverage: ' + err);
+        errorCount++;
+      }
+    }
+  }
+
+  if (!isEmpty(runSummary)) {
+    runSummary.send(CONFIG.email, CONFIG.spreadsheet.sheet, errorCount,
+                    !isEmpty(checkpoint) && checkpoint.isOutOfTime());
   }
 
   if (errorCount > 0) {
@@ -78,6 +194,15 @@ function initConfig() {
     CONFIG.spreadsheet.columnNamesToIndices[columnName] = index;
   });
 
+  var customStrategies = CONFIG.performance.customStrategies || {};
+  Object.keys(customStrategies).forEach(function(name) {
+    registerPerformanceStrategy(name, customStrategies[name].compare,
+                                customStrategies[name].reportFields);
+  });
+
+  // Fail early on an unknown strategy.
+  getPerformanceStrategy(CONFIG);
+
   // Set default email address to the spreadsheet's owner email address.
   if (isEmptyString(CONFIG.email)) {
     CONFIG.email = getFileOwnerEmail(spreadsheet);
@@ -85,6 +210,10 @@ function initConfig() {
 
   // Notify which email address is used.
   print('* This script will send notifications to: ' + CONFIG.email);
+
+  CONFIG.runId = Utilities.formatDate(new Date(),
+      AdWordsApp.currentAccount().getTimeZone(), 'yyyyMMdd-HHmmss');
+  print('* Run Id: ' + CONFIG.runId);
 }
 
 /**
@@ -197,7 +326,9 @@ function exportSTAMCC() {
       resultObject.remainingRowCount = exportResult.remainingRowCount;
       resultObject.accountsProcessed++;
 
-      if (resultObject.remainingRowCount <= 0) {
+      // Shards each have their own limit, see `exportSTA`.
+      if (resultObject.remainingRowCount <= 0 &&
+          !CONFIG.spreadsheet.sharding.enabled) {
         print('Maximum number of Ads reached, skipping export');
         break;
       }
@@ -212,9 +343,11 @@ function exportSTAMCC() {
 
 /**
  * From the Ad Performance Report, copy all enabled and
- * not disapproved Text Ads to the configured spreadsheet.
+ * not disapproved Text Ads to the configured spreadsheet. Ads are further
+ * restricted by `CONFIG.exportFilter`.
  *
- * @param {number} maxAdsToExport The maximum number of ads to export.
+ * @param {number} maxAdsToExport The maximum number of ads to export, or of
+ *                                ads exported to each shard when sharding.
  *
  * @return {{exportedCount: number,
  *           remainingRowCount: number}}
@@ -229,17 +362,11 @@ function exportSTA(maxAdsToExport) {
           'valid integer number in CONFIG.numOfAds.';
   }
 
-  // Download Ad Performance Report.
+  // Download Ad Performance Report, restricted by `CONFIG.exportFilter`.
   // Get the top most performing ads.
   var report = AdWordsApp.report(
-      'SELECT ' + CONFIG.reportFields.join(',') + ' ' +
-      'FROM     AD_PERFORMANCE_REPORT ' +
-      'WHERE    AdType = "TEXT_AD" ' +
-      '         AND AdGroupStatus = "ENABLED" ' +
-      '         AND CampaignStatus = "ENABLED" ' +
-      '         AND Status = "ENABLED" ' +
-      '         AND CreativeApprovalStatus != "DISAPPROVED" ' +
-      'DURING   ' + CONFIG.duration, {
+      getSTAReportQuery(CONFIG, ['AdGroupStatus = "ENABLED"',
+                                 'CampaignStatus = "ENABLED"']), {
         apiVersion: CONFIG.apiVersion
       });
 
@@ -249,17 +376,31 @@ function exportSTA(maxAdsToExport) {
     accountsProcessed: 1
   };
 
-  var mostPerformingAds = getMostPerformingAds(report, CONFIG);
-  if (mostPerformingAds !== null) {
-    // Open spreadsheet.
-    var sheet = getCachedSheet(CONFIG.spreadsheet, CONFIG.email);
+  function _exportAd(ad) {
+    if (CONFIG.draft.enabled) {
+      ad.draftETA(CONFIG.etaFieldLimits);
+    }
 
-    var rowObject = getContentRows(sheet,
-                                    CONFIG.spreadsheet.firstContentRow,
-                                    CONFIG.spreadsheet.nonEmptyColumnCheck,
-                                    CONFIG.spreadsheet.columnNamesToIndices,
-                                    false);
-    var nonEmptyRows = rowObject.rows;
+    var sheet = getCachedSheet(CONFIG.spreadsheet, CONFIG.email, {
+      customerId: customerId,
+      campaignId: ad.row.campaignId
+    });
+    ad.export(sheet, CONFIG.spreadsheet);
+  }
+
+  // When sharding, each shard holds up to `maxAdsToExport` rows without an
+  // ETA, counted by shard key.
+  var shardingConfig = CONFIG.spreadsheet.sharding;
+  var maxAdsPerShard = maxAdsToExport;
+  var pendingCountsByShard = {};
+
+  var mostPerformingAds = filterSTAs(getMostPerformingAds(report, CONFIG),
+                                     CONFIG.exportFilter);
+  if (mostPerformingAds !== null) {
+    // Open spreadsheet, along with the shards of this account.
+    var customerId = AdWordsApp.currentAccount().getCustomerId();
+    var nonEmptyRows = getShardedContentRows(CONFIG.spreadsheet, CONFIG.email,
+                                             [customerId], false);
 
     // If sheet is not empty, only export ads not present in sheet.
     if (nonEmptyRows.length > 0) {
@@ -281,6 +422,14 @@ function exportSTA(maxAdsToExport) {
         if (isEmptyString(etaId)) {
           maxAdsToExport--;
           resultObject.remainingRowCount--;
+
+          if (shardingConfig.enabled) {
+            var shardKey = getShardKey(shardingConfig,
+                                       row.getString('customerId'),
+                                       row.getString('campaignId'));
+            pendingCountsByShard[shardKey] =
+                (pendingCountsByShard[shardKey] || 0) + 1;
+          }
         }
       });
 
@@ -296,17 +445,31 @@ function exportSTA(maxAdsToExport) {
       mostPerformingAds = reportsNotPresentInSheet;
     }
 
-    // Traverse all ads and export them to the spreadsheet.
-    maxAdsToExport = Math.min(Math.max(maxAdsToExport, 0),
-                              mostPerformingAds.length);
-    for (var i = 0; i < maxAdsToExport; i++) {
-      mostPerformingAds[i].export(sheet, CONFIG.spreadsheet);
-    }
+    if (shardingConfig.enabled) {
+      // Fill each shard up to its own limit.
+      mostPerformingAds.forEach(function(ad) {
+        var shardKey = getShardKey(shardingConfig, customerId,
+                                   ad.row.campaignId);
+        var pendingCount = pendingCountsByShard[shardKey] || 0;
+        if (pendingCount < maxAdsPerShard) {
+          pendingCountsByShard[shardKey] = pendingCount + 1;
+          _exportAd(ad);
+          resultObject.exportedCount++;
+        }
+      });
+    } else {
+      // Traverse all ads and export them to the spreadsheet.
+      maxAdsToExport = Math.min(Math.max(maxAdsToExport, 0),
+                                mostPerformingAds.length);
+      for (var i = 0; i < maxAdsToExport; i++) {
+        _exportAd(mostPerformingAds[i]);
+      }
 
-    resultObject.exportedCount = maxAdsToExport;
+      resultObject.exportedCount = maxAdsToExport;
 
-    // Update the number of remaining rows to export.
-    resultObject.remainingRowCount -= maxAdsToExport;
+      // Update the number of remaining rows to export.
+      resultObject.remainingRowCount -= maxAdsToExport;
+    }
 
     // Print the number of ads exported.
     print(resultObject.exportedCount + ' ads exported to ' +
@@ -332,19 +495,43 @@ function printExportResults(exportResults) {
         '  Total STAs exported:      ' + exportResults.exportedCount + '\n');
 }
 
+/**
+ * Print the result of the importETA function from the importResults object.
+ *
+ * @param {{matchedCount: number,
+ *          addedCount: number,
+ *          accountsProcessed: number}}
+ *          importResults An object containing statistics from the ETA import.
+ *             matchedCount      The number of ETAs attached to STA rows.
+ *             addedCount        The number of ETAs added as rows of their own.
+ *             accountsProcessed The number of accounts processed in the import.
+ */
+function printImportResults(importResults) {
+  print('Import Results:\n' +
+        '  Total accounts processed: ' + importResults.accountsProcessed +
+        '\n' +
+        '  Total ETAs attached:      ' + importResults.matchedCount + '\n' +
+        '  Total ETA rows added:     ' + importResults.addedCount + '\n');
+}
+
 /**
  * Sync content from and to the exported spreadsheet.
  *
  * This function operates only for MCC accounts.
  *
  * This function will iterate over each sub-account calling syncSpreadsheet for
- * the account CID
+ * the account CID. Accounts completed by a previous run are skipped, and the
+ * iteration stops when `checkpoint` runs out of time.
+ *
+ * @param {?Checkpoint} checkpoint Progress of the sync across runs, if any.
+ * @param {?RunSummary=} runSummary Collects the results of each account's
+ *                                  sync, if any.
  *
  * @return {number} Returns the error count during the sync.
  *                  For example: update ad status, approval reason
  *                  and create ETAs that are flagged as ready for upload.
  */
-function syncSpreadsheetMCC() {
+function syncSpreadsheetMCC(checkpoint, runSummary) {
   var errorCount = 0;
 
   // Store the current MCC account
@@ -362,13 +549,30 @@ function syncSpreadsheetMCC() {
     processAccountLimit(accountIterator);
     while (accountIterator.hasNext()) {
       var account = accountIterator.next();
+      var customerId = account.getCustomerId();
+
+      if (checkpoint && checkpoint.isAccountCompleted(customerId)) {
+        print('Account ' + customerId + ' synced by a previous run, skipping');
+        continue;
+      }
+
+      if (checkpoint && checkpoint.shouldStop(customerId,
+          checkpoint.getLastRowChecked(customerId))) {
+        break;
+      }
 
       // Set the account as the client account as the active account
       MccApp.select(account);
-      print('Account: ' + account.getName() +
-            ' (' + account.getCustomerId() + ')');
+      print('Account: ' + account.getName() + ' (' + customerId + ')');
 
-      errorCount += syncSpreadsheet(account.getCustomerId());
+      errorCount += syncSpreadsheet(customerId, checkpoint, runSummary);
+
+      if (checkpoint) {
+        if (checkpoint.isOutOfTime()) {
+          break;
+        }
+        checkpoint.completeAccount(customerId);
+      }
     }
   }
 
@@ -378,26 +582,116 @@ function syncSpreadsheetMCC() {
 }
 
 
+/**
+ * Sync content from and to the exported spreadsheet, one shard at a time when
+ * sharding is enabled (see `CONFIG.spreadsheet.sharding`). The checkpoint
+ * tracks each shard of the account on its own, see `getShardCheckpointKey`.
+ *
+ * @param {string|null|undefined} customerId sync for the customer Id provided.
+ *                                If null or undefined, then sync all rows.
+ * @param {?Checkpoint=} checkpoint Progress of the sync across runs, if any.
+ * @param {?RunSummary=} runSummary Collects the results of each shard's sync,
+ *                                  if any.
+ *
+ * @return {number} Returns the error count during the sync.
+ */
+function syncSpreadsheetShards(customerId, checkpoint, runSummary) {
+  var errorCount = 0;
+
+  // Reports of the account, downloaded by the first shard synced and shared
+  // with the others.
+  var accountReports = {};
+
+  var shards = getShards(CONFIG.spreadsheet, CONFIG.email,
+                         customerId ? [customerId] : []);
+  for (var i = 0; i < shards.length; i++) {
+    var shard = shards[i];
+    var checkpointKey = getShardCheckpointKey(customerId, shard.key);
+
+    if (checkpoint && checkpoint.isAccountCompleted(checkpointKey)) {
+      print('Shard ' + (shard.key || CONFIG.spreadsheet.sheetName) +
+            ' synced by a previous run, skipping');
+      continue;
+    }
+
+    errorCount += syncSpreadsheet(customerId, checkpoint, runSummary, shard,
+                                  accountReports);
+
+    if (checkpoint) {
+      if (checkpoint.isOutOfTime()) {
+        break;
+      }
+      checkpoint.completeAccount(checkpointKey);
+    }
+  }
+
+  return errorCount;
+}
+
+
+/**
+ * Retrieves the key tracking the progress of a shard's sync in the
+ * checkpoint, see `Checkpoint`.
+ *
+ * @param {?string} customerId The account synced, or null for non-MCC
+ *                             accounts.
+ * @param {string} shardKey The shard key, empty for the main sheet.
+ *
+ * @return {string}
+ */
+function getShardCheckpointKey(customerId, shardKey) {
+  return 'shard:' + (customerId || '') + ':' + shardKey;
+}
+
+
 /**
  * Sync content from and to the exported spreadsheet.
  *
  * @param {string|null|undefined} customerId sync for the customer Id provided.
  *                                If null or undefined, then sync all rows.
+ * @param {?Checkpoint=} checkpoint Progress of the sync across runs. If
+ *                                  provided, rows processed by a previous run
+ *                                  are skipped, and processing stops when the
+ *                                  execution time limit is near.
+ * @param {?RunSummary=} runSummary Collects the changes made and rows marked
+ *                                  with errors, if provided.
+ * @param {{key: string, sheet: Sheet}=} shard The shard to sync, see
+ *                                             `getShards`. When sharding is
+ *                                             enabled and no shard is given,
+ *                                             every shard of the account is
+ *                                             synced.
+ * @param {Object=} accountReports Reports of the account downloaded by
+ *                                 previous shards, see
+ *                                 `syncSpreadsheetShards`. Reports this
+ *                                 shard downloads are added to it.
  *
  * @return {number} Returns the error count during the sync.
  *                  For example: update ad status, approval reason
  *                  and create ETAs that are flagged as ready for upload.
  */
-function syncSpreadsheet(customerId) {
+function syncSpreadsheet(customerId, checkpoint, runSummary, shard,
+                         accountReports) {
+  if (CONFIG.spreadsheet.sharding.enabled && isEmpty(shard)) {
+    return syncSpreadsheetShards(customerId, checkpoint, runSummary);
+  }
+
   var errorCount = 0;
+  var reports = accountReports || {};
 
   var sheet = getCachedSheet(CONFIG.spreadsheet, CONFIG.email);
+  var checkpointKey = isEmpty(shard) ? customerId :
+      getShardCheckpointKey(customerId, shard.key);
 
   // Combine Ad performing reports with rows in spreadsheet.
   var spreadsheetRowsAndReport;
   try {
+    if (isEmpty(reports.sync)) {
+      reports.sync = getSyncReports();
+    }
     spreadsheetRowsAndReport =
-      getReportWithSpreadsheetRows(customerId ? [customerId] : []);
+      getReportWithSpreadsheetRows(customerId ? [customerId] : [],
+                                   isEmpty(shard) ? undefined : shard.sheet,
+                                   reports.sync);
   } catch(err) {
     Logger.log('Failed to retrieve report rows: ' + err);
     spreadsheetRowsAndReport = [];
@@ -407,31 +701,95 @@ function syncSpreadsheet(customerId) {
   // Keep track of changes made to AdWords platform.
   var allChanges = [];
 
-  spreadsheetRowsAndReport.forEach(function(spreadsheetRowAndReport) {
+  var autoPauseMetrics = null;
+  if (CONFIG.autoPause.enabled && spreadsheetRowsAndReport.length > 0) {
+    try {
+      if (isEmpty(reports.autoPause)) {
+        reports.autoPause = getAutoPauseMetrics(CONFIG.etaReportStartDate,
+                                                reports.adMetrics);
+        reports.adMetrics = reports.autoPause.ads;
+      }
+      autoPauseMetrics = reports.autoPause;
+    } catch (err) {
+      Logger.log('Failed to retrieve metrics for auto pause: ' + err);
+      errorCount++;
+    }
+  }
+
+  // Rows sharing a STA hold ETA variants, the STA is synced from its primary
+  // row. Primary rows are found before skipping processed rows, so that a
+  // resumed sync does not mistake a variant for a primary row.
+  var primaryRows = getPrimarySTARows(spreadsheetRowsAndReport);
+  var changesBySTA = {};
+
+  // Skip rows processed by a previous run.
+  var rowsToSync = spreadsheetRowsAndReport.slice();
+  var lastRowChecked = 0;
+  if (checkpoint) {
+    lastRowChecked = checkpoint.getLastRowChecked(checkpointKey);
+    spliceFromLastRowChecked(rowsToSync, lastRowChecked);
+  }
+
+  rowsToSync.forEach(function(spreadsheetRowAndReport) {
+    if (checkpoint && checkpoint.shouldStop(checkpointKey, lastRowChecked)) {
+      return;
+    }
+
     // `startOfIterationErrorCount` will keep track of the error count at the
     // start of this iteration.
     var startOfIterationErrorCount = errorCount;
     var spreadsheetRow = spreadsheetRowAndReport.row;
+    lastRowChecked = spreadsheetRow.getRowIndex();
+
+    // Skip rows that previous runs ended on, see `Checkpoint`.
+    if (checkpoint && !checkpoint.startRow(checkpointKey, lastRowChecked)) {
+      errorCount += 1;
+      spreadsheetRow.markAsError('Row skipped, the last ' +
+          CONFIG.checkpoint.maxFailedRuns + ' runs ended while syncing it.');
+      return;
+    }
 
     var sta = spreadsheetRowAndReport.sta;
     var eta = spreadsheetRowAndReport.eta;
 
+    var staKey = getSTAKey(spreadsheetRow);
+    var isVariant = staKey !== null && primaryRows[staKey] !== spreadsheetRow;
+
     // Keep track of changes made to STA.
     var staChanges = new AdChange(spreadsheetRow.getNumber('staId'),
                                   spreadsheetRow.getNumber('adGroupId'));
     // Keep track of changes made to ETA (etaId may be empty here).
     var etaChanges = new AdChange(spreadsheetRow.getNumber('etaId'),
-                                  spreadsheetRow.getNumber('adGroupId'));
-    // Save changes for this iteration.
-    allChanges.push({
-      sta: staChanges.getChangeStruct(),
-      eta: [etaChanges.getChangeStruct()]
-    });
+                                  spreadsheetRow.getNumber('adGroupId'),
+                                  spreadsheetRow.getRowIndex());
+
+    // Save changes for this iteration, along with other variants of the STA.
+    if (isVariant && (staKey in changesBySTA)) {
+      changesBySTA[staKey].eta.push(etaChanges.getChangeStruct());
+    } else {
+      var change = {
+        customerId: spreadsheetRow.getString('customerId'),
+        rowIndex: spreadsheetRow.getRowIndex(),
+        sta: staChanges.getChangeStruct(),
+        eta: [etaChanges.getChangeStruct()]
+      };
+      allChanges.push(change);
+
+      if (staKey !== null) {
+        changesBySTA[staKey] = change;
+      }
+    }
+
+    // Variant rows only hold an ETA, their STA is synced from its primary row.
+    if (isVariant) {
+      errorCount += syncETA(eta, spreadsheetRow, etaChanges);
+      return;
+    }
 
     // If STA is null (report was not retrieved), then retrieve it.
     // STA is only null when it's not returned in `getMostPerformingAds` for
-    // this specific row.
-    if (isEmpty(sta)) {
+    // this specific row, or when the row holds only an ETA (see `importETA`).
+    if (isEmpty(sta) && !isEmptyString(spreadsheetRow.getString('staId'))) {
       sta = getAdFromRow(spreadsheetRow, 'STA');
       if (isEmpty(sta)) {
         errorCount += 1;
@@ -447,8 +805,57 @@ function syncSpreadsheet(customerId) {
 
     errorCount += syncETA(eta, spreadsheetRow, etaChanges);
     errorCount += syncSTA(sta, spreadsheetRow, staChanges);
+
+    // Only pause STAs automatically for rows synced without errors.
+    if (!isEmpty(autoPauseMetrics) &&
+        errorCount === startOfIterationErrorCount) {
+      errorCount += applyAutoPausePolicy(sta, spreadsheetRow, staChanges,
+                                         autoPauseMetrics, CONFIG.autoPause);
+    }
   });
 
+  if (checkpoint) {
+    checkpoint.completeRows();
+  }
+
+  if (IS_DRY_RUN) {
+    var plannedCount = writePlannedChanges(
+        sheet.getParent(), CONFIG.dryRun, allChanges,
+        spreadsheetRowsAndReport.map(function(spreadsheetRowAndReport) {
+          return spreadsheetRowAndReport.row;
+        }));
+    print(plannedCount + ' planned changes written to the "' +
+          CONFIG.dryRun.planSheetName + '" sheet');
+  } else if (CONFIG.history.enabled && !IS_PREVIEW) {
+    writeChangeHistory(sheet.getParent(), CONFIG.history, CONFIG.runId,
+                       allChanges);
+  }
+
+  // An account is compared once all its rows are synced.
+  if (CONFIG.comparison.enabled && !(checkpoint && checkpoint.isOutOfTime())) {
+    var rows = spreadsheetRowsAndReport.map(function(spreadsheetRowAndReport) {
+      return spreadsheetRowAndReport.row;
+    });
+
+    try {
+      var comparedCount = writeComparison(sheet.getParent(), rows,
+                                          CONFIG.comparison, reports);
+      print(comparedCount + ' STAs compared with their ETAs');
+    } catch (err) {
+      Logger.log('Failed to compare STAs with ETAs: ' + err);
+      errorCount++;
+    }
+  }
+
+  if (!isEmpty(runSummary)) {
+    runSummary.addSyncResults(
+        customerId || AdWordsApp.currentAccount().getCustomerId(), errorCount,
+        allChanges,
+        spreadsheetRowsAndReport.map(function(spreadsheetRowAndReport) {
+          return spreadsheetRowAndReport.row;
+        }));
+  }
+
   allChanges.map(function(change) {
     function _printChanges(type, id, changes) {
       function _print(field) {
@@ -604,8 +1011,18 @@ function syncETA(eta, spreadsheetRow, etaChanges) {
     var result = createETA(spreadsheetRow);
     eta = result.ad;
 
+    if (result.planned) {
+      // Dry-run mode: no ETA was created, track what would be applied to it.
+      var plannedETAStatus = spreadsheetRow.getString('etaStatus');
+      if (isEmptyString(plannedETAStatus)) {
+        plannedETAStatus = Ad.statuses.PAUSED;
+      }
+
+      etaChanges.trackCreate(null, spreadsheetRow.getNumber('adGroupId'));
+      etaChanges.trackChange('labels', '', labelNames);
+      etaChanges.trackChange('status', '', plannedETAStatus);
     // Only apply ETA changes, if ETA object is present.
-    if (isEmpty(eta)) {
+    } else if (isEmpty(eta)) {
       errorCount += 1;
       if (result.errors.length > 0) {
         spreadsheetRow.markAsError(result.errors);
@@ -0,0 +1,289 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+////////////////////////////// RUN SUMMARY ///////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - flattenChanges
+// - isEmptyString
+// - notify
+
+
+/**
+ * When to send the run summary, see `CONFIG.runSummary.sendWhen`.
+ * @enum {string}
+ */
+var RunSummarySendWhen = {
+  ALWAYS: 'always',
+  CHANGES_OR_ERRORS: 'changesOrErrors',
+  ERRORS: 'errors'
+};
+
+
+/**
+ * Collects what happened during a run, to email a summary once it ends: STAs
+ * exported, ETAs created, statuses changed and errors by account.
+ *
+ * @param {{sendWhen: string,
+ *          maxErrorMessages: number}} runSummaryConfig Run summary
+ *                                                      configuration.
+ * @constructor
+ * @throws {string}
+ */
+function RunSummary(runSummaryConfig) {
+  var sendWhen = runSummaryConfig.sendWhen;
+  var isSupported = Object.keys(RunSummarySendWhen).some(function(key) {
+    return RunSummarySendWhen[key] === sendWhen;
+  });
+  if (!isSupported) {
+    throw 'Unknown CONFIG.runSummary.sendWhen value: ' + sendWhen;
+  }
+
+  this.config_ = runSummaryConfig;
+  this.exportedCount_ = 0;
+  this.createdCount_ = 0;
+  this.statusChangeCount_ = 0;
+
+  // Errors reported by syncs, by account, and rows marked with errors.
+  this.accountErrorCounts_ = {};
+  this.rowErrors_ = [];
+
+  // Messages worth a look that are not errors, such as skipped rewrites.
+  this.notes_ = [];
+}
+
+
+/**
+ * Records the results of a STA export, see `exportSTA`.
+ *
+ * @param {{exportedCount: number}} exportResults
+ */
+RunSummary.prototype.addExportResults = function(exportResults) {
+  this.exportedCount_ += exportResults.exportedCount;
+};
+
+
+/**
+ * Records messages listed in the summary without counting as errors, see
+ * `rewriteSpreadsheetRows`.
+ *
+ * @param {Array<string>} notes
+ */
+RunSummary.prototype.addNotes = function(notes) {
+  this.notes_ = this.notes_.concat(notes);
+};
+
+
+/**
+ * Records the results of syncing an account, see `syncSpreadsheet`.
+ *
+ * @param {string} customerId The account synced.
+ * @param {number} errorCount The number of errors encountered.
+ * @param {Array<Object>} allChanges The change structs tracked by `AdChange`
+ *                                   for each spreadsheet row, see
+ *                                   `flattenChanges`.
+ * @param {Array<SpreadsheetRow>} rows The rows synced. Rows marked with
+ *                                     errors are listed in the summary.
+ */
+RunSummary.prototype.addSyncResults = function(customerId, errorCount,
+                                               allChanges, rows) {
+  var self = this;
+
+  flattenChanges(allChanges).forEach(function(record) {
+    if (record.fieldName === 'created') {
+      self.createdCount_++;
+    } else if ((record.fieldName === 'status' ||
+                record.fieldName === 'staStatus') &&
+               !isEmptyString(record.oldValue)) {
+      // The status of a new ETA is set when it is created, not changed.
+      self.statusChangeCount_++;
+    }
+  });
+
+  if (errorCount > 0) {
+    this.accountErrorCounts_[customerId] =
+        (this.accountErrorCounts_[customerId] || 0) + errorCount;
+  }
+
+  rows.forEach(function(row) {
+    if (row.hasErrors()) {
+      self.rowErrors_.push({
+        customerId: customerId,
+        sheet: row.getSheet(),
+        rowIndex: row.getRowIndex(),
+        message: row.getString('errorMessage')
+      });
+    }
+  });
+};
+
+
+/**
+ * Whether the summary should be sent, according to `sendWhen`.
+ *
+ * @param {number} errorCount The number of errors encountered during the run.
+ *
+ * @return {boolean}
+ */
+RunSummary.prototype.shouldSend = function(errorCount) {
+  var hasErrors = errorCount > 0 || this.rowErrors_.length > 0;
+  var hasChanges = this.exportedCount_ > 0 || this.createdCount_ > 0 ||
+                   this.statusChangeCount_ > 0;
+
+  switch (this.config_.sendWhen) {
+    case RunSummarySendWhen.ALWAYS:
+      return true;
+    case RunSummarySendWhen.ERRORS:
+      return hasErrors;
+    default:
+      return hasErrors || hasChanges;
+  }
+};
+
+
+/**
+ * Emails the summary, if it should be sent.
+ *
+ * @param {string} to The email address to send the summary to.
+ * @param {Sheet} sheet The main sheet, the summary links to it.
+ * @param {number} errorCount The number of errors encountered during the run.
+ * @param {boolean} isPaused Whether processing paused, out of time.
+ *
+ * @return {boolean} Whether the summary was sent.
+ */
+RunSummary.prototype.send = function(to, sheet, errorCount, isPaused) {
+  if (!this.shouldSend(errorCount)) {
+    return false;
+  }
+
+  var spreadsheetUrl = sheet.getParent().getUrl();
+
+  return notify(to, RUN_SUMMARY, {
+    runId: CONFIG.runId,
+    spreadsheetUrl: spreadsheetUrl,
+    exportedCount: this.exportedCount_,
+    createdCount: this.createdCount_,
+    statusChangeCount: this.statusChangeCount_,
+    errorCount: errorCount,
+    accountErrorCounts: this.accountErrorCounts_,
+    rowErrors: this.rowErrors_.slice(0, this.config_.maxErrorMessages)
+        .map(function(rowError) {
+          return {
+            customerId: rowError.customerId,
+            rowIndex: rowError.rowIndex,
+            message: rowError.message,
+            // Rows may be in shards, see `CONFIG.spreadsheet.sharding`.
+            url: rowError.sheet.getParent().getUrl() + '#gid=' +
+                 rowError.sheet.getSheetId() + '&range=A' + rowError.rowIndex
+          };
+        }),
+    omittedErrorCount: Math.max(0, this.rowErrors_.length -
+                                   this.config_.maxErrorMessages),
+    notes: this.notes_.slice(0, this.config_.maxErrorMessages),
+    isPaused: isPaused
+  });
+};
+
+
+/**
+ * Builds the run summary email, see `getEmailTemplate`.
+ *
+ * @param {{runId: string,
+ *          spreadsheetUrl: string,
+ *          exportedCount: number,
+ *          createdCount: number,
+ *          statusChangeCount: number,
+ *          errorCount: number,
+ *          accountErrorCounts: Object,
+ *          rowErrors: Array<Object>,
+ *          omittedErrorCount: number,
+ *          notes: Array<string>,
+ *          isPaused: boolean}} payload See `RunSummary.prototype.send`.
+ *
+ * @return {{subject: string, body: string}}
+ */
+function getRunSummaryTemplate(payload) {
+  function _escape(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+  }
+
+  var body = 'Hello,<br/><br/>' +
+      'The ETA Transition Helper ran on account \'' +
+      AdWordsApp.currentAccount().getName() + '\' (run ' + payload.runId +
+      ').<br/><br/>' +
+      '<b>Summary</b><br/>' +
+      '- STAs exported: ' + payload.exportedCount + '<br/>' +
+      '- ETAs created: ' + payload.createdCount + '<br/>' +
+      '- Statuses changed: ' + payload.statusChangeCount + '<br/>' +
+      '- Errors: ' + payload.errorCount + '<br/><br/>';
+
+  if (payload.isPaused) {
+    body += 'Processing paused before syncing all rows, it will resume on ' +
+            'the next run.<br/><br/>';
+  }
+
+  var customerIds = Object.keys(payload.accountErrorCounts);
+  if (customerIds.length > 0) {
+    body += '<b>Errors by account</b><br/>';
+    customerIds.forEach(function(customerId) {
+      body += '- ' + customerId + ': ' +
+              payload.accountErrorCounts[customerId] + '<br/>';
+    });
+    body += '<br/>';
+  }
+
+  if (payload.rowErrors.length > 0) {
+    body += '<b>Rows with errors</b><br/>';
+    payload.rowErrors.forEach(function(rowError) {
+      // Error messages are stored as a list, one '- message' per line.
+      var message = rowError.message.split('\n').map(function(line) {
+        return line.replace(/^- /, '').trim();
+      }).filter(function(line) {
+        return !isEmptyString(line);
+      }).join('; ');
+
+      body += '- <a href=\'' + rowError.url + '\'>Row ' + rowError.rowIndex +
+              '</a> (' + rowError.customerId + '): ' + _escape(message) +
+              '<br/>';
+    });
+
+    if (payload.omittedErrorCount > 0) {
+      body += '- and ' + payload.omittedErrorCount + ' more rows with ' +
+              'errors.<br/>';
+    }
+    body += '<br/>';
+  }
+
+  if (payload.notes.length > 0) {
+    body += '<b>Notes</b><br/>';
+    payload.notes.forEach(function(note) {
+      body += '- ' + _escape(note) + '<br/>';
+    });
+    body += '<br/>';
+  }
+
+  body += 'Open <a href=\'' + payload.spreadsheetUrl + '\'>the ' +
+          'spreadsheet</a> for details.<br/><br/>' +
+          'Yours,<br/>' +
+          'ETA Transition Helper';
+
+  return {
+    subject: '[ETA Transition Helper] Run summary: ' + payload.createdCount +
+             ' ETAs created, ' + payload.errorCount + ' errors',
+    body: body
+  };
+}
@@ -0,0 +1,309 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+/////////////////////////////// SHARDING /////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Depends on the following global functions:
+// - appendRowsToSheet
+// - copyFile
+// - getCachedSheet
+// - getContentRows
+// - getOrCreateSheet
+// - isEmpty
+// - isEmptyString
+// - print
+
+
+/**
+ * Header of the shard registry sheet.
+ * @type {Array<string>}
+ */
+var SHARD_REGISTRY_HEADER = ['Shard key', 'Account', 'Campaign Id',
+                             'Spreadsheet Id', 'Sheet name'];
+
+
+/**
+ * How rows are spread across shards, see `CONFIG.spreadsheet.sharding`.
+ * @enum {string}
+ */
+var ShardBy = {
+  ACCOUNT: 'account',
+  CAMPAIGN: 'campaign'
+};
+
+
+/**
+ * Where shards are created, see `CONFIG.spreadsheet.sharding`.
+ * @enum {string}
+ */
+var ShardTarget = {
+  SHEETS: 'sheets',
+  SPREADSHEETS: 'spreadsheets'
+};
+
+
+/**
+ * Retrieves the key of the shard holding the rows of an account, or of one of
+ * its campaigns when sharding by campaign.
+ *
+ * @param {{shardBy: string}} shardingConfig Sharding configuration.
+ * @param {string} customerId
+ * @param {?string|number=} campaignId Required when sharding by campaign.
+ *
+ * @return {string}
+ * @throws {string}
+ */
+function getShardKey(shardingConfig, customerId, campaignId) {
+  if (shardingConfig.shardBy === ShardBy.CAMPAIGN) {
+    if (isEmptyString(String(campaignId || ''))) {
+      throw 'A campaign Id is required to select a shard by campaign.';
+    }
+    return customerId + '/' + campaignId;
+  }
+
+  return String(customerId);
+}
+
+
+/**
+ * Loads the shard registry from the `sharding.registrySheetName` sheet of
+ * the main spreadsheet, creating the sheet if missing. The registry is
+ * cached in `config.shards` for the rest of the run.
+ *
+ * @param {Object} config The spreadsheet configuration, see
+ *                        `CONFIG.spreadsheet`.
+ * @param {?string} emailToNotify See `getCachedSheet`.
+ *
+ * @return {Object} Shards by key, each with `key`, `customerId`,
+ *                  `campaignId`, `spreadsheetId` (empty for sheets of the
+ *                  main spreadsheet), `sheetName` and `sheet` (once opened).
+ * @throws {string}
+ */
+function loadShardRegistry(config, emailToNotify) {
+  if (!isEmpty(config.shards)) {
+    return config.shards;
+  }
+
+  var sharding = config.sharding;
+  if ([ShardBy.ACCOUNT, ShardBy.CAMPAIGN].indexOf(sharding.shardBy) === -1) {
+    throw 'Unknown CONFIG.spreadsheet.sharding.shardBy value: ' +
+          sharding.shardBy;
+  }
+  if ([ShardTarget.SHEETS, ShardTarget.SPREADSHEETS]
+      .indexOf(sharding.target) === -1) {
+    throw 'Unknown CONFIG.spreadsheet.sharding.target value: ' +
+          sharding.target;
+  }
+
+  var spreadsheet = getCachedSheet(config, emailToNotify).getParent();
+  var sheet = getOrCreateSheet(spreadsheet, sharding.registrySheetName);
+  if (sheet.getLastRow() === 0) {
+    appendRowsToSheet(sheet, [SHARD_REGISTRY_HEADER]);
+    sheet.setFrozenRows(1);
+  }
+
+  var shards = {};
+  if (sheet.getLastRow() > 1) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, SHARD_REGISTRY_HEADER.length)
+        .getValues().forEach(function(values) {
+          if (isEmptyString(String(values[0]))) {
+            return;
+          }
+
+          shards[String(values[0])] = {
+            key: String(values[0]),
+            customerId: String(values[1]),
+            campaignId: String(values[2]),
+            spreadsheetId: String(values[3]),
+            sheetName: String(values[4]),
+            sheet: null
+          };
+        });
+  }
+
+  config.shards = shards;
+  return shards;
+}
+
+
+/**
+ * Creates a shard and adds it to the registry. Shards are either a copy of
+ * the template's sheet, added to the main spreadsheet, or a copy of the
+ * template spreadsheet.
+ *
+ * @param {Object} config The spreadsheet configuration.
+ * @param {?string} emailToNotify See `getCachedSheet`.
+ * @param {string} key The shard key, see `getShardKey`.
+ * @param {string} customerId
+ * @param {?string|number} campaignId
+ *
+ * @return {Object} The shard, see `loadShardRegistry`.
+ * @throws {string}
+ */
+function createShard(config, emailToNotify, key, customerId, campaignId) {
+  var mainSpreadsheet = getCachedSheet(config, emailToNotify).getParent();
+  var shard = {
+    key: key,
+    customerId: String(customerId),
+    campaignId: config.sharding.shardBy === ShardBy.CAMPAIGN ?
+        String(campaignId) : '',
+    spreadsheetId: '',
+    sheetName: config.sheetName,
+    sheet: null
+  };
+
+  if (config.sharding.target === ShardTarget.SPREADSHEETS) {
+    var name = config.targetName + ' - ' + key;
+    var file = copyFile(config.templateId, name);
+    if (!file) {
+      throw 'Failed to create a spreadsheet for shard ' + key;
+    }
+
+    // The main spreadsheet is found by the tag `copyFile` adds to the
+    // description, leave it out.
+    file.setDescription('[shard ' + key + '] ' + name);
+    shard.spreadsheetId = file.getId();
+  } else {
+    shard.sheetName = config.sheetName + ' - ' + key;
+    shard.sheet = SpreadsheetApp.openById(config.templateId)
+        .getSheetByName(config.sheetName)
+        .copyTo(mainSpreadsheet)
+        .setName(shard.sheetName);
+  }
+
+  appendRowsToSheet(
+      mainSpreadsheet.getSheetByName(config.sharding.registrySheetName),
+      [[shard.key, shard.customerId, shard.campaignId, shard.spreadsheetId,
+        shard.sheetName]]);
+  print('- Created shard ' + key);
+
+  return shard;
+}
+
+
+/**
+ * Opens the sheet of a shard.
+ *
+ * @param {Object} config The spreadsheet configuration.
+ * @param {?string} emailToNotify See `getCachedSheet`.
+ * @param {Object} shard See `loadShardRegistry`.
+ *
+ * @return {Sheet}
+ * @throws {string}
+ */
+function openShardSheet(config, emailToNotify, shard) {
+  if (!isEmpty(shard.sheet)) {
+    return shard.sheet;
+  }
+
+  var spreadsheet = isEmptyString(shard.spreadsheetId) ?
+      getCachedSheet(config, emailToNotify).getParent() :
+      SpreadsheetApp.openById(shard.spreadsheetId);
+
+  var sheet = spreadsheet.getSheetByName(shard.sheetName);
+  if (!sheet) {
+    throw 'Shard ' + shard.key + ' is missing its sheet "' + shard.sheetName +
+          '". Please fix the "' + config.sharding.registrySheetName +
+          '" sheet.';
+  }
+
+  shard.sheet = sheet;
+  return sheet;
+}
+
+
+/**
+ * Retrieves the sheet of the shard holding the rows of an account or
+ * campaign, creating the shard if needed.
+ *
+ * @param {Object} config The spreadsheet configuration.
+ * @param {?string} emailToNotify See `getCachedSheet`.
+ * @param {string} customerId
+ * @param {?string|number=} campaignId Required when sharding by campaign.
+ *
+ * @return {Sheet}
+ */
+function getShardSheet(config, emailToNotify, customerId, campaignId) {
+  var shards = loadShardRegistry(config, emailToNotify);
+  var key = getShardKey(config.sharding, customerId, campaignId);
+  if (!(key in shards)) {
+    shards[key] = createShard(config, emailToNotify, key, customerId,
+                              campaignId);
+  }
+
+  return openShardSheet(config, emailToNotify, shards[key]);
+}
+
+
+/**
+ * Retrieves the sheets holding rows: the main sheet first, then the shards
+ * of the given accounts. Rows of the main sheet are never moved to shards,
+ * so rows exported before sharding was enabled keep syncing.
+ *
+ * @param {Object} config The spreadsheet configuration.
+ * @param {?string} emailToNotify See `getCachedSheet`.
+ * @param {Array<string>} customerIds Accounts whose shards to retrieve. Use
+ *                                    an empty array for all shards.
+ *
+ * @return {Array<{key: string, sheet: Sheet}>} The sheets, along with their
+ *                                              shard key (empty for the
+ *                                              main sheet).
+ */
+function getShards(config, emailToNotify, customerIds) {
+  var sheets = [{key: '', sheet: getCachedSheet(config, emailToNotify)}];
+  if (!config.sharding.enabled) {
+    return sheets;
+  }
+
+  var shards = loadShardRegistry(config, emailToNotify);
+  Object.keys(shards).forEach(function(key) {
+    var shard = shards[key];
+    if (customerIds.length === 0 ||
+        customerIds.indexOf(shard.customerId) !== -1) {
+      sheets.push({key: key,
+                   sheet: openShardSheet(config, emailToNotify, shard)});
+    }
+  });
+
+  return sheets;
+}
+
+
+/**
+ * Retrieves the non-empty rows of the main sheet and of the shards of the
+ * given accounts, see `getShards` and `getContentRows`.
+ *
+ * @param {Object} config The spreadsheet configuration.
+ * @param {?string} emailToNotify See `getCachedSheet`.
+ * @param {Array<string>} customerIds Accounts whose shards to read. Use an
+ *                                    empty array for all shards.
+ * @param {boolean} isValidOnly If true, invalid rows will be filtered out.
+ *
+ * @return {Array<SpreadsheetRow>}
+ */
+function getShardedContentRows(config, emailToNotify, customerIds,
+                               isValidOnly) {
+  var rows = [];
+  getShards(config, emailToNotify, customerIds).forEach(function(shard) {
+    rows = rows.concat(getContentRows(shard.sheet,
+                                      config.firstContentRow,
+                                      config.nonEmptyColumnCheck,
+                                      config.columnNamesToIndices,
+                                      isValidOnly).rows);
+  });
+
+  return rows;
+}
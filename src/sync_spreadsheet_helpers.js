@@ -23,45 +23,51 @@
  * @param {Array<string>} customerIds An array of customerIds to filter
  *                                    resulting Ads. Use empty array to not
  *                                    filter any Ads.
+ * @param {Sheet=} sheet The sheet to read rows from. Defaults to the main
+ *                       sheet, along with the shards of `customerIds` when
+ *                       sharding is enabled, see `getShards`.
+ * @param {{stas: Object, etas: Object}=} reports The STA and ETA reports of
+ *                                              the current account, see
+ *                                              `getSyncReports`. Downloaded
+ *                                              if not provided.
  *
  * @return {Array<Object>} Returns an array of objects, in which each object
  *                         has a reference to a given row in the spreadsheet,
  *                         and its respective report.
  */
-function getReportWithSpreadsheetRows(customerIds) {
+function getReportWithSpreadsheetRows(customerIds, sheet, reports) {
   if (!Array.isArray(customerIds)) {
     throw "customerIds is not a valid array";
   }
 
-  // Open spreadsheet.
-  var sheet = getCachedSheet(CONFIG.spreadsheet, CONFIG.email);
-
-  var rowObject = getContentRows(sheet,
-                                  CONFIG.spreadsheet.firstContentRow,
-                                  CONFIG.spreadsheet.nonEmptyColumnCheck,
-                                  CONFIG.spreadsheet.columnNamesToIndices,
-                                  true,
-                                  CONFIG.spreadsheet.rowCache);
-  var nonEmptyValidRows = rowObject.rows;
-  CONFIG.spreadsheet.rowCache = rowObject.newRowCache;
-
-  // Get rows containing content.
-  var report = AdWordsApp.report(
-      'SELECT ' + CONFIG.reportFields.join(',') + ' ' +
-      'FROM     AD_PERFORMANCE_REPORT ' +
-      'WHERE    AdType = "TEXT_AD" ' +
-      '         AND Status = "ENABLED" ' +
-      '         AND CreativeApprovalStatus != "DISAPPROVED" ' +
-      'DURING   ' + CONFIG.duration, {
-        apiVersion: CONFIG.apiVersion
-      });
-
-  var mostPerformingAds = getMostPerformingAds(report, CONFIG);
-  var performingETA = getETAReports(CONFIG);
+  var nonEmptyValidRows;
+  if (sheet) {
+    nonEmptyValidRows = getContentRows(sheet,
+                                       CONFIG.spreadsheet.firstContentRow,
+                                       CONFIG.spreadsheet.nonEmptyColumnCheck,
+                                       CONFIG.spreadsheet.columnNamesToIndices,
+                                       true).rows;
+  } else if (CONFIG.spreadsheet.sharding.enabled) {
+    nonEmptyValidRows = getShardedContentRows(CONFIG.spreadsheet, CONFIG.email,
+                                              customerIds, true);
+  } else {
+    // Open spreadsheet.
+    var rowObject = getContentRows(getCachedSheet(CONFIG.spreadsheet,
+                                                  CONFIG.email),
+                                   CONFIG.spreadsheet.firstContentRow,
+                                   CONFIG.spreadsheet.nonEmptyColumnCheck,
+                                   CONFIG.spreadsheet.columnNamesToIndices,
+                                   true,
+                                   CONFIG.spreadsheet.rowCache);
+    nonEmptyValidRows = rowObject.rows;
+    CONFIG.spreadsheet.rowCache = rowObject.newRowCache;
+  }
 
-  // Swith Ads to a [id]=>Ad object structure.
-  mostPerformingAds = createIndexableObjectFromKeys(mostPerformingAds, ['id']);
-  performingETA = createIndexableObjectFromKeys(performingETA, ['id']);
+  if (isEmpty(reports)) {
+    reports = getSyncReports();
+  }
+  var mostPerformingAds = reports.stas;
+  var performingETA = reports.etas;
 
   var rowsAndAds = [];
 
@@ -95,27 +101,97 @@ function getReportWithSpreadsheetRows(customerIds) {
 
 
 /**
- * Splices `spreadsheetRowsAndReport` according to `lastRowCheckedIndex`
+ * Downloads the reports rows are synced with, for the current account. STAs
+ * are selected with the same filters as when exported, see
+ * `CONFIG.exportFilter`.
+ *
+ * @return {{stas: Object, etas: Object}} STAs and ETAs, indexed by Id.
+ */
+function getSyncReports() {
+  var report = AdWordsApp.report(getSTAReportQuery(CONFIG), {
+    apiVersion: CONFIG.apiVersion
+  });
+
+  var mostPerformingAds = filterSTAs(getMostPerformingAds(report, CONFIG),
+                                     CONFIG.exportFilter);
+  var performingETA = getETAReports(CONFIG);
+
+  // Swith Ads to a [id]=>Ad object structure.
+  return {
+    stas: createIndexableObjectFromKeys(mostPerformingAds, ['id']),
+    etas: createIndexableObjectFromKeys(performingETA, ['id'])
+  };
+}
+
+
+/**
+ * Retrieves the key identifying the STA of a row. Rows sharing a key hold
+ * variants of an ETA for the same STA.
+ *
+ * @param {SpreadsheetRow} spreadsheetRow A row in spreadsheet.
  *
- * @param {Array<Object>} spreadsheetRowsAndReport
- * @param {number} lastRowCheckedIndex The index of last row processed in
- *                                     previous run.
- * @param {number} headerIndex The index of the row containing header.
+ * @return {?string} The key, or null if the row has no STA.
  */
-function spliceFromLastRowChecked(spreadsheetRowsAndReport, lastRowCheckedIndex,
-                                  headerIndex) {
-  if (isNaN(lastRowCheckedIndex)) {
-    lastRowCheckedIndex = 0;
+function getSTAKey(spreadsheetRow) {
+  var staId = spreadsheetRow.getString('staId');
+  if (isEmptyString(staId)) {
+    return null;
   }
-  // Get Index stored in lastRowCheckedCell relative to header.
-  lastRowCheckedIndex = lastRowCheckedIndex - headerIndex;
-
-  // If lastRowCheckedIndex is between 0 and number of rows in spreadsheet
-  // (not inclusive) then we can ignore all rows up to lastRowCheckedIndex.
-  if (lastRowCheckedIndex > 0 &&
-      lastRowCheckedIndex < spreadsheetRowsAndReport.length) {
-    spreadsheetRowsAndReport.splice(0, lastRowCheckedIndex);
+
+  return [spreadsheetRow.getString('customerId'),
+          spreadsheetRow.getString('adGroupId'), staId].join('|');
+}
+
+
+/**
+ * Finds the primary row of each STA. A STA may have several rows, one per
+ * ETA variant: the first row holds the STA's status and labels, the other
+ * rows only hold an ETA.
+ *
+ * @param {Array<Object>} spreadsheetRowsAndReport Rows and reports, as
+ *     returned by `getReportWithSpreadsheetRows` and ordered by row index.
+ *
+ * @return {Object} The primary row of each STA, indexed by `getSTAKey`.
+ */
+function getPrimarySTARows(spreadsheetRowsAndReport) {
+  var primaryRows = {};
+
+  spreadsheetRowsAndReport.forEach(function(spreadsheetRowAndReport) {
+    var staKey = getSTAKey(spreadsheetRowAndReport.row);
+    if (staKey !== null && !(staKey in primaryRows)) {
+      primaryRows[staKey] = spreadsheetRowAndReport.row;
+    }
+  });
+
+  return primaryRows;
+}
+
+
+/**
+ * Splices `spreadsheetRowsAndReport` according to `lastRowCheckedIndex`,
+ * removing rows that were processed in a previous run.
+ *
+ * @param {Array<Object>} spreadsheetRowsAndReport Rows and reports, as
+ *     returned by `getReportWithSpreadsheetRows` and ordered by row index.
+ * @param {number} lastRowCheckedIndex The index, in spreadsheet, of the last
+ *                                     row processed in previous run.
+ */
+function spliceFromLastRowChecked(spreadsheetRowsAndReport,
+                                  lastRowCheckedIndex) {
+  if (isNaN(lastRowCheckedIndex) || lastRowCheckedIndex <= 0) {
+    return;
   }
+
+  // Rows are not necessarily contiguous (rows of other accounts and invalid
+  // rows are left out), so compare with each row's index in spreadsheet.
+  var processedCount = 0;
+  while (processedCount < spreadsheetRowsAndReport.length &&
+         spreadsheetRowsAndReport[processedCount].row.getRowIndex() <=
+         lastRowCheckedIndex) {
+    processedCount++;
+  }
+
+  spreadsheetRowsAndReport.splice(0, processedCount);
 }
 
 
@@ -151,9 +227,22 @@ function isValidForETACreation(etaObj) {
                              ' [Required]');
   }
 
+  returnObject.errors = returnObject.errors.concat(
+      validateETAUrls(etaObj.finalURLs, 'finalUrl'));
+
+  // ETAs take a single final URL and mobile final URL, as do the
+  // `withFinalUrl` and `withMobileFinalUrl` methods of their builder. Rows
+  // listing more are rejected rather than created with some URLs dropped.
   if (etaObj.finalURLs && etaObj.finalURLs.length > 1) {
-    returnObject.errors.push('Failed to create ETA: finalUrl supports only a' +
-                             ' single URL');
+    returnObject.errors.push('Failed to create ETA: finalUrl lists ' +
+                             etaObj.finalURLs.length + ' URLs, ETAs take ' +
+                             'a single final URL.');
+  }
+
+  if (etaObj.mobileFinalURLs && etaObj.mobileFinalURLs.length > 1) {
+    returnObject.errors.push('Failed to create ETA: mobileFinalUrl lists ' +
+                             etaObj.mobileFinalURLs.length + ' URLs, ETAs ' +
+                             'take a single mobile final URL.');
   }
 
   if (!etaObj.headline1) {
@@ -180,15 +269,26 @@ function isValidForETACreation(etaObj) {
   * - customParameters
   */
 
+  // Keyword insertion, ad customizers and IF functions must be well formed,
+  // see `parseDynamicText`.
+  DYNAMIC_TEXT_FIELDS.forEach(function(fieldName) {
+    if (!etaObj[fieldName]) {
+      return;
+    }
+
+    parseDynamicText(etaObj[fieldName]).errors.forEach(function(error) {
+      returnObject.errors.push('Failed to create ETA: ' + fieldName + ' ' +
+                               error);
+    });
+  });
+
   if (etaObj.path2 && !etaObj.path1) {
     returnObject.errors.push('Failed to create ETA: path1 is missing. Setting' +
                              ' path2 requires path1 to be set');
   }
 
-  if (etaObj.mobileFinalURLs && etaObj.mobileFinalURLs.length > 1) {
-    returnObject.errors.push('Failed to create ETA: mobileFinalURL supports' +
-                             ' only a single URL');
-  }
+  returnObject.errors = returnObject.errors.concat(
+      validateETAUrls(etaObj.mobileFinalURLs, 'mobileFinalUrl'));
 
   if (!isValidParamsObject(etaObj.customParameters,
                            ['string'],
@@ -249,7 +349,9 @@ function parseETA(spreadsheetRow) {
  *                  were encountered then 'ad' will contain an Ad object of
  *                  newly created Ad, and 'errors' will be an empty array.
  *                  Otherwise, if an error was encountered then 'error' will be
- *                  an array of strings and 'ad' will be null.
+ *                  an array of strings and 'ad' will be null. In dry-run mode
+ *                  no Ad is created, and a valid ETA is indicated by a
+ *                  `planned` attribute set to true.
  */
 function createETA(spreadsheetRow) {
   var etaObj;
@@ -266,6 +368,11 @@ function createETA(spreadsheetRow) {
 
   var returnObject = isValidForETACreation(etaObj);
 
+  // Catch ads that AdWords would reject before calling the API.
+  returnObject.errors = returnObject.errors.concat(
+      validateETAFields(etaObj, CONFIG.etaFieldLimits,
+                        CONFIG.etaValidation.disabledRules));
+
   // Retrieve parent Campaign to check if campaign exists.
   var campaignIterator = AdWordsApp.campaigns()
       .withIds([etaObj.campaignId])
@@ -290,7 +397,10 @@ function createETA(spreadsheetRow) {
 
   var adGroup = adGroupIterator.next();
 
-  if (returnObject.errors.length === 0) {
+  if (returnObject.errors.length === 0 && IS_DRY_RUN) {
+    // In dry-run mode, stop once the ETA is known to be valid.
+    returnObject.planned = true;
+  } else if (returnObject.errors.length === 0) {
     try {
       var adBuilder = adGroup.newAd().expandedTextAdBuilder()
           .withHeadlinePart1(etaObj.headline1)
@@ -385,13 +495,18 @@ function createLabel(labelName) {
  *
  * @param {?number} adId An id of an Ad.
  * @param {?number} adGroupId An id of an AdGroup.
+ * @param {?number=} rowIndex The index, in spreadsheet, of the row holding
+ *                            the Ad. Only needed when it differs from the row
+ *                            the change struct is saved for, such as an ETA
+ *                            variant.
  *
  * @constructor
  */
-function AdChange(adId, adGroupId) {
+function AdChange(adId, adGroupId, rowIndex) {
   this.structure = {
     adId: null,
-    adGroupId: null
+    adGroupId: null,
+    rowIndex: null
   };
 
   this.structure.adId = null;
@@ -402,6 +517,10 @@ function AdChange(adId, adGroupId) {
     this.structure.adGroupId = adGroupId;
   }
 
+  if (!isEmpty(rowIndex)) {
+    this.structure.rowIndex = rowIndex;
+  }
+
   this.structure.changes = [];
 }
 
@@ -458,3 +577,72 @@ AdChange.prototype.resetChanges = function() {
   this.structure.changes = [];
   this.structure.created = false;
 };
+
+
+/**
+ * Flattens the change structs tracked during a sync into one record per
+ * change. A newly created Ad is recorded as a change of the `created` field.
+ *
+ * @param {Array<{customerId: string,
+ *                rowIndex: number,
+ *                sta: Object,
+ *                eta: Array<Object>}>} allChanges The change structs tracked
+ *                                      by `AdChange` for each STA, with one
+ *                                      ETA change struct per variant.
+ *
+ * @return {Array<{customerId: string,
+ *                 rowIndex: number,
+ *                 adType: string,
+ *                 adId: ?number,
+ *                 adGroupId: ?number,
+ *                 fieldName: string,
+ *                 oldValue: (string|Array<string>),
+ *                 newValue: (string|Array<string>)}>} The change records, in
+ *                                                     the order tracked.
+ */
+function flattenChanges(allChanges) {
+  var records = [];
+
+  allChanges.forEach(function(change) {
+    /**
+     * Appends a record for each change in a change struct.
+     *
+     * @param {string} adType Either 'STA' or 'ETA'.
+     * @param {Object} struct A change struct, see `AdChange`.
+     */
+    function _flatten(adType, struct) {
+      function _record(fieldName, oldValue, newValue) {
+        records.push({
+          customerId: change.customerId,
+          rowIndex: isEmpty(struct.rowIndex) ? change.rowIndex :
+                                               struct.rowIndex,
+          adType: adType,
+          adId: struct.adId,
+          adGroupId: struct.adGroupId,
+          fieldName: fieldName,
+          oldValue: oldValue,
+          newValue: newValue
+        });
+      }
+
+      if (struct.created) {
+        _record('created', '', '');
+      }
+
+      struct.changes.forEach(function(fieldChange) {
+        _record(fieldChange.fieldName, fieldChange.oldValue,
+                fieldChange.newValue);
+      });
+    }
+
+    if (change.sta) {
+      _flatten('STA', change.sta);
+    }
+
+    if (change.eta) {
+      change.eta.forEach(compose(_flatten, 'ETA'));
+    }
+  });
+
+  return records;
+}
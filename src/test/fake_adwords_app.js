@@ -0,0 +1,1276 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+/////////////////////////// FAKE ADWORDS APP /////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// An in-memory fake of the AdWordsApp and MccApp services, covering the
+// reports, selectors, ad builders and labels used by the script. Accounts are
+// described by a fixture:
+//
+// {
+//   mcc: {customerId: '111-111-1111', name: 'MCC'},  // Optional.
+//   accounts: [{
+//     customerId: '123-456-7890',
+//     name: 'Account',
+//     timeZone: 'America/New_York',
+//     campaigns: [{id: 1, name: 'Campaign', status: 'ENABLED'}],
+//     adGroups: [{id: 10, campaignId: 1, name: 'AdGroup', status: 'ENABLED'}],
+//     ads: [{id: 100, adGroupId: 10, type: 'TEXT_AD', status: 'ENABLED',
+//            headline: 'Headline', description1: '...', description2: '...',
+//            displayUrl: 'example.com', finalUrls: ['http://example.com'],
+//            labels: ['label'], impressions: 100, clicks: 5}],
+//     labels: ['label']
+//   }],
+//   isPreview: false,
+//   remainingTime: 1800,     // Seconds, see `getExecutionInfo`.
+//   remainingTimeStep: 0     // Seconds consumed by each remaining time check.
+// }
+//
+// Every change made to an account is recorded in `FakeAdWords.mutations`.
+
+'use strict';
+
+
+/**
+ * Field limits enforced when building expanded text ads.
+ * @type {Object}
+ */
+var ETA_LIMITS = {
+  headlinePart1: 30,
+  headlinePart2: 30,
+  description: 80,
+  path1: 15,
+  path2: 15
+};
+
+
+/**
+ * Builds an iterator over `items`, like the ones returned by selectors.
+ *
+ * @param {Array<Object>} items
+ *
+ * @return {{hasNext: function(): boolean,
+ *           next: function(): Object,
+ *           totalNumEntities: function(): number}}
+ */
+function createIterator(items) {
+  var index = 0;
+
+  return {
+    hasNext: function() {
+      return index < items.length;
+    },
+    next: function() {
+      if (index >= items.length) {
+        throw 'No more entities in iterator.';
+      }
+      return items[index++];
+    },
+    totalNumEntities: function() {
+      return items.length;
+    }
+  };
+}
+
+
+/**
+ * Normalizes an enum value, so that display values ('Expanded text ad') and
+ * API values ('EXPANDED_TEXT_AD') compare equal.
+ *
+ * @param {*} value
+ *
+ * @return {string}
+ */
+function normalizeEnum(value) {
+  return String(value).trim().toUpperCase().replace(/ /g, '_');
+}
+
+
+/**
+ * Formats a list for a report: a JSON array, or '--' if empty.
+ *
+ * @param {Array<string>} list
+ *
+ * @return {string}
+ */
+function formatReportList(list) {
+  return (list && list.length > 0) ? JSON.stringify(list) : '--';
+}
+
+
+/**
+ * Formats a text field for a report: '--' if empty.
+ *
+ * @param {?string} text
+ *
+ * @return {string}
+ */
+function formatReportText(text) {
+  return (text === undefined || text === null || text === '') ?
+      '--' : String(text);
+}
+
+
+/**
+ * Parses a single AWQL condition, such as 'Status IN [ENABLED, PAUSED]'. List
+ * values are parsed as arrays of strings.
+ *
+ * @param {string} condition
+ *
+ * @return {{field: string, operator: string, value: *}}
+ * @throws {string}
+ */
+function parseCondition(condition) {
+  var match = condition.trim().match(
+      /^(\w+)\s*(=|!=|>=|<=|>|<|NOT_IN\b|IN\b|CONTAINS\w*)\s*(.+)$/i);
+  if (!match) {
+    throw 'Unsupported condition: ' + condition;
+  }
+
+  var operator = match[2].toUpperCase();
+  var value = match[3].trim();
+
+  if (/^\[.*\]$/.test(value)) {
+    value = value.replace(/^\[|\]$/g, '').split(',').map(function(item) {
+      return item.trim().replace(/^["']|["']$/g, '');
+    });
+  } else {
+    value = value.replace(/^["']|["']$/g, '');
+  }
+
+  return {field: match[1], operator: operator, value: value};
+}
+
+
+/**
+ * Evaluates a parsed condition against a value. Numbers are compared as
+ * numbers, other values as enums.
+ *
+ * @param {{operator: string, value: *}} condition
+ * @param {*} actual
+ *
+ * @return {boolean}
+ */
+function matchesCondition(condition, actual) {
+  var expected = condition.value;
+
+  switch (condition.operator) {
+    case 'IN':
+      return expected.map(normalizeEnum).indexOf(normalizeEnum(actual)) !== -1;
+    case 'NOT_IN':
+      return expected.map(normalizeEnum).indexOf(normalizeEnum(actual)) === -1;
+    case 'CONTAINS':
+      return String(actual).indexOf(expected) !== -1;
+    case 'CONTAINS_IGNORE_CASE':
+      return String(actual).toLowerCase()
+          .indexOf(expected.toLowerCase()) !== -1;
+    case 'CONTAINS_ANY':
+      return (actual || []).some(function(item) {
+        return expected.indexOf(item) !== -1;
+      });
+    case 'CONTAINS_NONE':
+      return !(actual || []).some(function(item) {
+        return expected.indexOf(item) !== -1;
+      });
+    case '>':
+      return Number(actual) > Number(expected);
+    case '>=':
+      return Number(actual) >= Number(expected);
+    case '<':
+      return Number(actual) < Number(expected);
+    case '<=':
+      return Number(actual) <= Number(expected);
+    case '=':
+      return normalizeEnum(actual) === normalizeEnum(expected);
+    case '!=':
+      return normalizeEnum(actual) !== normalizeEnum(expected);
+  }
+
+  return false;
+}
+
+
+/**
+ * Parses an AWQL query. Only the clauses used by the script are supported:
+ * SELECT, FROM, WHERE (conditions joined by AND) and DURING.
+ *
+ * @param {string} query
+ *
+ * @return {{fields: Array<string>,
+ *           from: string,
+ *           conditions: Array<Object>,
+ *           during: ?string}}
+ * @throws {string}
+ */
+function parseQuery(query) {
+  var match = query.replace(/\s+/g, ' ').match(
+      /^\s*SELECT (.+?) FROM (\w+)(?: WHERE (.+?))?(?: DURING (.+?))?\s*$/i);
+  if (!match) {
+    throw 'Unsupported AWQL query: ' + query;
+  }
+
+  return {
+    fields: match[1].split(',').map(function(field) {
+      return field.trim();
+    }),
+    from: match[2],
+    conditions: match[3] ?
+        match[3].split(/ AND /i).map(parseCondition) : [],
+    during: match[4] || null
+  };
+}
+
+
+/**
+ * Formats a date as YYYY-MM-DD, as in report rows segmented by date.
+ *
+ * @param {Date} date
+ *
+ * @return {string}
+ */
+function formatReportDate(date) {
+  return date.toISOString().substring(0, 10);
+}
+
+
+/**
+ * Report fields of ads, computed from an ad, its ad group and campaign. Values
+ * are raw (enums and numbers) and formatted for display by `REPORT_DISPLAY`.
+ * @type {Object}
+ */
+var AD_REPORT_FIELDS = {
+  CampaignId: function(ad, adGroup, campaign) { return campaign.id; },
+  CampaignName: function(ad, adGroup, campaign) { return campaign.name; },
+  CampaignStatus: function(ad, adGroup, campaign) { return campaign.status; },
+  AdGroupId: function(ad, adGroup) { return adGroup.id; },
+  AdGroupName: function(ad, adGroup) { return adGroup.name; },
+  AdGroupStatus: function(ad, adGroup) { return adGroup.status; },
+  Id: function(ad) { return ad.id; },
+  AdType: function(ad) { return ad.type; },
+  Status: function(ad) { return ad.status; },
+  CreativeApprovalStatus: function(ad) { return ad.approvalStatus; },
+  Headline: function(ad) { return ad.headline; },
+  Description1: function(ad) { return ad.description1; },
+  Description2: function(ad) { return ad.description2; },
+  DisplayUrl: function(ad) { return ad.displayUrl; },
+  HeadlinePart1: function(ad) { return ad.headlinePart1; },
+  HeadlinePart2: function(ad) { return ad.headlinePart2; },
+  Description: function(ad) { return ad.description; },
+  Path1: function(ad) { return ad.path1; },
+  Path2: function(ad) { return ad.path2; },
+  CreativeFinalUrls: function(ad) { return ad.finalUrls; },
+  CreativeFinalMobileUrls: function(ad) { return ad.mobileFinalUrls; },
+  CreativeTrackingUrlTemplate: function(ad) { return ad.trackingTemplate; },
+  CreativeUrlCustomParameters: function(ad) { return ad.customParameters; },
+  Labels: function(ad) { return ad.labelNames; },
+  Impressions: function(ad) { return ad.impressions; },
+  Clicks: function(ad) { return ad.clicks; },
+  Ctr: function(ad) {
+    return ad.impressions > 0 ? ad.clicks / ad.impressions : 0;
+  },
+  Conversions: function(ad) { return ad.conversions; },
+  AllConversions: function(ad) { return ad.conversions; },
+  ConversionValue: function(ad) { return ad.conversionValue; },
+  Cost: function(ad) { return ad.cost; }
+};
+
+
+/**
+ * Report fields of ad groups, aggregated from their ads.
+ * @type {Object}
+ */
+var ADGROUP_REPORT_FIELDS = {
+  CampaignId: AD_REPORT_FIELDS.CampaignId,
+  CampaignName: AD_REPORT_FIELDS.CampaignName,
+  CampaignStatus: AD_REPORT_FIELDS.CampaignStatus,
+  AdGroupId: AD_REPORT_FIELDS.AdGroupId,
+  AdGroupName: AD_REPORT_FIELDS.AdGroupName,
+  AdGroupStatus: AD_REPORT_FIELDS.AdGroupStatus,
+  Impressions: AD_REPORT_FIELDS.Impressions,
+  Clicks: AD_REPORT_FIELDS.Clicks,
+  Ctr: AD_REPORT_FIELDS.Ctr,
+  Conversions: AD_REPORT_FIELDS.Conversions,
+  ConversionValue: AD_REPORT_FIELDS.ConversionValue,
+  Cost: AD_REPORT_FIELDS.Cost
+};
+
+
+/**
+ * Display format of report values, as returned by `ReportRow`. Fields not
+ * listed are returned as strings, empty if not set: ad text of the other ad
+ * type is blank, while empty paths, URLs and labels are shown as '--'.
+ * @type {Object}
+ */
+var REPORT_DISPLAY = {
+  CampaignStatus: function(value) { return value.toLowerCase(); },
+  AdGroupStatus: function(value) { return value.toLowerCase(); },
+  Status: function(value) { return value.toLowerCase(); },
+  AdType: function(value) {
+    return value === 'EXPANDED_TEXT_AD' ? 'Expanded text ad' : 'Text ad';
+  },
+  CreativeApprovalStatus: function(value) {
+    return value.toLowerCase().replace(/_/g, ' ');
+  },
+  Path1: formatReportText,
+  Path2: formatReportText,
+  CreativeFinalUrls: formatReportList,
+  CreativeFinalMobileUrls: formatReportList,
+  CreativeTrackingUrlTemplate: formatReportText,
+  CreativeUrlCustomParameters: function(value) {
+    return value ? JSON.stringify(value) : '--';
+  },
+  Labels: formatReportList,
+  Ctr: function(value) { return (value * 100).toFixed(2) + '%'; },
+  Cost: function(value) { return Number(value).toFixed(2); }
+};
+
+
+
+/**
+ * An in-memory ad, exposing the AdWordsApp.Ad methods used by the script.
+ *
+ * @param {FakeAdWords} adWords The fake holding the ad.
+ * @param {FakeAccount} account The account holding the ad.
+ * @param {Object} data The ad, as described in the fixture.
+ *
+ * @constructor
+ */
+function FakeAd(adWords, account, data) {
+  this.adWords_ = adWords;
+  this.account_ = account;
+
+  this.id = data.id;
+  this.adGroupId = data.adGroupId;
+  this.type = data.type || 'TEXT_AD';
+  this.status = data.status || 'ENABLED';
+  this.approvalStatus = data.approvalStatus || 'APPROVED';
+
+  this.headline = data.headline || '';
+  this.description1 = data.description1 || '';
+  this.description2 = data.description2 || '';
+  this.displayUrl = data.displayUrl || '';
+
+  this.headlinePart1 = data.headlinePart1 || '';
+  this.headlinePart2 = data.headlinePart2 || '';
+  this.description = data.description || '';
+  this.path1 = data.path1 || '';
+  this.path2 = data.path2 || '';
+
+  this.finalUrls = (data.finalUrls || []).slice();
+  this.mobileFinalUrls = (data.mobileFinalUrls || []).slice();
+  this.trackingTemplate = data.trackingTemplate || '';
+  this.customParameters = data.customParameters || null;
+  this.labelNames = (data.labels || []).slice();
+
+  this.impressions = data.impressions || 0;
+  this.clicks = data.clicks || 0;
+  this.conversions = data.conversions || 0;
+  this.conversionValue = data.conversionValue || 0;
+  this.cost = data.cost || 0;
+
+  // The number of days the ad had impressions on, for reports segmented by
+  // date.
+  this.daysServed = data.daysServed !== undefined ? data.daysServed :
+                                                    (this.impressions ? 1 : 0);
+}
+
+
+/**
+ * Records a change to this ad, unless running in preview mode.
+ *
+ * @param {string} type The type of change.
+ * @param {Object=} details
+ *
+ * @return {boolean} Whether the change should be applied.
+ * @private
+ */
+FakeAd.prototype.mutate_ = function(type, details) {
+  if (this.adWords_.isPreview) {
+    return false;
+  }
+
+  var mutation = {
+    type: type,
+    customerId: this.account_.customerId,
+    adGroupId: this.adGroupId,
+    adId: this.id
+  };
+  Object.keys(details || {}).forEach(function(key) {
+    mutation[key] = details[key];
+  });
+
+  this.adWords_.mutations.push(mutation);
+  return true;
+};
+
+FakeAd.prototype.getId = function() {
+  return this.id;
+};
+
+FakeAd.prototype.getType = function() {
+  return this.type;
+};
+
+FakeAd.prototype.isEnabled = function() {
+  return this.status === 'ENABLED';
+};
+
+FakeAd.prototype.isPaused = function() {
+  return this.status === 'PAUSED';
+};
+
+FakeAd.prototype.enable = function() {
+  if (this.mutate_('enable')) {
+    this.status = 'ENABLED';
+  }
+};
+
+FakeAd.prototype.pause = function() {
+  if (this.mutate_('pause')) {
+    this.status = 'PAUSED';
+  }
+};
+
+FakeAd.prototype.remove = function() {
+  if (this.mutate_('remove')) {
+    this.status = 'DISABLED';
+  }
+};
+
+FakeAd.prototype.getApprovalStatus = function() {
+  return this.approvalStatus;
+};
+
+FakeAd.prototype.labels = function() {
+  var self = this;
+
+  return {
+    get: function() {
+      return createIterator(self.labelNames.map(function(labelName) {
+        return self.account_.getLabel(labelName);
+      }));
+    }
+  };
+};
+
+FakeAd.prototype.applyLabel = function(labelName) {
+  if (!this.account_.getLabel(labelName)) {
+    throw 'Label with name "' + labelName + '" not found.';
+  }
+
+  if (this.labelNames.indexOf(labelName) === -1 &&
+      this.mutate_('applyLabel', {labelName: labelName})) {
+    this.labelNames.push(labelName);
+  }
+};
+
+FakeAd.prototype.removeLabel = function(labelName) {
+  var index = this.labelNames.indexOf(labelName);
+  if (index !== -1 && this.mutate_('removeLabel', {labelName: labelName})) {
+    this.labelNames.splice(index, 1);
+  }
+};
+
+
+
+/**
+ * Builds expanded text ads in an ad group, like
+ * `AdGroup.newAd().expandedTextAdBuilder()`.
+ *
+ * @param {FakeAdWords} adWords
+ * @param {FakeAccount} account
+ * @param {Object} adGroup The ad group to build the ad in.
+ *
+ * @constructor
+ */
+function FakeExpandedTextAdBuilder(adWords, account, adGroup) {
+  this.adWords_ = adWords;
+  this.account_ = account;
+  this.adGroup_ = adGroup;
+  this.fields_ = {};
+}
+
+[['withHeadlinePart1', 'headlinePart1'],
+ ['withHeadlinePart2', 'headlinePart2'],
+ ['withDescription', 'description'],
+ ['withPath1', 'path1'],
+ ['withPath2', 'path2'],
+ ['withFinalUrl', 'finalUrl'],
+ ['withMobileFinalUrl', 'mobileFinalUrl'],
+ ['withTrackingTemplate', 'trackingTemplate'],
+ ['withCustomParameters', 'customParameters']].forEach(function(method) {
+  FakeExpandedTextAdBuilder.prototype[method[0]] = function(value) {
+    this.fields_[method[1]] = value;
+    return this;
+  };
+});
+
+
+/**
+ * Validates and creates the ad. In preview mode, the ad is not added to the
+ * account and is given a negative Id.
+ *
+ * @return {{isSuccessful: function(): boolean,
+ *           getErrors: function(): Array<string>,
+ *           getResult: function(): ?FakeAd}}
+ */
+FakeExpandedTextAdBuilder.prototype.build = function() {
+  var fields = this.fields_;
+  var errors = [];
+
+  ['headlinePart1', 'headlinePart2', 'description', 'finalUrl']
+      .forEach(function(field) {
+        if (!fields[field]) {
+          errors.push('RequiredError.REQUIRED: ' + field);
+        }
+      });
+
+  // Keyword insertion and ad customizers count as their default text.
+  Object.keys(ETA_LIMITS).forEach(function(field) {
+    var text = String(fields[field] || '')
+        .replace(/\{[^{}:]*:([^{}]*)\}/g, '$1');
+    if (text.length > ETA_LIMITS[field]) {
+      errors.push('StringLengthError.TOO_LONG: ' + field);
+    }
+  });
+
+  if (fields.path2 && !fields.path1) {
+    errors.push('AdError.PATH1_REQUIRED_WITH_PATH2: path2');
+  }
+
+  if (fields.finalUrl && !/^https?:\/\//.test(fields.finalUrl)) {
+    errors.push('UrlError.INVALID_URL: finalUrl');
+  }
+
+  var ad = null;
+  if (errors.length === 0) {
+    ad = this.account_.createETA(this.adGroup_, fields);
+  }
+
+  return {
+    isSuccessful: function() {
+      return errors.length === 0;
+    },
+    getErrors: function() {
+      return errors;
+    },
+    getResult: function() {
+      return ad;
+    }
+  };
+};
+
+
+
+/**
+ * An in-memory AdWords account.
+ *
+ * @param {FakeAdWords} adWords The fake holding the account.
+ * @param {Object} data The account, as described in the fixture.
+ *
+ * @constructor
+ */
+function FakeAccount(adWords, data) {
+  var self = this;
+
+  this.adWords_ = adWords;
+  this.customerId = data.customerId;
+  this.name = data.name || data.customerId;
+  this.timeZone = data.timeZone || 'America/New_York';
+  this.managerCustomerId = data.managerCustomerId || null;
+
+  this.campaigns = (data.campaigns || []).map(function(campaign) {
+    return {
+      id: campaign.id,
+      name: campaign.name || 'Campaign ' + campaign.id,
+      status: campaign.status || 'ENABLED'
+    };
+  });
+
+  this.adGroups = (data.adGroups || []).map(function(adGroup) {
+    return {
+      id: adGroup.id,
+      campaignId: adGroup.campaignId,
+      name: adGroup.name || 'AdGroup ' + adGroup.id,
+      status: adGroup.status || 'ENABLED'
+    };
+  });
+
+  this.ads = (data.ads || []).map(function(ad) {
+    return new FakeAd(adWords, self, ad);
+  });
+
+  this.labels = [];
+  (data.labels || []).forEach(function(labelName) {
+    self.addLabel_(labelName);
+  });
+
+  this.nextId_ = data.nextId || 900001;
+}
+
+
+/**
+ * Finds an element by Id.
+ *
+ * @param {Array<Object>} items
+ * @param {*} id
+ *
+ * @return {?Object}
+ * @private
+ */
+FakeAccount.prototype.find_ = function(items, id) {
+  for (var i = 0; i < items.length; i++) {
+    if (String(items[i].id) === String(id)) {
+      return items[i];
+    }
+  }
+  return null;
+};
+
+FakeAccount.prototype.getCampaign = function(campaignId) {
+  return this.find_(this.campaigns, campaignId);
+};
+
+FakeAccount.prototype.getAdGroup = function(adGroupId) {
+  return this.find_(this.adGroups, adGroupId);
+};
+
+
+/**
+ * Retrieves an ad.
+ *
+ * @param {*} adGroupId
+ * @param {*} adId
+ *
+ * @return {?FakeAd}
+ */
+FakeAccount.prototype.getAd = function(adGroupId, adId) {
+  for (var i = 0; i < this.ads.length; i++) {
+    if (String(this.ads[i].adGroupId) === String(adGroupId) &&
+        String(this.ads[i].id) === String(adId)) {
+      return this.ads[i];
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Retrieves a label, as an AdWordsApp.Label.
+ *
+ * @param {string} labelName
+ *
+ * @return {?Object}
+ */
+FakeAccount.prototype.getLabel = function(labelName) {
+  for (var i = 0; i < this.labels.length; i++) {
+    if (this.labels[i].getName() === labelName) {
+      return this.labels[i];
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Adds a label to the account.
+ *
+ * @param {string} labelName
+ * @private
+ */
+FakeAccount.prototype.addLabel_ = function(labelName) {
+  var id = this.labels.length + 1;
+  this.labels.push({
+    getId: function() {
+      return id;
+    },
+    getName: function() {
+      return labelName;
+    }
+  });
+};
+
+
+/**
+ * Creates a label, like `AdWordsApp.createLabel`.
+ *
+ * @param {string} labelName
+ */
+FakeAccount.prototype.createLabel = function(labelName) {
+  if (this.getLabel(labelName)) {
+    throw 'Label with name "' + labelName + '" already exists.';
+  }
+
+  if (this.adWords_.isPreview) {
+    return;
+  }
+
+  this.adWords_.mutations.push({
+    type: 'createLabel',
+    customerId: this.customerId,
+    labelName: labelName
+  });
+  this.addLabel_(labelName);
+};
+
+
+/**
+ * Creates an expanded text ad, see `FakeExpandedTextAdBuilder`.
+ *
+ * @param {Object} adGroup
+ * @param {Object} fields
+ *
+ * @return {FakeAd}
+ */
+FakeAccount.prototype.createETA = function(adGroup, fields) {
+  var isPreview = this.adWords_.isPreview;
+
+  var ad = new FakeAd(this.adWords_, this, {
+    id: isPreview ? -this.nextId_ : this.nextId_,
+    adGroupId: adGroup.id,
+    type: 'EXPANDED_TEXT_AD',
+    status: 'ENABLED',
+    approvalStatus: 'UNDER_REVIEW',
+    headlinePart1: fields.headlinePart1,
+    headlinePart2: fields.headlinePart2,
+    description: fields.description,
+    path1: fields.path1,
+    path2: fields.path2,
+    finalUrls: [fields.finalUrl],
+    mobileFinalUrls: fields.mobileFinalUrl ? [fields.mobileFinalUrl] : [],
+    trackingTemplate: fields.trackingTemplate,
+    customParameters: fields.customParameters
+  });
+  this.nextId_++;
+
+  if (!isPreview) {
+    this.ads.push(ad);
+    this.adWords_.mutations.push({
+      type: 'create',
+      customerId: this.customerId,
+      adGroupId: adGroup.id,
+      adId: ad.id
+    });
+  }
+
+  return ad;
+};
+
+
+/**
+ * Wraps an ad group as an AdWordsApp.AdGroup.
+ *
+ * @param {Object} adGroup
+ *
+ * @return {Object}
+ */
+FakeAccount.prototype.wrapAdGroup = function(adGroup) {
+  var self = this;
+
+  return {
+    getId: function() {
+      return adGroup.id;
+    },
+    getName: function() {
+      return adGroup.name;
+    },
+    isEnabled: function() {
+      return adGroup.status === 'ENABLED';
+    },
+    newAd: function() {
+      return {
+        expandedTextAdBuilder: function() {
+          return new FakeExpandedTextAdBuilder(self.adWords_, self, adGroup);
+        }
+      };
+    }
+  };
+};
+
+
+/**
+ * Wraps a campaign as an AdWordsApp.Campaign.
+ *
+ * @param {Object} campaign
+ *
+ * @return {Object}
+ */
+FakeAccount.prototype.wrapCampaign = function(campaign) {
+  return {
+    getId: function() {
+      return campaign.id;
+    },
+    getName: function() {
+      return campaign.name;
+    },
+    isEnabled: function() {
+      return campaign.status === 'ENABLED';
+    }
+  };
+};
+
+
+/**
+ * Wraps the account as an AdWordsApp.Account or MccApp.ManagedAccount.
+ *
+ * @return {Object}
+ */
+FakeAccount.prototype.wrap = function() {
+  var self = this;
+
+  return {
+    getCustomerId: function() {
+      return self.customerId;
+    },
+    getName: function() {
+      return self.name;
+    },
+    getTimeZone: function() {
+      return self.timeZone;
+    },
+    getCurrencyCode: function() {
+      return 'USD';
+    }
+  };
+};
+
+
+/**
+ * Runs a report query against the account, like `AdWordsApp.report`.
+ *
+ * @param {string} query An AWQL query.
+ * @param {{includeZeroImpressions: boolean}=} options
+ *
+ * @return {{rows: function(): Object}}
+ * @throws {string}
+ */
+FakeAccount.prototype.report = function(query, options) {
+  var self = this;
+  var parsed = parseQuery(query);
+  var includeZeroImpressions = !!(options && options.includeZeroImpressions);
+
+  var reportFields;
+  var entities;
+  switch (parsed.from) {
+    case 'AD_PERFORMANCE_REPORT':
+      reportFields = AD_REPORT_FIELDS;
+      entities = this.ads;
+      break;
+    case 'ADGROUP_PERFORMANCE_REPORT':
+      reportFields = ADGROUP_REPORT_FIELDS;
+      entities = this.adGroups.map(function(adGroup) {
+        return self.aggregateAdGroup_(adGroup);
+      });
+      break;
+    default:
+      throw 'Unsupported report: ' + parsed.from;
+  }
+
+  var segmentByDate = parsed.fields.indexOf('Date') !== -1;
+  parsed.fields.concat(parsed.conditions.map(function(condition) {
+    return condition.field;
+  })).forEach(function(field) {
+    if (field !== 'Date' && !(field in reportFields)) {
+      throw 'Invalid field ' + field + ' in ' + parsed.from;
+    }
+  });
+
+  var rows = [];
+  entities.forEach(function(entity) {
+    var adGroup = self.getAdGroup(entity.adGroupId || entity.id);
+    var campaign = adGroup && self.getCampaign(adGroup.campaignId);
+    if (!adGroup || !campaign) {
+      return;
+    }
+
+    self.segment_(entity, segmentByDate).forEach(function(segment) {
+      var raw = {};
+      Object.keys(reportFields).forEach(function(field) {
+        raw[field] = reportFields[field](segment.entity, adGroup, campaign);
+      });
+      raw.Date = segment.date;
+
+      if (!includeZeroImpressions && !raw.Impressions) {
+        return;
+      }
+
+      // Conditions on Date are only used to bound reports, ignore them.
+      var matches = parsed.conditions.every(function(condition) {
+        return condition.field === 'Date' ||
+               matchesCondition(condition, raw[condition.field]);
+      });
+      if (!matches) {
+        return;
+      }
+
+      var row = {};
+      parsed.fields.forEach(function(field) {
+        var value = raw[field];
+        if (REPORT_DISPLAY[field]) {
+          row[field] = REPORT_DISPLAY[field](value);
+        } else {
+          row[field] = (value === undefined || value === null) ?
+              '' : String(value);
+        }
+      });
+      rows.push(row);
+    });
+  });
+
+  return {
+    rows: function() {
+      return createIterator(rows.slice());
+    }
+  };
+};
+
+
+/**
+ * Splits an ad into one segment per day served, if the report is segmented by
+ * date. Metrics are spread evenly across days.
+ *
+ * @param {Object} entity An ad or aggregated ad group.
+ * @param {boolean} segmentByDate
+ *
+ * @return {Array<{entity: Object, date: ?string}>}
+ * @private
+ */
+FakeAccount.prototype.segment_ = function(entity, segmentByDate) {
+  if (!segmentByDate) {
+    return [{entity: entity, date: null}];
+  }
+
+  var days = entity.daysServed || 0;
+  var segments = [];
+  for (var day = 0; day < days; day++) {
+    var segment = Object.create(entity);
+    ['impressions', 'clicks', 'conversions', 'conversionValue', 'cost']
+        .forEach(function(metric) {
+          var share = Math.floor(entity[metric] / days);
+          segment[metric] = (day === 0) ?
+              entity[metric] - share * (days - 1) : share;
+        });
+
+    segments.push({
+      entity: segment,
+      date: formatReportDate(new Date(Date.UTC(2016, 7, 1 + day)))
+    });
+  }
+
+  return segments;
+};
+
+
+/**
+ * Sums the metrics of an ad group's ads.
+ *
+ * @param {Object} adGroup
+ *
+ * @return {Object}
+ * @private
+ */
+FakeAccount.prototype.aggregateAdGroup_ = function(adGroup) {
+  var aggregate = {
+    id: adGroup.id,
+    impressions: 0,
+    clicks: 0,
+    conversions: 0,
+    conversionValue: 0,
+    cost: 0,
+    daysServed: 0
+  };
+
+  this.ads.forEach(function(ad) {
+    if (String(ad.adGroupId) !== String(adGroup.id)) {
+      return;
+    }
+
+    ['impressions', 'clicks', 'conversions', 'conversionValue', 'cost']
+        .forEach(function(metric) {
+          aggregate[metric] += ad[metric];
+        });
+    aggregate.daysServed = Math.max(aggregate.daysServed, ad.daysServed);
+  });
+
+  return aggregate;
+};
+
+
+/**
+ * Builds a selector, like `AdWordsApp.ads()`.
+ *
+ * @param {function(): Array<Object>} getItems Returns the entities selected
+ *     before conditions are applied.
+ * @param {function(Object, Array): boolean} matchesIds Whether an entity has
+ *     one of the Ids given to `withIds`.
+ * @param {function(Object, Object): boolean} matchesCondition Whether an
+ *     entity matches a parsed condition.
+ * @param {function(Object): Object} wrap Wraps an entity for the script.
+ *
+ * @return {Object}
+ */
+function createSelector(getItems, matchesIds, matchesCondition, wrap) {
+  var ids = null;
+  var conditions = [];
+
+  var selector = {
+    withIds: function(newIds) {
+      ids = newIds;
+      return selector;
+    },
+    withCondition: function(condition) {
+      conditions.push(parseCondition(condition));
+      return selector;
+    },
+    get: function() {
+      var items = getItems().filter(function(item) {
+        return (ids === null || matchesIds(item, ids)) &&
+               conditions.every(function(condition) {
+                 return matchesCondition(item, condition);
+               });
+      });
+
+      return createIterator(items.map(wrap));
+    }
+  };
+
+  return selector;
+}
+
+
+
+/**
+ * Holds the fake accounts and builds the AdWordsApp and MccApp services.
+ *
+ * @param {Object} fixture Accounts and execution settings, see above.
+ *
+ * @constructor
+ */
+function FakeAdWords(fixture) {
+  var self = this;
+
+  this.isPreview = !!fixture.isPreview;
+  this.remainingTime = fixture.remainingTime !== undefined ?
+      fixture.remainingTime : 1800;
+  this.remainingTimeStep = fixture.remainingTimeStep || 0;
+
+  // Changes made to accounts, in order.
+  this.mutations = [];
+
+  this.accounts = (fixture.accounts || []).map(function(data) {
+    return new FakeAccount(self, data);
+  });
+
+  this.mcc = fixture.mcc ? new FakeAccount(self, fixture.mcc) : null;
+  this.current = this.mcc || this.accounts[0];
+
+  if (!this.current) {
+    throw 'A fixture must have at least one account.';
+  }
+}
+
+
+/**
+ * Retrieves an account by customer Id.
+ *
+ * @param {string} customerId
+ *
+ * @return {?FakeAccount}
+ */
+FakeAdWords.prototype.getAccount = function(customerId) {
+  if (this.mcc && this.mcc.customerId === customerId) {
+    return this.mcc;
+  }
+
+  for (var i = 0; i < this.accounts.length; i++) {
+    if (this.accounts[i].customerId === customerId) {
+      return this.accounts[i];
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Builds the AdWordsApp service, operating on the selected account.
+ *
+ * @return {Object}
+ */
+FakeAdWords.prototype.createAdWordsApp = function() {
+  var self = this;
+
+  function _account() {
+    return self.current;
+  }
+
+  return {
+    currentAccount: function() {
+      return _account().wrap();
+    },
+
+    getExecutionInfo: function() {
+      return {
+        isPreview: function() {
+          return self.isPreview;
+        },
+        getRemainingTime: function() {
+          var remainingTime = self.remainingTime;
+          self.remainingTime = Math.max(0,
+              self.remainingTime - self.remainingTimeStep);
+          return remainingTime;
+        }
+      };
+    },
+
+    report: function(query, options) {
+      return _account().report(query, options);
+    },
+
+    ads: function() {
+      return createSelector(
+          function() {
+            return _account().ads.filter(function(ad) {
+              return ad.status !== 'DISABLED';
+            });
+          },
+          function(ad, ids) {
+            return ids.some(function(id) {
+              return String(id[0]) === String(ad.adGroupId) &&
+                     String(id[1]) === String(ad.id);
+            });
+          },
+          function(ad, condition) {
+            var field = condition.field.charAt(0).toLowerCase() +
+                        condition.field.substring(1);
+            return matchesCondition(condition, ad[field]);
+          },
+          function(ad) {
+            return ad;
+          });
+    },
+
+    adGroups: function() {
+      return createSelector(
+          function() {
+            return _account().adGroups.filter(function(adGroup) {
+              return adGroup.status !== 'REMOVED';
+            });
+          },
+          function(adGroup, ids) {
+            return ids.map(String).indexOf(String(adGroup.id)) !== -1;
+          },
+          function(adGroup, condition) {
+            return matchesCondition(condition,
+                                    condition.field === 'Name' ?
+                                    adGroup.name : adGroup.status);
+          },
+          function(adGroup) {
+            return _account().wrapAdGroup(adGroup);
+          });
+    },
+
+    campaigns: function() {
+      return createSelector(
+          function() {
+            return _account().campaigns.filter(function(campaign) {
+              return campaign.status !== 'REMOVED';
+            });
+          },
+          function(campaign, ids) {
+            return ids.map(String).indexOf(String(campaign.id)) !== -1;
+          },
+          function(campaign, condition) {
+            return matchesCondition(condition,
+                                    condition.field === 'Name' ?
+                                    campaign.name : campaign.status);
+          },
+          function(campaign) {
+            return _account().wrapCampaign(campaign);
+          });
+    },
+
+    labels: function() {
+      return createSelector(
+          function() {
+            return _account().labels;
+          },
+          function(label, ids) {
+            return ids.map(String).indexOf(String(label.getId())) !== -1;
+          },
+          function(label, condition) {
+            // Label names are compared as is, not as enums.
+            return condition.operator === '=' ?
+                label.getName() === condition.value :
+                matchesCondition(condition, label.getName());
+          },
+          function(label) {
+            return label;
+          });
+    },
+
+    createLabel: function(labelName) {
+      _account().createLabel(labelName);
+    }
+  };
+};
+
+
+/**
+ * Builds the MccApp service, or null for a fixture without an MCC account.
+ *
+ * @return {?Object}
+ */
+FakeAdWords.prototype.createMccApp = function() {
+  var self = this;
+  if (!this.mcc) {
+    return null;
+  }
+
+  return {
+    accounts: function() {
+      return createSelector(
+          function() {
+            return self.accounts;
+          },
+          function(account, ids) {
+            return ids.indexOf(account.customerId) !== -1;
+          },
+          function(account, condition) {
+            if (condition.field === 'ManagerCustomerId') {
+              return account.managerCustomerId === condition.value;
+            }
+            return matchesCondition(condition, account.name);
+          },
+          function(account) {
+            return account.wrap();
+          });
+    },
+
+    select: function(account) {
+      var selected = self.getAccount(account.getCustomerId());
+      if (!selected) {
+        throw 'Account ' + account.getCustomerId() + ' is not managed.';
+      }
+      self.current = selected;
+    }
+  };
+};
+
+
+module.exports = {
+  FakeAdWords: FakeAdWords,
+  parseQuery: parseQuery
+};
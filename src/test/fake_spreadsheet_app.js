@@ -0,0 +1,826 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+///////////////////////// FAKE SPREADSHEET APP ///////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// An in-memory fake of the SpreadsheetApp, DriveApp, MailApp, Utilities and
+// Logger services, covering the ranges, sheets and files used by the script.
+//
+// Like Sheets, values are stored as typed: numeric strings become numbers and
+// strings starting with '=' are stored as formulas, whose value is empty.
+
+'use strict';
+
+
+/**
+ * Converts a value written to a cell the way Sheets does.
+ *
+ * @param {*} value
+ *
+ * @return {{value: *, formula: string}}
+ */
+function parseCellInput(value) {
+  if (value === undefined || value === null) {
+    return {value: '', formula: ''};
+  }
+
+  if (typeof value === 'string') {
+    if (value.charAt(0) === '=') {
+      return {value: '', formula: value};
+    }
+
+    if (/^-?\d+(\.\d+)?$/.test(value.trim())) {
+      return {value: Number(value), formula: ''};
+    }
+  }
+
+  return {value: value, formula: ''};
+}
+
+
+/**
+ * Converts a column letter, such as 'A' or 'AB', to a column index.
+ *
+ * @param {string} letters
+ *
+ * @return {number} The index, starting at 1.
+ */
+function columnLettersToIndex(letters) {
+  var index = 0;
+  for (var i = 0; i < letters.length; i++) {
+    index = index * 26 + (letters.charCodeAt(i) - 64);
+  }
+  return index;
+}
+
+
+/**
+ * Parses a range in A1 notation, such as 'A1' or 'B2:D10'.
+ *
+ * @param {string} a1Notation
+ *
+ * @return {{row: number, column: number, numRows: number, numColumns: number}}
+ * @throws {string}
+ */
+function parseA1Notation(a1Notation) {
+  var match = String(a1Notation).toUpperCase()
+      .match(/^([A-Z]+)(\d+)(?::([A-Z]+)(\d+))?$/);
+  if (!match) {
+    throw 'Range not found: ' + a1Notation;
+  }
+
+  var row = Number(match[2]);
+  var column = columnLettersToIndex(match[1]);
+  var lastRow = match[4] ? Number(match[4]) : row;
+  var lastColumn = match[3] ? columnLettersToIndex(match[3]) : column;
+
+  return {
+    row: row,
+    column: column,
+    numRows: lastRow - row + 1,
+    numColumns: lastColumn - column + 1
+  };
+}
+
+
+
+/**
+ * An in-memory range of cells, exposing the Range methods used by the script.
+ *
+ * @param {FakeSheet} sheet
+ * @param {number} row The first row, starting at 1.
+ * @param {number} column The first column, starting at 1.
+ * @param {number} numRows
+ * @param {number} numColumns
+ *
+ * @constructor
+ */
+function FakeRange(sheet, row, column, numRows, numColumns) {
+  if (row < 1 || column < 1 || numRows < 1 || numColumns < 1) {
+    throw 'The coordinates or dimensions of the range are invalid.';
+  }
+
+  this.sheet_ = sheet;
+  this.row_ = row;
+  this.column_ = column;
+  this.numRows_ = numRows;
+  this.numColumns_ = numColumns;
+}
+
+
+/**
+ * Calls `callback` with each cell of the range, creating missing cells.
+ *
+ * @param {function(Object, number, number)} callback Called with the cell and
+ *     its offsets within the range.
+ * @private
+ */
+FakeRange.prototype.forEachCell_ = function(callback) {
+  for (var i = 0; i < this.numRows_; i++) {
+    for (var j = 0; j < this.numColumns_; j++) {
+      callback(this.sheet_.getCell_(this.row_ + i, this.column_ + j), i, j);
+    }
+  }
+};
+
+
+/**
+ * Maps each row of the range.
+ *
+ * @param {function(Object): *} mapCell
+ *
+ * @return {Array<Array<*>>}
+ * @private
+ */
+FakeRange.prototype.map_ = function(mapCell) {
+  var values = [];
+  this.forEachCell_(function(cell, i, j) {
+    values[i] = values[i] || [];
+    values[i][j] = mapCell(cell);
+  });
+  return values;
+};
+
+FakeRange.prototype.getValues = function() {
+  return this.map_(function(cell) {
+    return cell.value;
+  });
+};
+
+FakeRange.prototype.getValue = function() {
+  return this.getValues()[0][0];
+};
+
+FakeRange.prototype.setValues = function(values) {
+  if (!Array.isArray(values) || values.length !== this.numRows_ ||
+      values.some(function(row) {
+        return !Array.isArray(row) || row.length !== this.numColumns_;
+      }, this)) {
+    throw 'Incorrect range dimensions: the data does not match the range ' +
+          'of ' + this.numRows_ + ' rows and ' + this.numColumns_ +
+          ' columns.';
+  }
+
+  this.forEachCell_(function(cell, i, j) {
+    var input = parseCellInput(values[i][j]);
+    cell.value = input.value;
+    cell.formula = input.formula;
+  });
+  return this;
+};
+
+FakeRange.prototype.setValue = function(value) {
+  var input = parseCellInput(value);
+  this.forEachCell_(function(cell) {
+    cell.value = input.value;
+    cell.formula = input.formula;
+  });
+  return this;
+};
+
+FakeRange.prototype.getFormulas = function() {
+  return this.map_(function(cell) {
+    return cell.formula;
+  });
+};
+
+FakeRange.prototype.getFormula = function() {
+  return this.getFormulas()[0][0];
+};
+
+// Formulas are stored as written, in either notation.
+FakeRange.prototype.getFormulaR1C1 = FakeRange.prototype.getFormula;
+
+FakeRange.prototype.getBackgrounds = function() {
+  return this.map_(function(cell) {
+    return cell.background;
+  });
+};
+
+FakeRange.prototype.getBackground = function() {
+  return this.getBackgrounds()[0][0];
+};
+
+FakeRange.prototype.setBackground = function(color) {
+  this.forEachCell_(function(cell) {
+    cell.background = color || '#ffffff';
+  });
+  return this;
+};
+
+FakeRange.prototype.getNote = function() {
+  return this.sheet_.getCell_(this.row_, this.column_).note;
+};
+
+FakeRange.prototype.setNote = function(note) {
+  this.forEachCell_(function(cell) {
+    cell.note = note || '';
+  });
+  return this;
+};
+
+FakeRange.prototype.setNumberFormat = function() {
+  return this;
+};
+
+FakeRange.prototype.clear = function() {
+  this.forEachCell_(function(cell) {
+    cell.value = '';
+    cell.formula = '';
+    cell.background = '#ffffff';
+    cell.note = '';
+  });
+  return this;
+};
+
+FakeRange.prototype.getCell = function(row, column) {
+  if (row > this.numRows_ || column > this.numColumns_) {
+    throw 'Cell reference out of range.';
+  }
+  return new FakeRange(this.sheet_, this.row_ + row - 1,
+                       this.column_ + column - 1, 1, 1);
+};
+
+FakeRange.prototype.offset = function(rowOffset, columnOffset, numRows,
+                                      numColumns) {
+  return new FakeRange(this.sheet_, this.row_ + rowOffset,
+                       this.column_ + columnOffset,
+                       numRows || this.numRows_,
+                       numColumns || this.numColumns_);
+};
+
+FakeRange.prototype.getRow = function() {
+  return this.row_;
+};
+
+FakeRange.prototype.getRowIndex = FakeRange.prototype.getRow;
+
+FakeRange.prototype.getColumn = function() {
+  return this.column_;
+};
+
+FakeRange.prototype.getNumRows = function() {
+  return this.numRows_;
+};
+
+FakeRange.prototype.getNumColumns = function() {
+  return this.numColumns_;
+};
+
+FakeRange.prototype.getLastRow = function() {
+  return this.row_ + this.numRows_ - 1;
+};
+
+FakeRange.prototype.getLastColumn = function() {
+  return this.column_ + this.numColumns_ - 1;
+};
+
+FakeRange.prototype.getSheet = function() {
+  return this.sheet_;
+};
+
+
+
+/**
+ * An in-memory sheet, exposing the Sheet methods used by the script.
+ *
+ * @param {FakeSpreadsheet} spreadsheet The spreadsheet holding the sheet.
+ * @param {string} name
+ *
+ * @constructor
+ */
+function FakeSheet(spreadsheet, name) {
+  this.spreadsheet_ = spreadsheet;
+  this.name_ = name;
+  this.sheetId_ = spreadsheet.nextSheetId_++;
+  this.frozenRows_ = 0;
+
+  // Cells by row and column, both starting at 0. Missing cells are empty.
+  this.cells_ = [];
+}
+
+
+/**
+ * Retrieves a cell, creating it if missing.
+ *
+ * @param {number} row Starting at 1.
+ * @param {number} column Starting at 1.
+ *
+ * @return {{value: *, formula: string, background: string, note: string}}
+ * @private
+ */
+FakeSheet.prototype.getCell_ = function(row, column) {
+  var cells = this.cells_[row - 1] = this.cells_[row - 1] || [];
+  if (!cells[column - 1]) {
+    cells[column - 1] = {value: '', formula: '', background: '#ffffff',
+                         note: ''};
+  }
+  return cells[column - 1];
+};
+
+
+/**
+ * Whether a cell holds a value or formula.
+ *
+ * @param {Object} cell
+ *
+ * @return {boolean}
+ * @private
+ */
+FakeSheet.prototype.hasContent_ = function(cell) {
+  return !!cell && (cell.value !== '' || cell.formula !== '');
+};
+
+FakeSheet.prototype.getRange = function(row, column, numRows, numColumns) {
+  if (typeof row === 'string') {
+    var a1 = parseA1Notation(row);
+    return new FakeRange(this, a1.row, a1.column, a1.numRows, a1.numColumns);
+  }
+
+  return new FakeRange(this, row, column, numRows || 1, numColumns || 1);
+};
+
+FakeSheet.prototype.getLastRow = function() {
+  for (var i = this.cells_.length - 1; i >= 0; i--) {
+    if ((this.cells_[i] || []).some(this.hasContent_)) {
+      return i + 1;
+    }
+  }
+  return 0;
+};
+
+FakeSheet.prototype.getLastColumn = function() {
+  var lastColumn = 0;
+  var self = this;
+  this.cells_.forEach(function(cells) {
+    (cells || []).forEach(function(cell, j) {
+      if (self.hasContent_(cell)) {
+        lastColumn = Math.max(lastColumn, j + 1);
+      }
+    });
+  });
+  return lastColumn;
+};
+
+FakeSheet.prototype.getDataRange = function() {
+  return this.getRange(1, 1, Math.max(this.getLastRow(), 1),
+                       Math.max(this.getLastColumn(), 1));
+};
+
+FakeSheet.prototype.insertRowAfter = function(afterPosition) {
+  this.cells_.splice(afterPosition, 0, []);
+  return this;
+};
+
+FakeSheet.prototype.clear = function() {
+  this.cells_ = [];
+  return this;
+};
+
+FakeSheet.prototype.setFrozenRows = function(rows) {
+  this.frozenRows_ = rows;
+};
+
+FakeSheet.prototype.getFrozenRows = function() {
+  return this.frozenRows_;
+};
+
+FakeSheet.prototype.getName = function() {
+  return this.name_;
+};
+
+FakeSheet.prototype.getSheetId = function() {
+  return this.sheetId_;
+};
+
+FakeSheet.prototype.getParent = function() {
+  return this.spreadsheet_;
+};
+
+FakeSheet.prototype.setName = function(name) {
+  if (this.spreadsheet_.getSheetByName(name)) {
+    throw 'A sheet with the name "' + name + '" already exists.';
+  }
+
+  this.name_ = name;
+  return this;
+};
+
+
+/**
+ * Copies the sheet to the end of a spreadsheet, named 'Copy of <name>'.
+ *
+ * @param {FakeSpreadsheet} spreadsheet
+ *
+ * @return {FakeSheet} The copy.
+ */
+FakeSheet.prototype.copyTo = function(spreadsheet) {
+  var copy = this.copy_(spreadsheet);
+  copy.name_ = 'Copy of ' + this.name_;
+  copy.sheetId_ = spreadsheet.nextSheetId_++;
+  spreadsheet.sheets_.push(copy);
+  return copy;
+};
+
+
+/**
+ * Writes rows of values, starting at a given row. A test helper, not part of
+ * the Sheet API.
+ *
+ * @param {number} row The first row, starting at 1.
+ * @param {Array<Array<*>>} values
+ */
+FakeSheet.prototype.writeRows = function(row, values) {
+  var self = this;
+  values.forEach(function(rowValues, i) {
+    if (rowValues.length > 0) {
+      self.getRange(row + i, 1, 1, rowValues.length).setValues([rowValues]);
+    }
+  });
+};
+
+
+/**
+ * Copies the sheet into another spreadsheet.
+ *
+ * @param {FakeSpreadsheet} spreadsheet
+ *
+ * @return {FakeSheet}
+ * @private
+ */
+FakeSheet.prototype.copy_ = function(spreadsheet) {
+  var copy = new FakeSheet(spreadsheet, this.name_);
+  copy.sheetId_ = this.sheetId_;
+  copy.frozenRows_ = this.frozenRows_;
+  copy.cells_ = this.cells_.map(function(cells) {
+    return (cells || []).map(function(cell) {
+      return cell && {value: cell.value, formula: cell.formula,
+                      background: cell.background, note: cell.note};
+    });
+  });
+  return copy;
+};
+
+
+
+/**
+ * An in-memory spreadsheet, exposing the Spreadsheet methods used by the
+ * script.
+ *
+ * @param {string} id
+ * @param {string} name
+ * @param {string} ownerEmail
+ *
+ * @constructor
+ */
+function FakeSpreadsheet(id, name, ownerEmail) {
+  this.id_ = id;
+  this.name_ = name;
+  this.ownerEmail_ = ownerEmail;
+  this.sheets_ = [];
+  this.protections_ = [];
+
+  // Sheet Ids are unique within a spreadsheet, and kept by copies.
+  this.nextSheetId_ = 0;
+}
+
+FakeSpreadsheet.prototype.getId = function() {
+  return this.id_;
+};
+
+FakeSpreadsheet.prototype.getName = function() {
+  return this.name_;
+};
+
+FakeSpreadsheet.prototype.getUrl = function() {
+  return 'https://docs.google.com/spreadsheets/d/' + this.id_ + '/edit';
+};
+
+FakeSpreadsheet.prototype.getOwner = function() {
+  var email = this.ownerEmail_;
+  return {
+    getEmail: function() {
+      return email;
+    }
+  };
+};
+
+FakeSpreadsheet.prototype.getSheets = function() {
+  return this.sheets_.slice();
+};
+
+FakeSpreadsheet.prototype.getNumSheets = function() {
+  return this.sheets_.length;
+};
+
+FakeSpreadsheet.prototype.getSheetByName = function(name) {
+  for (var i = 0; i < this.sheets_.length; i++) {
+    if (this.sheets_[i].getName() === name) {
+      return this.sheets_[i];
+    }
+  }
+  return null;
+};
+
+FakeSpreadsheet.prototype.insertSheet = function(name, index) {
+  if (this.getSheetByName(name)) {
+    throw 'A sheet with the name "' + name + '" already exists.';
+  }
+
+  var sheet = new FakeSheet(this, name);
+  this.sheets_.splice(index === undefined ? this.sheets_.length : index, 0,
+                      sheet);
+  return sheet;
+};
+
+
+/**
+ * Retrieves protections. Protections are added with `protect`, a test
+ * helper.
+ *
+ * @return {Array<{canEdit: function(): boolean}>}
+ */
+FakeSpreadsheet.prototype.getProtections = function() {
+  return this.protections_.slice();
+};
+
+
+/**
+ * Protects the spreadsheet. A test helper, not part of the Spreadsheet API.
+ *
+ * @param {boolean} canEdit Whether the script's user may edit anyway.
+ */
+FakeSpreadsheet.prototype.protect = function(canEdit) {
+  this.protections_.push({
+    canEdit: function() {
+      return canEdit;
+    }
+  });
+};
+
+
+/**
+ * Copies the spreadsheet and all its sheets.
+ *
+ * @param {string} id The Id of the copy.
+ * @param {string} name The name of the copy.
+ *
+ * @return {FakeSpreadsheet}
+ * @private
+ */
+FakeSpreadsheet.prototype.copy_ = function(id, name) {
+  var copy = new FakeSpreadsheet(id, name, this.ownerEmail_);
+  copy.sheets_ = this.sheets_.map(function(sheet) {
+    return sheet.copy_(copy);
+  });
+  copy.nextSheetId_ = this.nextSheetId_;
+  return copy;
+};
+
+
+
+/**
+ * Holds spreadsheet files, sent emails and logs, and builds the
+ * SpreadsheetApp, DriveApp, MailApp, Utilities and Logger services.
+ *
+ * @param {{ownerEmail: string, verbose: boolean}=} options `ownerEmail` owns
+ *     every file, `verbose` echoes logs to the console.
+ *
+ * @constructor
+ */
+function FakeGoogleApps(options) {
+  options = options || {};
+
+  this.ownerEmail = options.ownerEmail || 'owner@example.com';
+  this.verbose = !!options.verbose;
+
+  // Files by Id: {id, name, description, spreadsheet}.
+  this.files = {};
+  this.nextFileId_ = 1;
+
+  // Emails sent: {to, subject, body, options}.
+  this.sentEmails = [];
+
+  // Messages logged.
+  this.logs = [];
+}
+
+
+/**
+ * Adds a spreadsheet file.
+ *
+ * @param {string} id
+ * @param {string} name
+ *
+ * @return {FakeSpreadsheet}
+ */
+FakeGoogleApps.prototype.addSpreadsheet = function(id, name) {
+  var spreadsheet = new FakeSpreadsheet(id, name, this.ownerEmail);
+  this.files[id] = {id: id, name: name, description: '',
+                    spreadsheet: spreadsheet};
+  return spreadsheet;
+};
+
+
+/**
+ * Retrieves the spreadsheet with a given name, e.g. the copy of the template
+ * made by the script.
+ *
+ * @param {string} name
+ *
+ * @return {?FakeSpreadsheet}
+ */
+FakeGoogleApps.prototype.getSpreadsheetByName = function(name) {
+  var ids = Object.keys(this.files);
+  for (var i = 0; i < ids.length; i++) {
+    if (this.files[ids[i]].name === name) {
+      return this.files[ids[i]].spreadsheet;
+    }
+  }
+  return null;
+};
+
+
+/**
+ * Wraps a file as a DriveApp.File.
+ *
+ * @param {Object} file
+ *
+ * @return {Object}
+ * @private
+ */
+FakeGoogleApps.prototype.wrapFile_ = function(file) {
+  var self = this;
+
+  return {
+    getId: function() {
+      return file.id;
+    },
+    getName: function() {
+      return file.name;
+    },
+    getUrl: function() {
+      return file.spreadsheet.getUrl();
+    },
+    getDescription: function() {
+      return file.description;
+    },
+    setDescription: function(description) {
+      file.description = description;
+    },
+    getOwner: function() {
+      return file.spreadsheet.getOwner();
+    },
+    makeCopy: function(name) {
+      var id = 'copy-' + self.nextFileId_++;
+      var copy = {id: id, name: name, description: '',
+                  spreadsheet: file.spreadsheet.copy_(id, name)};
+      self.files[id] = copy;
+      return self.wrapFile_(copy);
+    }
+  };
+};
+
+FakeGoogleApps.prototype.createSpreadsheetApp = function() {
+  var self = this;
+
+  return {
+    ProtectionType: {
+      RANGE: 'RANGE',
+      SHEET: 'SHEET'
+    },
+    openById: function(id) {
+      if (!(id in self.files)) {
+        throw 'Document ' + id + ' is missing (perhaps it was deleted?)';
+      }
+      return self.files[id].spreadsheet;
+    }
+  };
+};
+
+FakeGoogleApps.prototype.createDriveApp = function() {
+  var self = this;
+
+  return {
+    // Only `fullText contains "..."` queries are supported.
+    searchFiles: function(query) {
+      var match = query.match(/^fullText contains "(.*)"$/);
+      if (!match) {
+        throw 'Unsupported search query: ' + query;
+      }
+
+      var files = Object.keys(self.files).map(function(id) {
+        return self.files[id];
+      }).filter(function(file) {
+        return (file.name + ' ' + file.description).indexOf(match[1]) !== -1;
+      }).map(function(file) {
+        return self.wrapFile_(file);
+      });
+
+      var index = 0;
+      return {
+        hasNext: function() {
+          return index < files.length;
+        },
+        next: function() {
+          return files[index++];
+        }
+      };
+    },
+    getFileById: function(id) {
+      if (!(id in self.files)) {
+        throw 'No item with the given ID could be found: ' + id;
+      }
+      return self.wrapFile_(self.files[id]);
+    },
+    getRootFolder: function() {
+      return {
+        getName: function() {
+          return 'My Drive';
+        }
+      };
+    }
+  };
+};
+
+FakeGoogleApps.prototype.createMailApp = function() {
+  var self = this;
+
+  return {
+    sendEmail: function(to, subject, body, options) {
+      if (typeof to === 'object') {
+        self.sentEmails.push(to);
+      } else {
+        self.sentEmails.push({to: to, subject: subject, body: body,
+                              options: options || {}});
+      }
+    }
+  };
+};
+
+FakeGoogleApps.prototype.createUtilities = function() {
+  return {
+    // Supports the yyyy, MM, dd, HH, mm and ss tokens.
+    formatDate: function(date, timeZone, format) {
+      var parts = {};
+      var formatter;
+      try {
+        formatter = new Intl.DateTimeFormat('en-US', {
+          timeZone: timeZone, hour12: false, year: 'numeric',
+          month: '2-digit', day: '2-digit', hour: '2-digit',
+          minute: '2-digit', second: '2-digit'
+        });
+      } catch (err) {
+        throw 'Invalid time zone: ' + timeZone;
+      }
+
+      formatter.formatToParts(date).forEach(function(part) {
+        parts[part.type] = part.value;
+      });
+
+      return format.replace(/yyyy|MM|dd|HH|mm|ss/g, function(token) {
+        switch (token) {
+          case 'yyyy': return parts.year;
+          case 'MM': return parts.month;
+          case 'dd': return parts.day;
+          case 'HH': return parts.hour === '24' ? '00' : parts.hour;
+          case 'mm': return parts.minute;
+          case 'ss': return parts.second;
+        }
+      });
+    }
+  };
+};
+
+FakeGoogleApps.prototype.createLogger = function() {
+  var self = this;
+
+  return {
+    log: function(message) {
+      self.logs.push(String(message));
+      if (self.verbose) {
+        console.log(String(message));
+      }
+    }
+  };
+};
+
+
+module.exports = {
+  FakeGoogleApps: FakeGoogleApps,
+  FakeSpreadsheet: FakeSpreadsheet,
+  parseA1Notation: parseA1Notation
+};
@@ -0,0 +1,221 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+/////////////////////////////// HARNESS //////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Runs the script under Node, against the in-memory fakes of
+// fake_adwords_app.js and fake_spreadsheet_app.js. The script is loaded the
+// way build.sh builds it: the files listed in `SOURCES` are concatenated and
+// evaluated as a single script, with the fakes as globals.
+
+'use strict';
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+var FakeAdWords = require('./fake_adwords_app.js').FakeAdWords;
+var FakeGoogleApps = require('./fake_spreadsheet_app.js').FakeGoogleApps;
+
+
+/**
+ * The root of the repository.
+ * @type {string}
+ */
+var ROOT_DIR = path.join(__dirname, '..', '..');
+
+
+/**
+ * Retrieves the script sources, in build order, from the `SOURCES` variable
+ * of build.sh.
+ *
+ * @return {Array<string>} Paths relative to the root of the repository.
+ * @throws {string}
+ */
+function getSourceFiles() {
+  var buildScript = fs.readFileSync(path.join(ROOT_DIR, 'build.sh'), 'utf8');
+  var match = buildScript.match(/^SOURCES="([^"]*)"/m);
+  if (!match) {
+    throw 'Could not find SOURCES in build.sh';
+  }
+
+  return match[1].trim().split(/\s+/);
+}
+
+
+/**
+ * Creates the fakes for a fixture, see fake_adwords_app.js for its format.
+ *
+ * @param {Object} fixture Accounts and execution settings. `ownerEmail` and
+ *                         `verbose` are passed to `FakeGoogleApps`.
+ *
+ * @return {{adWords: FakeAdWords, apps: FakeGoogleApps, context: ?Object}}
+ */
+function createRuntime(fixture) {
+  return {
+    adWords: new FakeAdWords(fixture),
+    apps: new FakeGoogleApps({
+      ownerEmail: fixture.ownerEmail,
+      verbose: fixture.verbose
+    }),
+    context: null
+  };
+}
+
+
+/**
+ * Loads the script into a new context, with the runtime's fakes as globals.
+ * MccApp is only defined for fixtures with an MCC account, as in AdWords.
+ *
+ * @param {Object} runtime See `createRuntime`.
+ *
+ * @return {Object} The script's global object, e.g. `context.CONFIG` and
+ *                  `context.main`.
+ */
+function loadScript(runtime) {
+  var globals = {
+    AdWordsApp: runtime.adWords.createAdWordsApp(),
+    SpreadsheetApp: runtime.apps.createSpreadsheetApp(),
+    DriveApp: runtime.apps.createDriveApp(),
+    MailApp: runtime.apps.createMailApp(),
+    Utilities: runtime.apps.createUtilities(),
+    Logger: runtime.apps.createLogger()
+  };
+
+  var mccApp = runtime.adWords.createMccApp();
+  if (mccApp) {
+    globals.MccApp = mccApp;
+  }
+
+  var source = getSourceFiles().map(function(file) {
+    return fs.readFileSync(path.join(ROOT_DIR, file), 'utf8');
+  }).join('\n');
+
+  var context = vm.createContext(globals);
+  vm.runInContext(source, context, {filename: 'awscript.js'});
+
+  runtime.context = context;
+  return context;
+}
+
+
+/**
+ * Adds the template spreadsheet the script copies on its first run: a 'main'
+ * sheet with the configured columns as header, and formulas in the first
+ * content row.
+ *
+ * @param {Object} runtime See `createRuntime`, with the script loaded.
+ *
+ * @return {FakeSpreadsheet} The template.
+ */
+function addTemplateSpreadsheet(runtime) {
+  var config = runtime.context.CONFIG.spreadsheet;
+
+  var template = runtime.apps.addSpreadsheet(config.templateId,
+                                             'ETA Transition Helper');
+  var sheet = template.insertSheet(config.sheetName);
+  sheet.writeRows(1, [['ETA Transition Helper']]);
+  sheet.writeRows(config.headerRow, [config.columns]);
+  sheet.setFrozenRows(config.headerRow);
+
+  config.columnsWithFormulas.forEach(function(columnName) {
+    sheet.getRange(config.firstContentRow,
+                   config.columns.indexOf(columnName) + 1)
+        .setValue('=LEN(R[0]C[-1])');
+  });
+
+  return template;
+}
+
+
+/**
+ * Reads the content rows of the main sheet as objects, by column name.
+ *
+ * @param {Object} runtime See `createRuntime`, with the script loaded.
+ * @param {FakeSpreadsheet=} spreadsheet The spreadsheet to read, the copy of
+ *     the template by default.
+ * @param {string=} sheetName The sheet to read, e.g. a shard, the main sheet
+ *     by default.
+ *
+ * @return {Array<Object>} Rows with a value in `nonEmptyColumnCheck`, each
+ *                         with a `rowIndex` property.
+ */
+function readMainRows(runtime, spreadsheet, sheetName) {
+  var config = runtime.context.CONFIG.spreadsheet;
+  spreadsheet = spreadsheet ||
+                runtime.apps.getSpreadsheetByName(config.targetName);
+
+  var sheet = spreadsheet.getSheetByName(sheetName || config.sheetName);
+  var lastRow = sheet.getLastRow();
+  if (lastRow < config.firstContentRow) {
+    return [];
+  }
+
+  var values = sheet.getRange(config.firstContentRow, 1,
+                              lastRow - config.firstContentRow + 1,
+                              config.columns.length).getValues();
+
+  var nonEmptyIndex = config.columns.indexOf(config.nonEmptyColumnCheck);
+  var rows = [];
+  values.forEach(function(rowValues, offset) {
+    if (rowValues[nonEmptyIndex] === '') {
+      return;
+    }
+
+    var row = {rowIndex: config.firstContentRow + offset};
+    config.columns.forEach(function(columnName, index) {
+      row[columnName] = rowValues[index];
+    });
+    rows.push(row);
+  });
+
+  return rows;
+}
+
+
+/**
+ * Sets cells of a row of the main sheet, as a user would.
+ *
+ * @param {Object} runtime See `createRuntime`, with the script loaded.
+ * @param {number} rowIndex The index of the row in sheet.
+ * @param {Object} values Values by column name.
+ * @param {string=} sheetName The sheet to write, e.g. a shard, the main sheet
+ *     by default.
+ */
+function writeMainRow(runtime, rowIndex, values, sheetName) {
+  var config = runtime.context.CONFIG.spreadsheet;
+  var sheet = runtime.apps.getSpreadsheetByName(config.targetName)
+      .getSheetByName(sheetName || config.sheetName);
+
+  Object.keys(values).forEach(function(columnName) {
+    var index = config.columns.indexOf(columnName);
+    if (index === -1) {
+      throw 'Unknown column: ' + columnName;
+    }
+    sheet.getRange(rowIndex, index + 1).setValue(values[columnName]);
+  });
+}
+
+
+module.exports = {
+  ROOT_DIR: ROOT_DIR,
+  getSourceFiles: getSourceFiles,
+  createRuntime: createRuntime,
+  loadScript: loadScript,
+  addTemplateSpreadsheet: addTemplateSpreadsheet,
+  readMainRows: readMainRows,
+  writeMainRow: writeMainRow
+};
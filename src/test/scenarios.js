@@ -0,0 +1,1340 @@
+// Copyright 2016, Google Inc. All Rights Reserved.
+//
+// Licensed under the Apache License, Version 2.0 (the "License");
+// you may not use this file except in compliance with the License.
+// You may obtain a copy of the License at
+//
+//     http://www.apache.org/licenses/LICENSE-2.0
+//
+// Unless required by applicable law or agreed to in writing, software
+// distributed under the License is distributed on an "AS IS" BASIS,
+// WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+// See the License for the specific language governing permissions and
+// limitations under the License.
+
+//////////////////////////////////////////////////////////////////////////
+////////////////////////////// SCENARIOS /////////////////////////////////
+//////////////////////////////////////////////////////////////////////////
+
+// Full export and sync scenarios, run against the in-memory fakes:
+//
+//   node src/test/scenarios.js [name filter]
+//
+// Set VERBOSE=1 to print the script's logs.
+
+'use strict';
+
+var assert = require('assert');
+var harness = require('./harness.js');
+
+
+/**
+ * Builds an account with one ad group and STAs of decreasing performance.
+ *
+ * @param {string} customerId
+ * @param {number} idOffset Added to every Id, to tell accounts apart.
+ *
+ * @return {Object} The account, see fake_adwords_app.js.
+ */
+function createAccount(customerId, idOffset) {
+  return {
+    customerId: customerId,
+    name: 'Account ' + customerId,
+    campaigns: [{id: idOffset + 1, name: 'Shoes'}],
+    adGroups: [{id: idOffset + 10, campaignId: idOffset + 1,
+                name: 'Red Shoes'}],
+    ads: [
+      {id: idOffset + 100, adGroupId: idOffset + 10,
+       headline: 'Buy Red Shoes Online', description1: 'Free shipping.',
+       description2: 'Order today and save.', displayUrl: 'example.com/red',
+       finalUrls: ['http://example.com/red'], impressions: 1000, clicks: 50},
+      {id: idOffset + 101, adGroupId: idOffset + 10,
+       headline: 'Cheap Red Shoes', description1: 'All sizes in stock.',
+       description2: 'Shop now.', displayUrl: 'example.com/cheap',
+       finalUrls: ['http://example.com/cheap'], impressions: 500, clicks: 10},
+      {id: idOffset + 102, adGroupId: idOffset + 10,
+       headline: 'Red Shoes Sale', description1: 'Up to 50% off.',
+       description2: 'Limited time.', displayUrl: 'example.com/sale',
+       finalUrls: ['http://example.com/sale'], impressions: 200, clicks: 2},
+      {id: idOffset + 103, adGroupId: idOffset + 10, status: 'PAUSED',
+       headline: 'Old Red Shoes', description1: 'Last season.',
+       description2: 'Clearance.', displayUrl: 'example.com/old',
+       finalUrls: ['http://example.com/old'], impressions: 10, clicks: 0}
+    ]
+  };
+}
+
+
+/**
+ * Creates an account fixture with a campaign for each offset, see
+ * `createAccount`.
+ *
+ * @param {string} customerId
+ * @param {Array<number>} idOffsets Added to the Ids of each campaign.
+ *
+ * @return {Object}
+ */
+function createAccountWithCampaigns(customerId, idOffsets) {
+  var account = createAccount(customerId, idOffsets[0]);
+  idOffsets.slice(1).forEach(function(idOffset) {
+    var other = createAccount(customerId, idOffset);
+    account.campaigns = account.campaigns.concat(other.campaigns);
+    account.adGroups = account.adGroups.concat(other.adGroups);
+    account.ads = account.ads.concat(other.ads);
+  });
+
+  return account;
+}
+
+
+/**
+ * Creates a runtime for a fixture and adds the template spreadsheet.
+ *
+ * @param {Object} fixture See fake_adwords_app.js.
+ *
+ * @return {Object} The runtime, see `harness.createRuntime`.
+ */
+function setUp(fixture) {
+  fixture.verbose = !!process.env.VERBOSE;
+
+  var runtime = harness.createRuntime(fixture);
+  harness.loadScript(runtime);
+  harness.addTemplateSpreadsheet(runtime);
+  return runtime;
+}
+
+
+/**
+ * Runs the script once, as a scheduled execution would.
+ *
+ * @param {Object} runtime See `setUp`.
+ * @param {function(Object)=} configure Called with the script's globals
+ *     before `main`, to edit `CONFIG` and mode flags.
+ *
+ * @return {Object} The script's globals.
+ */
+function run(runtime, configure) {
+  var context = harness.loadScript(runtime);
+  if (configure) {
+    configure(context);
+  }
+
+  context.main();
+  return context;
+}
+
+
+/**
+ * Marks rows as ready to upload, with valid ETA fields.
+ *
+ * @param {Object} runtime See `setUp`.
+ * @param {Array<Object>} rows Rows, see `harness.readMainRows`.
+ * @param {Object=} values Values to set instead of the defaults.
+ * @param {string=} sheetName The sheet holding the rows, e.g. a shard.
+ */
+function markReady(runtime, rows, values, sheetName) {
+  rows.forEach(function(row) {
+    var rowValues = {
+      headline1: 'Red Shoes ' + row.staId,
+      headline2: 'Free Shipping',
+      description: 'Order today and save on all red shoes.',
+      readyToUpload: 'yes'
+    };
+    Object.keys(values || {}).forEach(function(columnName) {
+      rowValues[columnName] = values[columnName];
+    });
+
+    harness.writeMainRow(runtime, row.rowIndex, rowValues, sheetName);
+  });
+}
+
+
+/**
+ * Retrieves the mutations of a given type.
+ *
+ * @param {Object} runtime See `setUp`.
+ * @param {string} type
+ *
+ * @return {Array<Object>}
+ */
+function getMutations(runtime, type) {
+  return runtime.adWords.mutations.filter(function(mutation) {
+    return mutation.type === type;
+  });
+}
+
+
+/**
+ * Retrieves the run summaries emailed so far.
+ *
+ * @param {Object} runtime See `setUp`.
+ *
+ * @return {Array<Object>} Emails, see fake_spreadsheet_app.js.
+ */
+function getRunSummaries(runtime) {
+  return runtime.apps.sentEmails.filter(function(email) {
+    return /Run summary/.test(email.subject);
+  });
+}
+
+
+/**
+ * Retrieves a sheet of the spreadsheet copied from the template.
+ *
+ * @param {Object} runtime See `setUp`.
+ * @param {string} sheetName
+ *
+ * @return {?FakeSheet}
+ */
+function getSheet(runtime, sheetName) {
+  var config = runtime.context.CONFIG.spreadsheet;
+  return runtime.apps.getSpreadsheetByName(config.targetName)
+      .getSheetByName(sheetName);
+}
+
+
+/**
+ * Copies a value returned by the script, whose objects and arrays come from
+ * another context, so that it compares with `assert.deepStrictEqual`.
+ *
+ * @param {*} value A JSON serializable value.
+ *
+ * @return {*}
+ */
+function fromScript(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+
+var SCENARIOS = {
+  'first run copies the template and exports enabled STAs': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+
+    run(runtime);
+
+    // The spreadsheet creation email, then the run summary.
+    assert.strictEqual(runtime.apps.sentEmails.length, 2);
+    assert.strictEqual(runtime.apps.sentEmails[0].to, 'owner@example.com');
+    assert.strictEqual(getRunSummaries(runtime).length, 1);
+
+    var rows = harness.readMainRows(runtime);
+    assert.deepStrictEqual(rows.map(function(row) {
+      return row.staId;
+    }), [100, 101, 102]);
+    assert.strictEqual(rows[0].customerId, '123-456-7890');
+    assert.strictEqual(rows[0].staStatus, 'enabled');
+    assert.strictEqual(rows[0].etaStatus, 'paused');
+    assert.strictEqual(rows[0].finalUrl, 'http://example.com/red');
+    assert.strictEqual(runtime.adWords.mutations.length, 0);
+
+    // A second run exports nothing new and sends no email.
+    run(runtime);
+    assert.strictEqual(harness.readMainRows(runtime).length, 3);
+    assert.strictEqual(runtime.apps.sentEmails.length, 2);
+  },
+
+  'coverage lists ad groups without ETAs first': function() {
+    var runtime = setUp({
+      accounts: [createAccountWithCampaigns('123-456-7890', [0, 1000])]
+    });
+    run(runtime);
+    markReady(runtime, harness.readMainRows(runtime).slice(0, 1));
+
+    function _configure(context) {
+      context.CONFIG.coverage.enabled = true;
+    }
+    run(runtime, _configure);
+
+    var sheet = getSheet(runtime, 'coverage');
+    assert.strictEqual(sheet.getLastRow(), 3);
+    assert.deepStrictEqual(sheet.getRange(2, 1, 2, 13).getValues(), [
+      ['123-456-7890', 1001, 'Shoes', 1010, 'Red Shoes', 4, 0, 3, 1710, 'yes',
+       4, 0, 1],
+      ['123-456-7890', 1, 'Shoes', 10, 'Red Shoes', 4, 1, 3, 1710, 'no',
+       4, 1, 0]
+    ]);
+
+    // Coverage is skipped when the sync leaves too little time, the run
+    // summary is still sent.
+    getSheet(runtime, 'coverage').clear();
+    markReady(runtime, harness.readMainRows(runtime).slice(3, 4));
+    var summaryCount = getRunSummaries(runtime).length;
+    runtime.adWords.remainingTime = 100;
+    run(runtime, function(context) {
+      _configure(context);
+      context.CONFIG.checkpoint.enabled = false;
+    });
+    assert.strictEqual(getMutations(runtime, 'create').length, 2);
+    assert.strictEqual(getSheet(runtime, 'coverage').getLastRow(), 0);
+    assert.strictEqual(getRunSummaries(runtime).length, summaryCount + 1);
+  },
+
+  'ranking strategies order the exported STAs': function() {
+    /**
+     * Exports STAs ranked by a strategy.
+     *
+     * @param {function(Object)} configure Selects the strategy.
+     * @param {Array<string>=} queries Receives the report queries.
+     *
+     * @return {Array<number>} The Ids of the exported STAs, in order.
+     */
+    function _export(configure, queries) {
+      var account = createAccount('123-456-7890', 0);
+      [[1, 10, 5], [5, 2, 50], [3, 30, 20]].forEach(function(metrics, index) {
+        account.ads[index].conversions = metrics[0];
+        account.ads[index].cost = metrics[1];
+        account.ads[index].conversionValue = metrics[2];
+      });
+      var runtime = setUp({accounts: [account]});
+
+      run(runtime, function(context) {
+        configure(context);
+
+        var report = context.AdWordsApp.report;
+        context.AdWordsApp.report = function(query, options) {
+          (queries || []).push(query);
+          return report.call(this, query, options);
+        };
+      });
+
+      return harness.readMainRows(runtime).map(function(row) {
+        return row.staId;
+      });
+    }
+
+    function _strategy(name) {
+      return function(context) {
+        context.CONFIG.performance.strategy = name;
+      };
+    }
+
+    assert.deepStrictEqual(_export(_strategy('impressionsCtr')),
+                           [100, 101, 102]);
+    assert.deepStrictEqual(_export(_strategy('conversions')),
+                           [101, 102, 100]);
+    assert.deepStrictEqual(_export(_strategy('cost')), [102, 100, 101]);
+    assert.deepStrictEqual(_export(_strategy('conversionValue')),
+                           [101, 102, 100]);
+
+    // The cheapest STAs first.
+    assert.deepStrictEqual(_export(function(context) {
+      context.CONFIG.performance.strategy = 'weighted';
+      context.CONFIG.performance.weights = {cost: -1};
+    }), [101, 100, 102]);
+
+    // Custom strategies add the report fields they need to the query.
+    var queries = [];
+    assert.deepStrictEqual(_export(function(context) {
+      context.CONFIG.performance.strategy = 'fewestConversions';
+      context.CONFIG.performance.customStrategies = {
+        fewestConversions: {
+          compare: function(a, b) {
+            return context.parseReportNumber(b.row.allConversions) -
+                   context.parseReportNumber(a.row.allConversions);
+          },
+          reportFields: ['AllConversions']
+        }
+      };
+    }, queries), [100, 102, 101]);
+    assert.ok(queries.some(function(query) {
+      return /TEXT_AD/.test(query) && /AllConversions/.test(query);
+    }));
+
+    assert.throws(function() {
+      _export(_strategy('unknown'));
+    }, /Unknown performance strategy "unknown"/);
+  },
+
+  'exported STAs are drafted as ETAs': function() {
+    var account = createAccount('123-456-7890', 0);
+    account.ads[0].displayUrl = 'example.com/red/sale';
+    var runtime = setUp({accounts: [account]});
+    run(runtime);
+
+    // Drafting is off by default, only headline1 and description are
+    // pre-filled from the STA.
+    var row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.headline1, 'Buy Red Shoes Online');
+    assert.strictEqual(row.headline2, '');
+    assert.strictEqual(row.path1, '');
+
+    runtime = setUp({accounts: [account]});
+    var context = run(runtime, function(context) {
+      context.CONFIG.draft.enabled = true;
+    });
+
+    row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.headline1, 'Buy Red Shoes Online');
+    assert.strictEqual(row.headline2, 'Free shipping');
+    assert.strictEqual(row.description, 'Order today and save.');
+    assert.strictEqual(row.path1, 'red');
+    assert.strictEqual(row.path2, 'sale');
+
+    // Fields too long for their limit fall back to other candidates.
+    var draft = context.draftETAFields({
+      headline: 'Running Shoes For The Whole Family',
+      description1: 'Free Shipping On All Orders.',
+      description2: 'Shop The New Collection Today',
+      displayUrl: 'www.example.com/Shoes/Running-For-Everyone',
+      adGroupName: 'Running Shoes'
+    }, context.CONFIG.etaFieldLimits);
+    assert.deepStrictEqual(fromScript(draft), {
+      headline1: 'Running Shoes',
+      headline2: 'Free Shipping On All Orders',
+      description: 'Shop The New Collection Today',
+      path1: 'Shoes',
+      path2: ''
+    });
+
+    assert.strictEqual(context.fitToLimit('Free shipping on all orders', 19),
+                       'Free shipping on');
+    assert.strictEqual(context.fitToLimit('Free shipping', 13),
+                       'Free shipping');
+    assert.strictEqual(context.fitToLimit('Waterproof', 5), '');
+
+    assert.deepStrictEqual(fromScript(context.getDisplayUrlPathSegments(
+        'http://www.example.com//Shoes/Running?size=9#top')),
+        ['Shoes', 'Running']);
+    assert.deepStrictEqual(
+        fromScript(context.getDisplayUrlPathSegments('example.com')), []);
+  },
+
+  'rows ready to upload create paused and labelled ETAs': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    markReady(runtime, harness.readMainRows(runtime).slice(0, 1));
+
+    var context = run(runtime);
+
+    var created = getMutations(runtime, 'create');
+    assert.strictEqual(created.length, 1);
+
+    var eta = runtime.adWords.accounts[0].getAd(10, created[0].adId);
+    assert.strictEqual(eta.headlinePart1, 'Red Shoes 100');
+    assert.strictEqual(eta.status, 'PAUSED');
+    assert.deepStrictEqual(eta.labelNames, ['eta-upgrade']);
+
+    var sta = runtime.adWords.accounts[0].getAd(10, 100);
+    assert.deepStrictEqual(sta.labelNames, ['eta-upgrade']);
+
+    var row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.etaId, created[0].adId);
+    assert.strictEqual(row.etaStatus, 'paused');
+    assert.strictEqual(row.errorMessage, '');
+
+    var history = getSheet(runtime, 'history');
+    assert.ok(history.getLastRow() > 1);
+    assert.strictEqual(history.getRange(2, 1).getValue(),
+                       context.CONFIG.runId);
+    assert.strictEqual(history.getRange(2, 11).getValue(), 'script');
+
+    // The next run only syncs the ETA, without creating it again.
+    run(runtime);
+    assert.strictEqual(getMutations(runtime, 'create').length, 1);
+  },
+
+  'variant rows create several ETAs for a STA': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+
+    // Add a variant of the first row below the others, as the spreadsheet's
+    // 'Add ETA variant' menu does. Its STA status is ignored.
+    var rows = harness.readMainRows(runtime);
+    var variant = {};
+    Object.keys(rows[0]).forEach(function(columnName) {
+      if (columnName !== 'rowIndex') {
+        variant[columnName] = rows[0][columnName];
+      }
+    });
+    variant.staStatus = 'paused';
+    var variantRowIndex = rows[2].rowIndex + 1;
+    harness.writeMainRow(runtime, variantRowIndex, variant);
+
+    rows = harness.readMainRows(runtime);
+    markReady(runtime, rows.slice(0, 1));
+    markReady(runtime, rows.slice(3, 4), {headline1: 'Red Shoes Variant'});
+    var context = run(runtime);
+
+    var created = getMutations(runtime, 'create');
+    assert.strictEqual(created.length, 2);
+    var account = runtime.adWords.accounts[0];
+    assert.deepStrictEqual(created.map(function(mutation) {
+      return account.getAd(10, mutation.adId).headlinePart1;
+    }), ['Red Shoes 100', 'Red Shoes Variant']);
+
+    rows = harness.readMainRows(runtime);
+    assert.strictEqual(rows[0].etaId, created[0].adId);
+    assert.strictEqual(rows[3].etaId, created[1].adId);
+    assert.strictEqual(account.getAd(10, 100).status, 'ENABLED');
+    assert.deepStrictEqual(account.getAd(10, 100).labelNames,
+                           ['eta-upgrade']);
+
+    // Each variant is recorded with its own row, under the STA's row.
+    var history = getSheet(runtime, 'history');
+    var createdRows = history.getRange(2, 1, history.getLastRow() - 1, 10)
+        .getValues().filter(function(change) {
+          return change[7] === 'created';
+        }).map(function(change) {
+          return [change[3], change[5]];
+        });
+    assert.deepStrictEqual(createdRows, [
+      [rows[0].rowIndex, created[0].adId],
+      [variantRowIndex, created[1].adId]
+    ]);
+
+    // The first row of a STA is its primary row, rows without a STA have
+    // none.
+    function _row(values) {
+      return {
+        getString: function(columnName) {
+          return String(values[columnName] || '');
+        }
+      };
+    }
+    var primary = _row({customerId: '1', adGroupId: '10', staId: '100'});
+    var sameSTA = _row({customerId: '1', adGroupId: '10', staId: '100'});
+    var otherAccount = _row({customerId: '2', adGroupId: '10', staId: '100'});
+    var standalone = _row({customerId: '1', adGroupId: '10', etaId: '200'});
+
+    assert.strictEqual(context.getSTAKey(primary), '1|10|100');
+    assert.strictEqual(context.getSTAKey(standalone), null);
+
+    var primaryRows = context.getPrimarySTARows(
+        [primary, sameSTA, otherAccount, standalone].map(function(row) {
+          return {row: row};
+        }));
+    assert.deepStrictEqual(Object.keys(primaryRows), ['1|10|100',
+                                                      '2|10|100']);
+    assert.strictEqual(primaryRows['1|10|100'], primary);
+    assert.strictEqual(primaryRows['2|10|100'], otherAccount);
+  },
+
+  'existing ETAs are imported into matching STA rows': function() {
+    // An ETA rewriting the second STA, and an ETA of its own.
+    var account = createAccount('123-456-7890', 0);
+    account.ads.push(
+        {id: 200, adGroupId: 10, type: 'EXPANDED_TEXT_AD',
+         approvalStatus: 'APPROVED', headlinePart1: 'Cheap Red Shoes',
+         headlinePart2: 'All Sizes In Stock', description: 'Shop now.',
+         finalUrls: ['http://example.com/cheap'], impressions: 300,
+         clicks: 6},
+        {id: 201, adGroupId: 10, type: 'EXPANDED_TEXT_AD', status: 'PAUSED',
+         approvalStatus: 'UNDER_REVIEW', headlinePart1: 'Winter Boots',
+         headlinePart2: 'Warm And Dry', description: 'New collection.',
+         finalUrls: ['http://example.com/boots'], impressions: 0, clicks: 0});
+    var runtime = setUp({accounts: [account]});
+
+    function _configure(context) {
+      context.CONFIG.etaImport.enabled = true;
+    }
+    var context = run(runtime, _configure);
+
+    var rows = harness.readMainRows(runtime);
+    assert.deepStrictEqual(rows.map(function(row) {
+      return [row.staId, row.etaId, row.etaStatus, row.etaApprovalStatus,
+              row.headline1];
+    }), [
+      [100, '', 'paused', '', rows[0].headline1],
+      [101, 200, 'enabled', 'approved', 'Cheap Red Shoes'],
+      [102, '', 'paused', '', rows[2].headline1],
+      ['', 201, 'paused', 'under_review', 'Winter Boots']
+    ]);
+    // The sync that follows labels the imported ETAs and their STAs.
+    assert.deepStrictEqual(runtime.adWords.mutations.map(function(mutation) {
+      return mutation.type + ' ' + (mutation.adId || mutation.labelName);
+    }), ['createLabel eta-upgrade', 'applyLabel 200', 'applyLabel 101',
+         'applyLabel 201']);
+
+    // Imported ETAs are known to the next run.
+    run(runtime, _configure);
+    assert.strictEqual(harness.readMainRows(runtime).length, 4);
+    assert.strictEqual(getMutations(runtime, 'create').length, 0);
+
+    // Each ETA and row is paired once, most similar first, and only above
+    // the least similarity.
+    function _eta(text) {
+      var words = text.split(' ');
+      return {row: {headlinePart1: words[0], headlinePart2: words[1],
+                    description: words.slice(2).join(' ')}};
+    }
+    function _row(text) {
+      var values = {headline: text};
+      return {
+        getString: function(columnName) {
+          return values[columnName] || '';
+        }
+      };
+    }
+
+    var etas = [_eta('Red Shoes Online'), _eta('Red Shoes Sale'),
+                _eta('Blue Hats Today')];
+    var staRows = [_row('Red Shoes Sale'), _row('Red Shoes Online Now')];
+    var matches = context.matchETAsToRows(etas, staRows, 0.5);
+    assert.strictEqual(matches.length, 2);
+    assert.strictEqual(matches[0].eta, etas[1]);
+    assert.strictEqual(matches[0].row, staRows[0]);
+    assert.strictEqual(matches[0].similarity, 1);
+    assert.strictEqual(matches[1].eta, etas[0]);
+    assert.strictEqual(matches[1].row, staRows[1]);
+    assert.strictEqual(matches[1].similarity, 0.75);
+
+    assert.strictEqual(context.getTextSimilarity('Red shoes!', 'RED SHOES'),
+                       1);
+    assert.strictEqual(context.getTextSimilarity('', 'Red shoes'), 0);
+  },
+
+  'STAs are paused once their ETA meets the auto pause policy': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    markReady(runtime, harness.readMainRows(runtime));
+    run(runtime);
+
+    // Each ETA served 1000 impressions on 10 days. The first ETA matches the
+    // CTR of its STA, the second falls short of it, the third is not
+    // approved.
+    var account = runtime.adWords.accounts[0];
+    var rows = harness.readMainRows(runtime);
+    [[50, 'APPROVED'], [5, 'APPROVED'], [100, 'UNDER_REVIEW']].forEach(
+        function(etaValues, index) {
+          var eta = account.getAd(10, rows[index].etaId);
+          eta.impressions = 1000;
+          eta.daysServed = 10;
+          eta.clicks = etaValues[0];
+          eta.approvalStatus = etaValues[1];
+        });
+
+    var mutationCount = runtime.adWords.mutations.length;
+    var context = run(runtime, function(context) {
+      context.CONFIG.autoPause.enabled = true;
+    });
+
+    assert.deepStrictEqual(runtime.adWords.mutations.slice(mutationCount)
+        .map(function(mutation) {
+          return mutation.type + ' ' + mutation.adId;
+        }), ['pause 100']);
+
+    rows = harness.readMainRows(runtime);
+    assert.deepStrictEqual(rows.map(function(row) {
+      return row.staStatus;
+    }), ['paused', 'enabled', 'enabled']);
+
+    var config = context.CONFIG.spreadsheet;
+    var note = getSheet(runtime, 'main').getRange(
+        rows[0].rowIndex, config.columns.indexOf('staStatus') + 1).getNote();
+    assert.ok(/^Paused automatically/.test(note), note);
+    assert.ok(/ETA served on 10 days/.test(note), note);
+
+    var history = getSheet(runtime, 'history');
+    var changes = history.getRange(2, 1, history.getLastRow() - 1, 10)
+        .getValues().filter(function(change) {
+          return change[0] === context.CONFIG.runId &&
+                 change[7] === 'staStatus';
+        });
+    assert.deepStrictEqual(changes.map(function(change) {
+      return [change[5], change[8], change[9]];
+    }), [[100, 'enabled', 'paused']]);
+
+    // The conditions not met are reported, conditions set to 0 or null are
+    // skipped.
+    var row = {
+      getString: function(columnName) {
+        return String(rows[1][columnName]);
+      }
+    };
+    var metrics = context.getAutoPauseMetrics(
+        context.CONFIG.etaReportStartDate);
+    var evaluation = context.evaluateAutoPausePolicy(row, metrics,
+                                                     context.CONFIG.autoPause);
+    assert.strictEqual(evaluation.pause, false);
+    assert.deepStrictEqual(fromScript(evaluation.reasons),
+                           ['ETA CTR 0.50% is within 10% of STA CTR 2.00%']);
+
+    evaluation = context.evaluateAutoPausePolicy(row, metrics, {
+      requireApproval: true,
+      minDaysServed: 0,
+      minImpressions: 1000,
+      maxCtrDrop: null
+    });
+    assert.strictEqual(evaluation.pause, true);
+    assert.deepStrictEqual(fromScript(evaluation.reasons),
+                           ['ETA is approved',
+                            'ETA has 1000 impressions (minimum 1000)']);
+  },
+
+  'rolling back runs undoes their changes': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    markReady(runtime, harness.readMainRows(runtime).slice(0, 1));
+    run(runtime);
+
+    // Run Ids are timestamps, tell apart runs made within the same second.
+    var history = getSheet(runtime, 'history');
+    var createRunId = 'create';
+    var runIds = history.getRange(2, 1, history.getLastRow() - 1, 1);
+    runIds.setValues(runIds.getValues().map(function() {
+      return [createRunId];
+    }));
+
+    var row = harness.readMainRows(runtime)[0];
+    var account = runtime.adWords.accounts[0];
+    var sta = account.getAd(10, 100);
+    var eta = account.getAd(10, row.etaId);
+    assert.deepStrictEqual(sta.labelNames, ['eta-upgrade']);
+
+    harness.writeMainRow(runtime, row.rowIndex,
+                         {staStatus: 'paused', etaStatus: 'enabled'});
+    var statusRunId = run(runtime).CONFIG.runId;
+    assert.strictEqual(sta.status, 'PAUSED');
+    assert.strictEqual(eta.status, 'ENABLED');
+
+    function _rollback(runId, rollbackCreatedETAs) {
+      run(runtime, function(context) {
+        context.CONFIG.history.rollbackRunId = runId;
+        context.CONFIG.history.rollbackCreatedETAs = rollbackCreatedETAs;
+      });
+    }
+
+    // Status changes are reverted, in the account and the sheet.
+    _rollback(statusRunId, 'pause');
+    assert.strictEqual(sta.status, 'ENABLED');
+    assert.strictEqual(eta.status, 'PAUSED');
+    row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.staStatus, 'enabled');
+    assert.strictEqual(row.etaStatus, 'paused');
+
+    // The created ETA is removed along with its changes, and the labels
+    // applied to the STA are removed.
+    var mutationCount = runtime.adWords.mutations.length;
+    _rollback(createRunId, 'remove');
+    assert.deepStrictEqual(runtime.adWords.mutations.slice(mutationCount)
+        .map(function(mutation) {
+          return mutation.type + ' ' + mutation.adId;
+        }).sort(), ['remove ' + eta.id, 'removeLabel 100']);
+    assert.strictEqual(eta.status, 'DISABLED');
+    assert.deepStrictEqual(sta.labelNames, []);
+
+    row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.etaId, '');
+    assert.strictEqual(row.readyToUpload, 'no');
+    assert.strictEqual(getMutations(runtime, 'create').length, 1);
+  },
+
+  'comparison lists each STA next to its ETA': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    var context = run(runtime);
+    var rows = harness.readMainRows(runtime);
+    markReady(runtime, rows.slice(0, 2));
+    run(runtime);
+
+    // The ETA of the first row doubles the CTR of its STA, the second has
+    // too few impressions.
+    var account = runtime.adWords.accounts[0];
+    rows = harness.readMainRows(runtime);
+    var eta = account.getAd(10, rows[0].etaId);
+    eta.impressions = 1000;
+    eta.clicks = 100;
+    account.getAd(10, rows[1].etaId).impressions = 20;
+
+    function _configure(context) {
+      context.CONFIG.comparison.enabled = true;
+    }
+    run(runtime, _configure);
+
+    var sheet = getSheet(runtime, 'comparison');
+    assert.strictEqual(sheet.getLastRow(), 3);
+    var compared = sheet.getRange(2, 1, 2, 17).getValues();
+    assert.deepStrictEqual(compared.map(function(values) {
+      return [values[3], values[4], values[5], values[6], values[7],
+              values[8], values[9], values[16]];
+    }), [
+      [rows[0].rowIndex, 100, rows[0].etaId, 1000, 1000, 50, 100,
+       'ETA better'],
+      [rows[1].rowIndex, 101, rows[1].etaId, 500, 20, 10, 0,
+       'not enough data']
+    ]);
+
+    // Rerunning replaces the comparison, rather than appending to it.
+    run(runtime, _configure);
+    assert.strictEqual(getSheet(runtime, 'comparison').getLastRow(), 3);
+
+    var config = {minImpressions: 100, zScore: 1.96};
+    assert.strictEqual(context.compareCtr(100, 1000, 50, 1000, config),
+                       'STA better');
+    assert.strictEqual(context.compareCtr(50, 1000, 55, 1000, config),
+                       'not significant');
+    assert.strictEqual(context.compareCtr(0, 1000, 0, 1000, config),
+                       'not significant');
+  },
+
+  'dry run plans changes without making them': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    var rows = harness.readMainRows(runtime);
+    markReady(runtime, rows.slice(0, 2));
+    markReady(runtime, rows.slice(2, 3),
+              {headline1: 'A headline far too long for an expanded text ad'});
+
+    function _configureDryRun(context) {
+      context.CONFIG.dryRun.enabled = true;
+      context.IS_DRY_RUN = true;
+    }
+
+    var main = getSheet(runtime, 'main').getDataRange();
+    var values = main.getValues();
+    var backgrounds = main.getBackgrounds();
+    assert.throws(function() {
+      run(runtime, _configureDryRun);
+    }, /Script runtime error/);
+
+    // Neither the account nor the sheet change, errors are planned instead.
+    assert.strictEqual(runtime.adWords.mutations.length, 0);
+    main = getSheet(runtime, 'main').getDataRange();
+    assert.deepStrictEqual(main.getValues(), values);
+    assert.deepStrictEqual(main.getBackgrounds(), backgrounds);
+
+    var plan = getSheet(runtime, 'plan');
+    var planned = plan.getRange(2, 1, plan.getLastRow() - 1, 8).getValues();
+    assert.strictEqual(planned.filter(function(change) {
+      return change[5] === 'create';
+    }).length, 2);
+    var errors = planned.filter(function(change) {
+      return change[5] === 'error';
+    });
+    assert.strictEqual(errors.length, 1);
+    assert.strictEqual(errors[0][1], rows[2].rowIndex);
+    assert.ok(/headline1/.test(errors[0][7]), errors[0][7]);
+
+    // Rolling back a run plans the removal of the labels it applied.
+    markReady(runtime, rows.slice(2, 3));
+    var context = run(runtime);
+    var mutationCount = runtime.adWords.mutations.length;
+
+    run(runtime, function(context2) {
+      _configureDryRun(context2);
+      context2.CONFIG.history.rollbackRunId = context.CONFIG.runId;
+    });
+
+    assert.strictEqual(runtime.adWords.mutations.length, mutationCount);
+    plan = getSheet(runtime, 'plan');
+    planned = plan.getRange(2, 1, plan.getLastRow() - 1, 8).getValues();
+    var removals = planned.filter(function(change) {
+      return change[5] === 'remove labels';
+    });
+    assert.strictEqual(removals.length, 3);
+    removals.forEach(function(change) {
+      assert.strictEqual(change[2], 'STA');
+      assert.strictEqual(change[7], 'eta-upgrade');
+    });
+    assert.strictEqual(planned.filter(function(change) {
+      return change[5] === 'status' && change[7] === 'paused';
+    }).length, 3);
+  },
+
+  'invalid ETA fields are reported in the row': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    markReady(runtime, harness.readMainRows(runtime).slice(0, 1),
+              {headline1: 'A headline far too long for an expanded text ad'});
+
+    assert.throws(function() {
+      run(runtime);
+    }, /Script runtime error/);
+
+    assert.strictEqual(getMutations(runtime, 'create').length, 0);
+    var row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.etaId, '');
+    assert.ok(/headline1/.test(row.errorMessage), row.errorMessage);
+  },
+
+  'rows listing several final URLs are reported, not created': function() {
+    var account = createAccount('123-456-7890', 0);
+    account.ads[0].finalUrls = ['http://example.com/red',
+                                'http://example.com/red/2'];
+    var runtime = setUp({accounts: [account]});
+    run(runtime);
+
+    // Only the first URL is exported.
+    var row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.finalUrl, 'http://example.com/red');
+
+    markReady(runtime, [row],
+              {finalUrl: JSON.stringify(account.ads[0].finalUrls)});
+    assert.throws(function() {
+      run(runtime);
+    }, /Script runtime error/);
+
+    assert.strictEqual(getMutations(runtime, 'create').length, 0);
+    row = harness.readMainRows(runtime)[0];
+    assert.strictEqual(row.etaId, '');
+    assert.ok(/finalUrl lists 2 URLs/.test(row.errorMessage), row.errorMessage);
+  },
+
+  'dynamic text is validated and counted by its default text': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    var rows = harness.readMainRows(runtime);
+
+    // 38 characters as typed, 27 once the default text is inserted.
+    markReady(runtime, rows.slice(0, 1),
+              {headline1: '{KeyWord:Red Shoes} Sale Now On Today'});
+    markReady(runtime, rows.slice(1, 2),
+              {headline2: '{=IF(device=mobile,Call Now):Visit Us}'});
+    markReady(runtime, rows.slice(2, 3),
+              {headline1: '{Keyword:Red Shoes', headline2: '{=Products}'});
+
+    assert.throws(function() {
+      run(runtime);
+    }, /Script runtime error/);
+
+    var created = getMutations(runtime, 'create');
+    assert.strictEqual(created.length, 2);
+    var eta = runtime.adWords.accounts[0].getAd(10, created[0].adId);
+    assert.strictEqual(eta.headlinePart1,
+                       '{KeyWord:Red Shoes} Sale Now On Today');
+
+    var errorMessage = harness.readMainRows(runtime)[2].errorMessage;
+    assert.ok(/headline1 has a "\{" without a matching "\}"/
+        .test(errorMessage), errorMessage);
+    assert.ok(/headline2 has an invalid ad customizer/.test(errorMessage),
+              errorMessage);
+  },
+
+  'dynamic text is checked for capitalization as shown in the ad': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    var rows = harness.readMainRows(runtime);
+
+    // Capitals in the customizer name are not shown in the ad.
+    markReady(runtime, rows.slice(0, 1),
+              {headline1: '{=PRODUCTS.Name:Red Shoes} On Sale'});
+    // Shown in capitals only, with the default text or the IF function text.
+    markReady(runtime, rows.slice(1, 2), {headline1: '{KeyWord:RED SHOE} NOW'});
+    markReady(runtime, rows.slice(2, 3),
+              {headline2: '{=IF(device=mobile,CALL US NOW):Visit Us}'});
+
+    // The capitalization rule is skipped by default.
+    assert.throws(function() {
+      run(runtime, function(context) {
+        context.CONFIG.etaValidation.disabledRules = [];
+      });
+    }, /Script runtime error/);
+
+    var created = getMutations(runtime, 'create');
+    assert.strictEqual(created.length, 1);
+    var eta = runtime.adWords.accounts[0].getAd(10, created[0].adId);
+    assert.strictEqual(eta.headlinePart1, '{=PRODUCTS.Name:Red Shoes} On Sale');
+
+    rows = harness.readMainRows(runtime);
+    assert.ok(/headline1 is written in capital letters only/
+        .test(rows[1].errorMessage), rows[1].errorMessage);
+    assert.ok(/headline2 is written in capital letters only/
+        .test(rows[2].errorMessage), rows[2].errorMessage);
+
+    run(runtime);
+    assert.strictEqual(getMutations(runtime, 'create').length, 3);
+  },
+
+  'rewrite rules rewrite rows once, when they are exported': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    function _configure(numOfAds) {
+      return function(context) {
+        context.CONFIG.numOfAds = numOfAds;
+        context.CONFIG.rewriteRules.enabled = true;
+      };
+    }
+    run(runtime, _configure(1));
+
+    getSheet(runtime, 'rewrite rules').getRange(2, 1, 4, 7).setValues([
+      ['', 'headline2', 'replace', 'Free Shipping', 'Fast Delivery', '', ''],
+      ['', 'headline1', 'template', '', '{campaignName} - {adGroupName}', '',
+       'Red Shoes'],
+      ['', 'path2', 'template', '', '{adGroupName} and more', '', ''],
+      ['', 'path1', 'template', '', '{headline}', '', 'Blue Shoes']
+    ]);
+
+    // Rows exported before the rules are left alone. The path2 rule makes
+    // paths too long, which is noted in the run summary without failing the
+    // run.
+    run(runtime, _configure(3));
+
+    var rows = harness.readMainRows(runtime);
+    assert.strictEqual(rows.length, 3);
+    assert.strictEqual(rows[0].headline1, 'Buy Red Shoes Online');
+    assert.strictEqual(rows[1].headline1, 'Shoes - Red Shoes');
+    assert.strictEqual(rows[2].headline1, 'Shoes - Red Shoes');
+    assert.strictEqual(rows[1].path1, '');
+    assert.strictEqual(rows[1].path2, '');
+    assert.strictEqual(rows[1].errorMessage, '');
+
+    var summaries = getRunSummaries(runtime);
+    var body = summaries[summaries.length - 1].body;
+    assert.ok(/path2 rewritten by the rule in row 4 would be 18 characters/
+        .test(body), body);
+
+    // Rewritten rows keep the edits made afterwards.
+    markReady(runtime, rows.slice(1, 2));
+    run(runtime, _configure(3));
+
+    var created = getMutations(runtime, 'create');
+    assert.strictEqual(created.length, 1);
+    var eta = runtime.adWords.accounts[0].getAd(10, created[0].adId);
+    assert.strictEqual(eta.headlinePart1, 'Red Shoes 101');
+    assert.strictEqual(eta.headlinePart2, 'Free Shipping');
+    assert.strictEqual(harness.readMainRows(runtime)[2].headline1,
+                       'Shoes - Red Shoes');
+  },
+
+  'run summaries list changes and link rows with errors': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    var rows = harness.readMainRows(runtime);
+    markReady(runtime, rows.slice(0, 1));
+    markReady(runtime, rows.slice(1, 2),
+              {headline1: 'A headline far too long for an expanded text ad'});
+
+    assert.throws(function() {
+      run(runtime);
+    }, /Script runtime error/);
+
+    var summaries = getRunSummaries(runtime);
+    assert.strictEqual(summaries.length, 2);
+    var summary = summaries[1];
+    assert.ok(/1 ETAs created, 1 errors/.test(summary.subject),
+              summary.subject);
+    assert.ok(/STAs exported: 0/.test(summary.body), summary.body);
+    assert.ok(/123-456-7890: 1/.test(summary.body), summary.body);
+    assert.ok(new RegExp('#gid=\\d+&range=A' + rows[1].rowIndex + '\'>Row ' +
+                         rows[1].rowIndex).test(summary.options.htmlBody),
+              summary.options.htmlBody);
+
+    // The row is fixed, but only errors are reported when configured so.
+    harness.writeMainRow(runtime, rows[1].rowIndex, {headline1: 'Red'});
+    run(runtime, function(context) {
+      context.CONFIG.runSummary.sendWhen = 'errors';
+    });
+    assert.strictEqual(getMutations(runtime, 'create').length, 2);
+    assert.strictEqual(getRunSummaries(runtime).length, 2);
+
+    // Nothing changed nor failed: no summary.
+    run(runtime);
+    assert.strictEqual(getRunSummaries(runtime).length, 2);
+  },
+
+  'export filters select the STAs exported and synced': function() {
+    var account = createAccount('123-456-7890', 0);
+    account.campaigns.push({id: 2, name: 'Brand - Boots'});
+    account.adGroups.push({id: 20, campaignId: 2, name: 'Boots'});
+    account.ads.push(
+        {id: 200, adGroupId: 20, labelNames: ['wave-1'],
+         headline: 'Brand Boots', description1: 'Waterproof.',
+         description2: 'Shop now.', displayUrl: 'example.com/boots',
+         finalUrls: ['http://example.com/boots'], impressions: 300},
+        {id: 201, adGroupId: 20, status: 'PAUSED',
+         headline: 'Brand Boots Sale', description1: 'Up to 30% off.',
+         description2: 'Shop now.', displayUrl: 'example.com/boots',
+         finalUrls: ['http://example.com/boots'], impressions: 50},
+        {id: 202, adGroupId: 20, labelNames: ['skip'],
+         headline: 'Old Boots', description1: 'Last season.',
+         description2: 'Clearance.', displayUrl: 'example.com/boots',
+         finalUrls: ['http://example.com/boots'], impressions: 20});
+    var runtime = setUp({accounts: [account]});
+
+    function _configure(context) {
+      context.CONFIG.exportFilter.campaignNameRegex = '^Brand - ';
+      context.CONFIG.exportFilter.excludeLabels = ['skip'];
+      context.CONFIG.exportFilter.minImpressions = 40;
+      context.CONFIG.exportFilter.includePaused = true;
+    }
+    run(runtime, _configure);
+
+    var rows = harness.readMainRows(runtime);
+    assert.deepStrictEqual(rows.map(function(row) {
+      return row.staId;
+    }), [200, 201]);
+    assert.strictEqual(rows[1].staStatus, 'paused');
+
+    markReady(runtime, rows);
+    run(runtime, _configure);
+    assert.strictEqual(getMutations(runtime, 'create').length, 2);
+
+    // The paused STA is synced with the same filters.
+    harness.writeMainRow(runtime, rows[1].rowIndex, {staStatus: 'enabled'});
+    run(runtime, _configure);
+    assert.deepStrictEqual(getMutations(runtime, 'enable').map(
+        function(mutation) {
+          return mutation.adId;
+        }), [201]);
+
+    assert.throws(function() {
+      run(runtime, function(context) {
+        context.CONFIG.exportFilter.startDate = '2016-08-01';
+        context.CONFIG.exportFilter.endDate = '2016-08-31';
+      });
+    }, /YYYYMMDD/);
+  },
+
+  'preview mode leaves the account and spreadsheet Ids unchanged':
+      function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    markReady(runtime, harness.readMainRows(runtime).slice(0, 1));
+
+    runtime.adWords.isPreview = true;
+    run(runtime);
+
+    assert.strictEqual(runtime.adWords.mutations.length, 0);
+    assert.strictEqual(harness.readMainRows(runtime)[0].etaId, '');
+  },
+
+  'MCC accounts are exported and synced one account at a time': function() {
+    var runtime = setUp({
+      mcc: {customerId: '111-111-1111', name: 'MCC'},
+      accounts: [createAccount('123-456-7890', 0),
+                 createAccount('098-765-4321', 1000)]
+    });
+    run(runtime);
+
+    var rows = harness.readMainRows(runtime);
+    assert.strictEqual(rows.length, 6);
+    markReady(runtime, rows.filter(function(row) {
+      return row.staId === 100 || row.staId === 1100;
+    }));
+
+    run(runtime);
+
+    var created = getMutations(runtime, 'create');
+    assert.deepStrictEqual(created.map(function(mutation) {
+      return mutation.customerId;
+    }).sort(), ['098-765-4321', '123-456-7890']);
+    assert.strictEqual(runtime.adWords.current.customerId, '111-111-1111');
+  },
+
+  'sharding spreads rows across sheets registered by shard key': function() {
+    var runtime = setUp({
+      mcc: {customerId: '111-111-1111', name: 'MCC'},
+      accounts: [createAccount('123-456-7890', 0),
+                 createAccount('098-765-4321', 1000)]
+    });
+
+    function _configure(context) {
+      context.CONFIG.spreadsheet.sharding.enabled = true;
+    }
+    run(runtime, _configure);
+
+    assert.strictEqual(harness.readMainRows(runtime).length, 0);
+    var registry = getSheet(runtime, 'shards');
+    assert.deepStrictEqual(registry.getRange(2, 1, 2, 5).getValues(), [
+      ['123-456-7890', '123-456-7890', '', '', 'main - 123-456-7890'],
+      ['098-765-4321', '098-765-4321', '', '', 'main - 098-765-4321']
+    ]);
+
+    var rows = harness.readMainRows(runtime, null, 'main - 098-765-4321');
+    assert.deepStrictEqual(rows.map(function(row) {
+      return row.staId;
+    }), [1100, 1101, 1102]);
+
+    markReady(runtime, rows.slice(0, 1), {}, 'main - 098-765-4321');
+    run(runtime, _configure);
+
+    var created = getMutations(runtime, 'create');
+    assert.strictEqual(created.length, 1);
+    assert.strictEqual(created[0].customerId, '098-765-4321');
+    assert.strictEqual(harness.readMainRows(runtime, null,
+        'main - 098-765-4321')[0].etaId, created[0].adId);
+
+    // Shards by campaign can also be spreadsheets of their own.
+    function _configureByCampaign(context) {
+      _configure(context);
+      context.CONFIG.spreadsheet.sharding.shardBy = 'campaign';
+      context.CONFIG.spreadsheet.sharding.target = 'spreadsheets';
+    }
+    runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime, _configureByCampaign);
+
+    var shard = runtime.apps.getSpreadsheetByName(
+        'ETA Transition Helper v1.0 - 123-456-7890/1');
+    assert.ok(shard);
+    assert.strictEqual(harness.readMainRows(runtime, shard).length, 3);
+    assert.strictEqual(harness.readMainRows(runtime).length, 0);
+
+    // The next run finds the main spreadsheet and the shard again.
+    run(runtime, _configureByCampaign);
+    assert.strictEqual(harness.readMainRows(runtime, shard).length, 3);
+    assert.strictEqual(getSheet(runtime, 'shards').getLastRow(), 2);
+  },
+
+  'shards are capped separately and share the account reports': function() {
+    var runtime = setUp({
+      accounts: [createAccountWithCampaigns('123-456-7890', [0, 1000])]
+    });
+
+    var queries = [];
+    function _configure(context) {
+      context.CONFIG.numOfAds = 2;
+      context.CONFIG.spreadsheet.sharding.enabled = true;
+      context.CONFIG.spreadsheet.sharding.shardBy = 'campaign';
+
+      var report = context.AdWordsApp.report;
+      context.AdWordsApp.report = function(query, options) {
+        queries.push(query);
+        return report.call(this, query, options);
+      };
+    }
+    run(runtime, _configure);
+
+    // Each shard is filled up to the cap, not the main sheet.
+    var shardNames = ['main - 123-456-7890/1', 'main - 123-456-7890/1001'];
+    shardNames.forEach(function(shardName) {
+      assert.strictEqual(
+          harness.readMainRows(runtime, null, shardName).length, 2);
+    });
+
+    // Rows ready in both shards are synced with one download per report.
+    shardNames.forEach(function(shardName) {
+      markReady(runtime, harness.readMainRows(runtime, null, shardName)
+          .slice(0, 1), {}, shardName);
+    });
+    queries = [];
+    run(runtime, _configure);
+
+    assert.strictEqual(getMutations(runtime, 'create').length, 2);
+    queries.forEach(function(query, index) {
+      assert.strictEqual(queries.indexOf(query), index, query);
+    });
+  },
+
+  'a sync out of time resumes from its checkpoint': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    var rows = harness.readMainRows(runtime);
+    markReady(runtime, rows);
+
+    // Time runs out after the first row.
+    runtime.adWords.remainingTime = 125;
+    runtime.adWords.remainingTimeStep = 5;
+    run(runtime);
+
+    assert.strictEqual(getMutations(runtime, 'create').length, 1);
+    assert.strictEqual(getSheet(runtime, 'checkpoint').getRange('A1')
+        .getValue(), rows[0].rowIndex);
+
+    runtime.adWords.remainingTime = 1800;
+    runtime.adWords.remainingTimeStep = 0;
+    run(runtime);
+
+    assert.strictEqual(getMutations(runtime, 'create').length, 3);
+    harness.readMainRows(runtime).forEach(function(row) {
+      assert.notStrictEqual(row.etaId, '');
+    });
+    assert.strictEqual(getSheet(runtime, 'checkpoint').getRange('A1')
+        .getValue(), '');
+  },
+
+  'a sync resumed twice in a row syncs every row once': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    var rows = harness.readMainRows(runtime);
+    markReady(runtime, rows);
+
+    // Time runs out after one row, twice.
+    [0, 1].forEach(function(index) {
+      runtime.adWords.remainingTime = 125;
+      runtime.adWords.remainingTimeStep = 5;
+      run(runtime);
+
+      assert.strictEqual(getMutations(runtime, 'create').length, index + 1);
+      assert.strictEqual(getSheet(runtime, 'checkpoint').getRange('A1')
+          .getValue(), rows[index].rowIndex);
+    });
+
+    runtime.adWords.remainingTime = 1800;
+    runtime.adWords.remainingTimeStep = 0;
+    run(runtime);
+
+    assert.strictEqual(getMutations(runtime, 'create').length, 3);
+    harness.readMainRows(runtime).forEach(function(row) {
+      assert.notStrictEqual(row.etaId, '');
+      assert.strictEqual(row.errorMessage, '');
+    });
+  },
+
+  'a row that runs keep ending on is marked as an error': function() {
+    var runtime = setUp({accounts: [createAccount('123-456-7890', 0)]});
+    run(runtime);
+    var rows = harness.readMainRows(runtime);
+    markReady(runtime, rows);
+
+    // Runs end while syncing the second row, as when it makes the script fail.
+    function _endOnSecondRow(context) {
+      var syncETA = context.syncETA;
+      context.syncETA = function(eta, spreadsheetRow, etaChanges) {
+        if (spreadsheetRow.getRowIndex() === rows[1].rowIndex) {
+          throw 'Exceeded maximum execution time';
+        }
+        return syncETA(eta, spreadsheetRow, etaChanges);
+      };
+    }
+
+    [0, 1].forEach(function() {
+      assert.throws(function() {
+        run(runtime, _endOnSecondRow);
+      }, /Exceeded maximum execution time/);
+    });
+    assert.strictEqual(getMutations(runtime, 'create').length, 1);
+
+    assert.throws(function() {
+      run(runtime, _endOnSecondRow);
+    }, /Script runtime error/);
+
+    assert.strictEqual(getMutations(runtime, 'create').length, 2);
+    rows = harness.readMainRows(runtime);
+    assert.strictEqual(rows[1].etaId, '');
+    assert.ok(/the last 2 runs ended while syncing it/
+        .test(rows[1].errorMessage), rows[1].errorMessage);
+    assert.notStrictEqual(rows[2].etaId, '');
+    assert.strictEqual(getSheet(runtime, 'checkpoint').getRange('A4')
+        .getValue(), '');
+  }
+};
+
+
+/**
+ * Runs the scenarios whose name contains `filter`, and exits with a non-zero
+ * status if any fails.
+ *
+ * @param {string=} filter
+ */
+function runScenarios(filter) {
+  var failures = 0;
+  var count = 0;
+
+  Object.keys(SCENARIOS).forEach(function(name) {
+    if (filter && name.indexOf(filter) === -1) {
+      return;
+    }
+
+    count++;
+    try {
+      SCENARIOS[name]();
+      console.log('+ PASS: ' + name);
+    } catch (err) {
+      failures++;
+      console.log('- FAILED: ' + name);
+      console.log('  ' + (err && err.stack ? err.stack : err));
+    }
+  });
+
+  console.log(count - failures + ' of ' + count + ' scenarios passed');
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+
+if (require.main === module) {
+  runScenarios(process.argv[2]);
+}
+
+
+module.exports = {
+  SCENARIOS: SCENARIOS,
+  runScenarios: runScenarios
+};
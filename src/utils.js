@@ -338,13 +338,217 @@ function reverseCompare(compareFunc) {
 }
 
 
+/**
+ * Parses a numeric report value. Report values may be formatted with
+ * thousands separators (e.g. '1,234') or as percentages (e.g. '1.5%').
+ *
+ * @param {string|number} value The report value.
+ *
+ * @return {number} The parsed number, or 0 if not a number.
+ */
+function parseReportNumber(value) {
+  if (isEmpty(value)) {
+    return 0;
+  }
+
+  var number = parseFloat(String(value).replace(/,/g, ''));
+  return isNaN(number) ? 0 : number;
+}
+
+
+/**
+ * Creates a compare function ranking ads by a single report metric, the
+ * highest value first.
+ *
+ * @param {string} metric The name of the metric in `Ad.row`, e.g.
+ *                        'conversions'.
+ *
+ * @return {function(Ad, Ad): number} A compare function returning +1 if Ad a
+ *                                    has the higher value, -1 if Ad b has the
+ *                                    higher value, and 0 if equal.
+ */
+function compareByMetric(metric) {
+  return function(a, b) {
+    var diff = parseReportNumber(a.row[metric]) -
+               parseReportNumber(b.row[metric]);
+    if (diff > 0) {
+      return 1;
+    } else if (diff < 0) {
+      return -1;
+    }
+
+    // Break ties with the default strategy.
+    return comparePerformance(a, b);
+  };
+}
+
+
+/**
+ * Compares two ads by a weighted score, the sum of each metric in
+ * `CONFIG.performance.weights` multiplied by its weight.
+ *
+ * @param {Ad} a Ad a.
+ * @param {Ad} b Ad b.
+ *
+ * @return {number} +1 if Ad a has a higher score, -1 if Ad b has a higher
+ *                  score, and 0 if equal.
+ */
+function compareWeightedScore(a, b) {
+  var weights = CONFIG.performance.weights;
+
+  function _score(ad) {
+    var score = 0;
+    for (var metric in weights) {
+      if (weights.hasOwnProperty(metric)) {
+        score += weights[metric] * parseReportNumber(ad.row[metric]);
+      }
+    }
+    return score;
+  }
+
+  var diff = _score(a) - _score(b);
+  if (diff > 0) {
+    return 1;
+  } else if (diff < 0) {
+    return -1;
+  }
+
+  return comparePerformance(a, b);
+}
+
+
+/**
+ * Strategies used to rank ads by performance, by name. Each strategy has a
+ * `compare` function (see `comparePerformance`) and the `reportFields` it
+ * needs on top of `CONFIG.reportFields`.
+ *
+ * Use `registerPerformanceStrategy` to add a strategy.
+ *
+ * @type {Object<string, {compare: function(Ad, Ad): number,
+ *                        reportFields: Array<string>}>}
+ */
+var PERFORMANCE_STRATEGIES = {
+  // Most impressions first, or highest CTR if impressions are similar.
+  impressionsCtr: {
+    compare: comparePerformance,
+    reportFields: []
+  },
+  // Most conversions first.
+  conversions: {
+    compare: compareByMetric('conversions'),
+    reportFields: ['Conversions']
+  },
+  // Highest cost first.
+  cost: {
+    compare: compareByMetric('cost'),
+    reportFields: ['Cost']
+  },
+  // Highest conversion value first.
+  conversionValue: {
+    compare: compareByMetric('conversionValue'),
+    reportFields: ['ConversionValue']
+  },
+  // Highest score first, see `compareWeightedScore`.
+  weighted: {
+    compare: compareWeightedScore,
+    reportFields: ['Conversions', 'ConversionValue', 'Cost']
+  }
+};
+
+
+/**
+ * Registers a strategy used to rank ads by performance. The strategy can then
+ * be selected by setting `CONFIG.performance.strategy` to `name`.
+ *
+ * @param {string} name The name of the strategy.
+ * @param {function(Ad, Ad): number} compareFunc Returns +1 if Ad a has better
+ *                                   performance, -1 if Ad b has better
+ *                                   performance, and 0 if equal.
+ * @param {?Array<string>} reportFields Ad Performance Report fields needed by
+ *                                      `compareFunc`, on top of
+ *                                      `CONFIG.reportFields`. Available in
+ *                                      `Ad.row` with the first character
+ *                                      lowercased, e.g. `row.allConversions`.
+ */
+function registerPerformanceStrategy(name, compareFunc, reportFields) {
+  if (isEmptyString(name) || typeof compareFunc !== 'function') {
+    throw 'Failed to register performance strategy: a name and a compare ' +
+          'function are required.';
+  }
+
+  PERFORMANCE_STRATEGIES[name] = {
+    compare: compareFunc,
+    reportFields: reportFields || []
+  };
+}
+
+
+/**
+ * Retrieves the strategy selected in `config.performance.strategy`.
+ *
+ * @param {{performance: {strategy: string}}} config
+ *
+ * @return {{compare: function(Ad, Ad): number, reportFields: Array<string>}}
+ * @throws {string}
+ */
+function getPerformanceStrategy(config) {
+  var name = config.performance.strategy || 'impressionsCtr';
+  var strategy = PERFORMANCE_STRATEGIES[name];
+  if (isEmpty(strategy)) {
+    throw 'Unknown performance strategy "' + name + '". Please set ' +
+          'CONFIG.performance.strategy to one of: ' +
+          Object.keys(PERFORMANCE_STRATEGIES).join(', ');
+  }
+
+  return strategy;
+}
+
+
+/**
+ * Retrieves the fields to select from the Ad Performance Report:
+ * `config.reportFields`, any field needed by the selected performance
+ * strategy, `CampaignName` to filter campaigns by regular expression, see
+ * `filterSTAs`, and `CampaignId` to shard rows by campaign.
+ *
+ * @param {{reportFields: Array<string>,
+ *          performance: {strategy: string},
+ *          exportFilter: ?Object,
+ *          spreadsheet: ?Object}} config
+ *
+ * @return {Array<string>} The report fields, without duplicates.
+ */
+function getPerformanceReportFields(config) {
+  var fields = config.reportFields.slice();
+
+  var neededFields = getPerformanceStrategy(config).reportFields.slice();
+  if (config.exportFilter &&
+      !isEmptyString(config.exportFilter.campaignNameRegex)) {
+    neededFields.push('CampaignName');
+  }
+  if (config.spreadsheet && config.spreadsheet.sharding.enabled &&
+      config.spreadsheet.sharding.shardBy === ShardBy.CAMPAIGN) {
+    neededFields.push('CampaignId');
+  }
+
+  neededFields.forEach(function(field) {
+    if (fields.indexOf(field) === -1) {
+      fields.push(field);
+    }
+  });
+
+  return fields;
+}
+
+
 /**
  * Traverse the report and keep the top most NUM_OF_ADS that
  * are considered most performing based on the configuration given.
  *
  * @param {AdWordsApp.Report} report The report from which we want to
- *                                   extrapolate the most performing ads.
+ *                                   extrapolate the most performing ads. Must
+ *                                   select `getPerformanceReportFields`.
  * @param {{reportFields: Array<string>,
+ *          performance: {strategy: string},
  *          numOfAds: number}} config The configuration used to define which
  *                                    ads to consider most performing.
  *
@@ -356,17 +560,20 @@ function getMostPerformingAds(report, config) {
           'top performing ads is empty';
   }
 
+  var strategy = getPerformanceStrategy(config);
+  var reportFields = getPerformanceReportFields(config);
+
   // Traverse all rows.
   var currentAccount = AdWordsApp.currentAccount();
   var result = [];
   var rows = report.rows();
   while (rows.hasNext()) {
-    var ad = new Ad(rows.next(), config.reportFields, null, currentAccount);
+    var ad = new Ad(rows.next(), reportFields, null, currentAccount);
     result.push(ad);
   }
 
   // Sort by performance.
-  result.sort(reverseCompare(comparePerformance));
+  result.sort(reverseCompare(strategy.compare));
   return result;
 }
 
@@ -517,10 +724,20 @@ function getSheet(config, emailToNotify) {
  *                                when creating a new spreadsheet. If none is
  *                                given, will use the email address of the
  *                                owner of the spreadsheet.
+ * @param {{customerId: string,
+ *          campaignId: ?string}=} shard When sharding is enabled, selects the
+ *                                       sheet of the shard holding rows of
+ *                                       this account or campaign, see
+ *                                       `getShardSheet`.
  *
  * @return {?Sheet} Selected sheet.
  */
-function getCachedSheet(config, emailToNotify) {
+function getCachedSheet(config, emailToNotify, shard) {
+  if (shard && config.sharding && config.sharding.enabled) {
+    return getShardSheet(config, emailToNotify, shard.customerId,
+                         shard.campaignId);
+  }
+
   // If sheet already present.
   if (!isEmpty(config.sheet)) {
     return config.sheet;
@@ -533,6 +750,46 @@ function getCachedSheet(config, emailToNotify) {
 }
 
 
+/**
+ * Retrieves a sheet by name, inserting it at the end of the spreadsheet if it
+ * does not exist.
+ *
+ * @param {Spreadsheet} spreadsheet The spreadsheet holding the sheet.
+ * @param {string} sheetName The name of the sheet.
+ *
+ * @return {Sheet} The existing or newly inserted sheet.
+ */
+function getOrCreateSheet(spreadsheet, sheetName) {
+  if (isEmpty(spreadsheet) || isEmptyString(sheetName)) {
+    throw 'A spreadsheet and a sheet name are required to retrieve a sheet.';
+  }
+
+  var sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName, spreadsheet.getNumSheets());
+  }
+
+  return sheet;
+}
+
+
+/**
+ * Appends rows after the last row of a sheet in a single write.
+ *
+ * @param {Sheet} sheet The sheet to append rows to.
+ * @param {Array<Array<Object>>} rows The rows to append. All rows must have
+ *                                    the same number of values.
+ */
+function appendRowsToSheet(sheet, rows) {
+  if (isEmpty(rows) || rows.length === 0) {
+    return;
+  }
+
+  sheet.getRange(sheet.getLastRow() + 1, 1, rows.length, rows[0].length)
+      .setValues(rows);
+}
+
+
 /**
  * Returns a boolean if the current user is able to edit the specified
  * spreadsheet.
@@ -824,7 +1081,11 @@ function SpreadsheetRow(values, allRange, rowOffset, columnNamesToIndices) {
 SpreadsheetRow.prototype.validateValues_ = function() {
   var staStatusValue = this.get('staStatus');
 
-  if (!isSupportedStatus(staStatusValue)) {
+  // Rows holding only an ETA (see `importETA`) have no STA status.
+  var isETAOnly = isEmptyString(this.get('staId')) &&
+                  isEmptyString(staStatusValue);
+
+  if (!isETAOnly && !isSupportedStatus(staStatusValue)) {
     this.markAsError('Unsuported STA status with value of \'' +
                      staStatusValue + '\'.');
   }
@@ -857,7 +1118,8 @@ SpreadsheetRow.prototype.getColumnIndex_ = function(columnName) {
 
 
 /**
- * Sets the value of a given column for this row.
+ * Sets the value of a given column for this row. In dry-run mode, only the
+ * value held by this row changes, the spreadsheet is left as is.
  *
  * @param {string} columnName
  * @param {string} value
@@ -866,8 +1128,10 @@ SpreadsheetRow.prototype.getColumnIndex_ = function(columnName) {
 SpreadsheetRow.prototype.set = function(columnName, value) {
   var columnIndex = this.getColumnIndex_(columnName);
 
-  // Add 1, because SpreadSheetApp's Range is relative to 1.
-  this.range_.getCell(1, columnIndex + 1).setValue(value);
+  if (!IS_DRY_RUN) {
+    // Add 1, because SpreadSheetApp's Range is relative to 1.
+    this.range_.getCell(1, columnIndex + 1).setValue(value);
+  }
   this.values_[columnIndex] = value;
 };
 
@@ -989,7 +1253,8 @@ SpreadsheetRow.prototype.hasErrors = function() {
 
 
 /**
- * Highlights row signalling that an error has occured.
+ * Highlights row signalling that an error has occured. In dry-run mode, the
+ * messages are only held by this row, see `SpreadsheetRow.set`.
  *
  * @param {string|Array<string>} messages Messages to print and add to error
  *                                      column. Can be a single string or an
@@ -1001,7 +1266,9 @@ SpreadsheetRow.prototype.markAsError = function(messages) {
         'provided.';
   }
 
-  this.range_.setBackground('red');
+  if (!IS_DRY_RUN) {
+    this.range_.setBackground('red');
+  }
 
   if (Array.isArray(messages)) {
     messages = messages.join('\n- ');
@@ -1020,7 +1287,9 @@ SpreadsheetRow.prototype.markAsError = function(messages) {
  * Removes any previous highlights set on this row.
  */
 SpreadsheetRow.prototype.markAsResolved = function() {
-  this.range_.setBackground(null);
+  if (!IS_DRY_RUN) {
+    this.range_.setBackground(null);
+  }
   this.set('errorMessage', '');
 };
 
@@ -1035,6 +1304,16 @@ SpreadsheetRow.prototype.getRowIndex = function() {
 };
 
 
+/**
+ * Retrieve the sheet holding this row.
+ *
+ * @return {Sheet}
+ */
+SpreadsheetRow.prototype.getSheet = function() {
+  return this.range_.getSheet();
+};
+
+
 /**
  * Determines whether the `status` parameter is equivalant to one of the
  * supported Ad statuses.
@@ -1089,10 +1368,10 @@ function createIndexableObjectFromKeys(objects, keys) {
 
 /**
  * Retrieves the last row checked when syncing spreadsheet and increments
- * value by 1.
+ * value by 1. An empty cell is left as is.
  *
  * @param {Sheet} sheet
- * @param {string} key
+ * @param {string} key The A1 notation of the cell holding the value.
  *
  * @return {Object} An object with a reference to cell and integer representing
  *                   the index of last row checked.
@@ -1102,6 +1381,14 @@ function getLastRowCheck(sheet, key) {
   var cell = sheet.getRange(key);
   var lastRowChecked = cell.getValue();
 
+  if (isEmptyString(lastRowChecked)) {
+    return {
+      cell: cell,
+      value: 0
+    };
+  }
+
+  lastRowChecked = Number(lastRowChecked);
   if (isNaN(lastRowChecked)) {
     return {
       cell: null,
@@ -1285,6 +1572,10 @@ function getEmailTemplate(event, payload) {
       };
 
       break;
+
+    case RUN_SUMMARY:
+      template = getRunSummaryTemplate(payload);
+      break;
   }
 
   return template;